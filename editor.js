@@ -1,4 +1,240 @@
 ﻿
+/**
+ * DOM操作に追従する選択範囲の端点
+ * ノードの移動には基準のノードとともに追従し、基準のノードが削除された場合はDOMの仕様に従って削除位置に追従する
+ */
+class EditorPosition {
+	/** @type { Node } 位置の基準のノード */
+	#node;
+	/** @type { 'offset' | 'before' | 'after' } 基準のノードに対する位置('offset'の場合は基準のノード内のオフセット) */
+	#kind = 'offset';
+	/** @type { number } 基準のノード内のオフセット */
+	#offset = 0;
+	/** @type { Node } 作成時に基準のノードが属していたツリーのルート */
+	#root;
+	/** @type { Range } 基準のノードが削除された場合の位置 */
+	#range;
+
+	/**
+	 * コンストラクタ
+	 * @param { Node } container 位置を示すノード
+	 * @param { number } offset 位置を示すノード内のオフセット
+	 */
+	constructor(container, offset) {
+		this.#range = document.createRange();
+		this.#range.setStart(container, offset);
+		if (container instanceof CharacterData || container.childNodes.length === 0) {
+			this.#node = container;
+			this.#offset = offset;
+		}
+		else if (offset < container.childNodes.length) {
+			// 子ノードの間の位置は直後の子ノードの直前として保持する
+			this.#node = container.childNodes[offset];
+			this.#kind = 'before';
+		}
+		else {
+			// 末尾の位置は最後の子ノードの直後として保持する
+			this.#node = container.childNodes[offset - 1];
+			this.#kind = 'after';
+		}
+		this.#root = this.#node.getRootNode();
+	}
+
+	/**
+	 * 位置を示すノード
+	 * @returns { Node }
+	 */
+	get container() {
+		return this.#resolve()[0];
+	}
+
+	/**
+	 * 位置を示すノード内のオフセット
+	 * @returns { number }
+	 */
+	get offset() {
+		return this.#resolve()[1];
+	}
+
+	/**
+	 * 現在の位置を計算する
+	 * @returns { [Node, number] } 位置を示すノードとオフセット
+	 */
+	#resolve() {
+		if (this.#node.getRootNode() !== this.#root) {
+			// 基準のノードが削除された場合は削除位置とする
+			return [this.#range.startContainer, this.#range.startOffset];
+		}
+		/** @type { [Node, number] } */
+		let position;
+		switch (this.#kind) {
+			case 'before':
+				position = [this.#node.parentNode, Nomalizer.getChildIndex(this.#node)];
+				break;
+			case 'after':
+				position = [this.#node.parentNode, Nomalizer.getChildIndex(this.#node) + 1];
+				break;
+			default:
+				if (this.#range.startContainer === this.#node) {
+					// テキストの編集による位置はDOMの仕様に従って補正されたものとする
+					return [this.#node, this.#range.startOffset];
+				}
+				position = [this.#node, Math.min(this.#offset, this.#node instanceof CharacterData ? this.#node.length : this.#node.childNodes.length)];
+				break;
+		}
+		// 移動により外れた位置を以降のDOM操作に追従させるため付け直す
+		this.#range.setStart(...position);
+		return position;
+	}
+}
+
+/**
+ * 方向を持つ選択範囲
+ * 開始位置と終了位置はRangeと同様に取得でき、track()でDOM操作に追従する選択範囲、freeze()で現在の位置に固定した選択範囲を得る
+ */
+class EditorSelection {
+	/** @type { { container: Node; offset: number } } 選択の起点 */
+	#anchor;
+	/** @type { { container: Node; offset: number } } 選択の終点 */
+	#focus;
+
+	/**
+	 * コンストラクタ
+	 * @param { Node } anchorNode 選択の起点のノード
+	 * @param { number } anchorOffset 選択の起点のオフセット
+	 * @param { Node } focusNode 選択の終点のノード
+	 * @param { number } focusOffset 選択の終点のオフセット
+	 */
+	constructor(anchorNode, anchorOffset, focusNode = anchorNode, focusOffset = anchorOffset) {
+		this.#anchor = { container: anchorNode, offset: anchorOffset };
+		this.#focus = { container: focusNode, offset: focusOffset };
+	}
+
+	/**
+	 * 文書の現在の選択範囲を取得する
+	 * @returns { EditorSelection | null } 選択範囲(選択範囲が存在しない場合はnull)
+	 */
+	static fromDocument() {
+		const selection = window.getSelection();
+		if (selection.rangeCount === 0) {
+			return null;
+		}
+		return new EditorSelection(selection.anchorNode, selection.anchorOffset, selection.focusNode, selection.focusOffset);
+	}
+
+	/**
+	 * Range互換のオブジェクトから選択範囲を構築する
+	 * @param { Range } range 選択範囲(Range互換のオブジェクト)
+	 * @param { boolean } backward trueの場合は終了位置を選択の起点とする
+	 * @returns { EditorSelection } 選択範囲
+	 */
+	static fromRange(range, backward = false) {
+		return backward ?
+			new EditorSelection(range.endContainer, range.endOffset, range.startContainer, range.startOffset) :
+			new EditorSelection(range.startContainer, range.startOffset, range.endContainer, range.endOffset);
+	}
+
+	/** @returns { Node } */
+	get anchorNode() {
+		return this.#anchor.container;
+	}
+
+	/** @returns { number } */
+	get anchorOffset() {
+		return this.#anchor.offset;
+	}
+
+	/** @returns { Node } */
+	get focusNode() {
+		return this.#focus.container;
+	}
+
+	/** @returns { number } */
+	get focusOffset() {
+		return this.#focus.offset;
+	}
+
+	/**
+	 * 選択の終点が起点より前にあるか
+	 * @returns { boolean }
+	 */
+	get backward() {
+		const anchorNode = this.anchorNode;
+		const focusNode = this.focusNode;
+		if (anchorNode === focusNode) {
+			return this.focusOffset < this.anchorOffset;
+		}
+		if (anchorNode.getRootNode() !== focusNode.getRootNode()) {
+			return false;
+		}
+		const range = document.createRange();
+		range.setStart(anchorNode, this.anchorOffset);
+		return range.comparePoint(focusNode, this.focusOffset) < 0;
+	}
+
+	/** @returns { Node } */
+	get startContainer() {
+		return this.backward ? this.focusNode : this.anchorNode;
+	}
+
+	/** @returns { number } */
+	get startOffset() {
+		return this.backward ? this.focusOffset : this.anchorOffset;
+	}
+
+	/** @returns { Node } */
+	get endContainer() {
+		return this.backward ? this.anchorNode : this.focusNode;
+	}
+
+	/** @returns { number } */
+	get endOffset() {
+		return this.backward ? this.anchorOffset : this.focusOffset;
+	}
+
+	/** @returns { boolean } */
+	get collapsed() {
+		return this.anchorNode === this.focusNode && this.anchorOffset === this.focusOffset;
+	}
+
+	/**
+	 * 以降のDOM操作に追従する選択範囲を取得する
+	 * @returns { EditorSelection } 追従する選択範囲
+	 */
+	track() {
+		const selection = new EditorSelection(this.anchorNode, this.anchorOffset, this.focusNode, this.focusOffset);
+		selection.#anchor = new EditorPosition(this.anchorNode, this.anchorOffset);
+		selection.#focus = new EditorPosition(this.focusNode, this.focusOffset);
+		return selection;
+	}
+
+	/**
+	 * 現在の位置に固定した選択範囲を取得する
+	 * @returns { EditorSelection } 固定した選択範囲
+	 */
+	freeze() {
+		return new EditorSelection(this.anchorNode, this.anchorOffset, this.focusNode, this.focusOffset);
+	}
+
+	/**
+	 * Rangeに変換する
+	 * @returns { Range } 選択範囲と同一の範囲のRange
+	 */
+	toRange() {
+		const range = document.createRange();
+		range.setStart(this.startContainer, this.startOffset);
+		range.setEnd(this.endContainer, this.endOffset);
+		return range;
+	}
+
+	/**
+	 * 方向を含めて文書の選択範囲に設定する
+	 */
+	apply() {
+		window.getSelection().setBaseAndExtent(this.anchorNode, this.anchorOffset, this.focusNode, this.focusOffset);
+	}
+}
+
 /**
  * @typedef {{
  * 		type: "attributes" | "characterData" | "childList";
@@ -17,15 +253,194 @@
 /**
  * @typedef {{
  * 		records: UndoBufferRecord[];
- *		oldRange: Range | null;
- *		newRange: Range | null;
- * }} UndoBufferPiece UndoBufferのための単一操作を示す要素
+ *		oldRange: EditorSelection | null;
+ *		newRange: EditorSelection | null;
+ *		label: string | null;
+ *		time: number;
+ * }} UndoBufferPiece UndoBufferのための単一操作を示す要素(labelは操作の名前、timeは最後に操作内容を追加した時刻)
+ */
+
+/**
+ * @typedef {{
+ * 		label: string | null;
+ * 		time: number;
+ * }} UndoBufferHistoryEntry undoバッファの単一操作の情報
+ */
+
+/**
+ * @typedef {{
+ * 		type: "push" | "undo" | "redo" | "clear" | "import" | "amend";
+ * 		records: UndoBufferRecord[];
+ * 		label: string | null;
+ * }} UndoBufferEventDetail UndoBufferが発火するイベントのdetail
+ * - type: 'change'イベントの発火の原因となった操作
+ * - records: 追加、undo、redoした操作内容のリスト
+ * - label: 操作の名前
+ */
+
+/**
+ * @typedef {{
+ * 		group?: string;
+ * 		content?: string[];
+ * 		fill?: string;
+ * 		wrap?: string;
+ * 		unwrap?: "self" | "parent";
+ * 		join?: boolean;
+ * 		replace?: string;
+ * 		transparent?: boolean;
+ * 		drop?: boolean;
+ * 		nest?: boolean;
+ * 		merge?: boolean;
+ * 		ignoreBlank?: boolean;
+ * 		duplicateAtEnd?: boolean;
+ * 		isolating?: boolean;
+ * 		rectangular?: boolean;
+ * 		atom?: boolean;
+ * 		attrs?: { [name: string]: true | ((value: string) => string | null) };
+ * 		required?: string[];
+ * 		defaults?: { [name: string]: string };
+ * }} NomalizerNodeSpec Nomalizerのスキーマにおける単一の種類のノードの定義
+ * - group: 所属するグループ名(contentで要素名の代わりに指定できる)
+ * - content: 子として許可するグループ名または要素名(テキストは'#text')の一覧(未指定の場合は子を検査しない)
+ * - fill: 許可されない子を包む要素名
+ * - wrap: 許可されない位置に挿入された場合に連続するものごとに包む要素名
+ * - unwrap: 包むことができない場合に展開するノード('self'は自身、'parent'は挿入先)
+ * - join: 許可されない位置に挿入された場合に直前の兄弟要素が許可するならその末尾に移動するか
+ * - replace: 常に置き換える要素名
+ * - transparent: 常に自身を展開するか
+ * - drop: 常に内容ごと除去するか
+ * - nest: 同一の要素の入れ子を許可するか(falseの場合は内側を展開する)
+ * - merge: 隣接する属性も含めて同一の要素を併合するか
+ * - ignoreBlank: 空白のみのテキストなどは子として許可されなくても無視するか
+ * - duplicateAtEnd: 親要素の末尾に挿入された場合に空行の表示のために複製するか(改行要素のためのもの)
+ * - isolating: 許可されない子によって自身を展開せず、包むことができない子は展開するか(子として許可する場合は改行で区切る)
+ * - rectangular: 子の子を行、その子をセルとして行ごとのセルの数を揃えるか(表のためのもの)
+ * - atom: 内容を持たず編集できない要素として扱うか(キャレットは前後にのみ置かれ、削除は要素単位で行う)
+ * - attrs: 許可する属性名と値の変換関数(関数がnullを返す場合は属性を除去する、未指定の場合は全ての属性を除去する)
+ * - required: 必須の属性名(属性の変換後に持たないか空の場合は要素ごと除去する)
+ * - defaults: 持たない場合に設定する属性名と値
+ */
+
+/**
+ * @typedef {{
+ * 		root: NomalizerNodeSpec;
+ * 		nodes: { [name: string]: NomalizerNodeSpec };
+ * }} NomalizerSchema Nomalizerのスキーマ(rootはルート要素、nodesは要素名(テキストは'#text'、コメントは'#comment')ごとの定義)
+ */
+
+/**
+ * @typedef {{
+ * 		type: string;
+ * 		attrs?: { [name: string]: string };
+ * 		text?: string;
+ * 		marks?: { type: string; attrs?: { [name: string]: string } }[];
+ * 		content?: NomalizerDocumentNode[];
+ * }} NomalizerDocumentNode 文書のJSON表現の単一のノード
+ * - type: 要素名(テキストは'text'、文書全体は'doc')
+ * - attrs: 属性
+ * - text: テキスト(typeが'text'の場合のみ)
+ * - marks: 適用されているインライン書式(テキストと改行などの子を持たないインライン要素のみ)
+ * - content: 子ノード(インライン書式はテキストのmarksとして表現し、空行の表示のための末尾の改行は含まない)
+ */
+
+/**
+ * @typedef {{
+ * 		type: string;
+ * 		value?: string;
+ * 		namespace?: string;
+ * 		attrs?: [string, string][];
+ * 		children?: UndoBufferNodeSnapshot[];
+ * }} UndoBufferNodeSnapshot ノードの複製を構築するためのスナップショット(typeはテキストは'#text'、コメントは'#comment'、それ以外は要素名)
+ */
+
+/**
+ * @typedef {{
+ * 		type: "attributes" | "characterData" | "childList" | "move" | "splitText" | "joinText";
+ * 		path: number[];
+ * 		index?: number;
+ * 		addedNodes?: UndoBufferNodeSnapshot[];
+ * 		removedNodes?: UndoBufferNodeSnapshot[];
+ * 		toPath?: number[];
+ * 		toIndex?: number;
+ * 		node?: UndoBufferNodeSnapshot;
+ * 		offset?: number;
+ * 		deletedText?: string;
+ * 		insertedText?: string;
+ * 		attributeName?: string;
+ * 		attributeNamespace?: string | null;
+ * 		oldValue?: string | null;
+ * 		newValue?: string | null;
+ * }} UndoBufferPathRecord ノードの参照を含まない単一のDOM操作
+ * - path: ルート要素からの子としてのインデックスの列で示す操作対象
+ * - index, addedNodes, removedNodes: 'childList'の場合の操作位置のインデックスと挿入、削除したノード
+ * - offset, deletedText, insertedText: 'characterData'の場合の変更位置のオフセットと削除、挿入したテキスト
+ * - attributeName, attributeNamespace, oldValue, newValue: 'attributes'の場合の属性名と変更前後の値
+ * - offset: 'splitText'の場合の分割位置のオフセット、'joinText'の場合の直後のテキストノードを併合する位置のオフセット(併合前の長さ)
+ * - index, toPath, toIndex, node: 'move'の場合の移動元のインデックス(pathは移動元の親)と移動先の親とインデックス(移動するノードを取り除いた状態での位置)と移動するノード
+ */
+
+/**
+ * @typedef {{
+ * 		startPath: number[];
+ * 		startOffset: number;
+ * 		endPath: number[];
+ * 		endOffset: number;
+ * 		backward?: boolean;
+ * }} UndoBufferPathRange ノードの参照を含まない選択範囲(backwardは終了位置が選択の起点であるか)
+ */
+
+/**
+ * @typedef {{
+ * 		version: 1;
+ * 		position: number;
+ * 		content: UndoBufferNodeSnapshot[];
+ * 		pieces: {
+ * 			records: UndoBufferPathRecord[];
+ * 			oldRange: UndoBufferPathRange | null;
+ * 			newRange: UndoBufferPathRange | null;
+ * 			label?: string | null;
+ * 			time?: number;
+ * 		}[];
+ * }} UndoBufferHistory JSONとして保存可能なundoバッファ(positionはundo可能な操作の数、contentは取得時の監視対象のノードの子ノード)
+ */
+
+/**
+ * @typedef {{
+ * 		interval?: number;
+ * 		wordBoundary?: boolean;
+ * }} UndoBufferCoalesceOption UndoBufferのテキスト入力の結合のオプション
+ * - interval: 結合する入力の間隔の上限[ms](0以下の場合は結合しない)
+ * - wordBoundary: 空白の後の単語の入力開始で結合を打ち切るか
+ */
+
+/**
+ * @typedef {{
+ * 		maxLength?: number;
+ * 		maxParagraphs?: number;
+ * }} UndoBufferLimitOption UndoBufferの内容の上限のオプション
+ * - maxLength: 文字数の上限(書記素クラスタ単位で数える)
+ * - maxParagraphs: 段落数の上限(テキストを直接含むブロック要素の数)
+ */
+
+/**
+ * @typedef {{
+ * 		length: number;
+ * 		paragraphs: number;
+ * 		remaining: number;
+ * 		remainingParagraphs: number;
+ * }} UndoBufferRemaining 内容の量と上限までの残り(上限がない場合の残りはInfinity)
+ */
+
+/**
+ * @typedef { UndoBufferRemaining & { rejected: boolean } } UndoBufferLimitEventDetail UndoBufferが発火する'limit'イベントのdetail(rejectedは直前の入力の一部または全部を上限により取り消したか)
  */
 
 /**
  * undoバッファ
+ * undoバッファの状態が変化した場合は'change'イベント、undo、redoの実施時はさらに'undo'、'redo'イベントを発火する(detailはUndoBufferEventDetail)
+ * 内容の上限を指定した場合は'change'イベントとともに、また上限を超える入力を取り消した場合に'limit'イベントを発火する(detailはUndoBufferLimitEventDetail)
  */
-class UndoBuffer {
+class UndoBuffer extends EventTarget {
 	/** @type { MutationObserver } DOMツリーの変更を監視するオブザーバ */
 	#observer;
 	/** @type { Node } 監視対象のノード */
@@ -44,10 +459,34 @@ class UndoBuffer {
 	#tempObserver;
 	/** @type { UndoBufferRecord[] } バッファ本体(テンポラリ) */
 	#tempBuffer = [];
-	/** @type { Range } 現在の選択範囲(実際にはRange互換のオブジェクトを保持) */
-	#range = new Range();
+	/** @type { EditorSelection } 現在の選択範囲 */
+	#range = new EditorSelection(document, 0);
 	/** @type { Nomalizer } 正規化器 */
 	#nomalizer;
+	/** @type { Required<UndoBufferCoalesceOption> } テキスト入力の結合のオプション */
+	#coalesceOption;
+	/** @type { { node: Node; kind: 'insert' | 'delete'; time: number; space: boolean; caret: EditorSelection | null } | null } 最後に追加したバッファの結合可能なテキスト入力の情報 */
+	#typing = null;
+	/** @type { string | null } 次に追加するバッファの操作の名前 */
+	#label = null;
+	/** @type { boolean } トランザクションの実行中か */
+	#inTransaction = false;
+	/** @type { AbortController } 監視対象のノードに登録したリスナの解除のためのコントローラ */
+	#listenerController = new AbortController();
+	/** @type { Required<UndoBufferLimitOption> } 内容の上限のオプション */
+	#limitOption;
+	/** @type { EditorSelection | null } 入力開始時の選択範囲(上限を超えた分を入力された範囲から削除するためのもの) */
+	#inputStart = null;
+	/** @type { UndoBufferRemaining | null } 入力開始時の内容の量(内容が増えた場合のみ上限を適用するためのもの) */
+	#inputRemaining = null;
+	/** @type { boolean } 直前の入力の一部または全部を上限により取り消したか */
+	#limited = false;
+	/** @type { MutationObserver | null } 内容の量を数え直す必要のある変更を監視するオブザーバ(上限が指定されている場合のみ) */
+	#countObserver = null;
+	/** @type { { length: number; paragraphs: number } | null } 最後に数えた内容の量(変更があるまで再利用する) */
+	#count = null;
+	/** 書記素クラスタ単位の分割器 */
+	static #graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
 	/** MutationObserverのオプション */
 	static #observeOption = /** @type { const } */({
 		characterData: true,
@@ -68,50 +507,35 @@ class UndoBuffer {
 	 * @param { Node } target 監視対象のノード
 	 * @param { Nomalizer } nomalizer 正規化器
 	 * @param { number } bufferSize バッファサイズ
+	 * @param { UndoBufferCoalesceOption } coalesceOption テキスト入力の結合のオプション
+	 * @param { UndoBufferLimitOption } limitOption 内容の上限のオプション
 	 */
-	constructor(target, nomalizer, bufferSize = 50) {
+	constructor(target, nomalizer, bufferSize = 50, coalesceOption = {}, limitOption = {}) {
+		super();
 		this.#target = target;
 		this.#nomalizer = nomalizer;
+		this.#nomalizer.attach(target);
 		this.#bufferSize = bufferSize;
-		this.#observer = new MutationObserver(records => {
-			// ノード挿入の記録中は正規化などでDOM操作が行われるため観測を無効化する
-			this.#observer.disconnect();
-			this.push(this.#nomalizer.normalize(this.#target, records.map(v => ({
-				type: v.type,
-				target: v.target,
-				addedNodes: [...v.addedNodes],
-				removedNodes: [...v.removedNodes],
-				previousSibling: v.previousSibling,
-				nextSibling: v.nextSibling,
-				attributeName: v.attributeName,
-				attributeNamespace: v.attributeNamespace,
-				oldValue: v.oldValue,
-				// undo実施まで設定されることはない
-				newValue: null
-			}))), false);
-			this.#observer.observe(this.#target, UndoBuffer.#observeOption);
-		});
+		this.#coalesceOption = { interval: 1000, wordBoundary: true, ...coalesceOption };
+		this.#limitOption = { maxLength: limitOption.maxLength ?? Infinity, maxParagraphs: limitOption.maxParagraphs ?? Infinity };
+		this.#observer = new MutationObserver(records => this.#record(records));
 		this.#tempObserver = new MutationObserver(records => {
-			this.#tempBuffer.push(...records.map(v => ({
-				type: v.type,
-				target: v.target,
-				addedNodes: [...v.addedNodes],
-				removedNodes: [...v.removedNodes],
-				previousSibling: v.previousSibling,
-				nextSibling: v.nextSibling,
-				attributeName: v.attributeName,
-				attributeNamespace: v.attributeNamespace,
-				oldValue: v.oldValue,
-				// undo実施まで設定されることはない
-				newValue: null
-			})));
+			this.#tempBuffer.push(...records.map(UndoBuffer.#toRecord));
 		});
 
 		this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+		if (this.#hasLimit()) {
+			// 入力の度に内容全体を数えないように変更があるまで内容の量を再利用する
+			this.#countObserver = new MutationObserver(() => {
+				this.#count = null;
+			});
+			this.#countObserver.observe(this.#target, { characterData: true, childList: true, subtree: true });
+		}
 
 		// キャレット位置を監視
-		const observeCaretEvent = () => this.#range = UndoBuffer.getCaret() || this.#range;
-		this.#target.addEventListener('beforeinput', observeCaretEvent);
+		const signal = this.#listenerController.signal;
+		const observeCaretEvent = () => this.#saveCaret();
+		this.#target.addEventListener('beforeinput', observeCaretEvent, { signal });
 
 		// IME入力中は観測を無効化する
 		let oldValue = '';
@@ -128,9 +552,9 @@ class UndoBuffer {
 			// 厳密ではないかもしれないが現在の選択位置から持ってくる
 			const textNode = this.#range.startContainer;
 			oldValue = textNode.nodeValue;
-		});
+		}, { signal });
 		this.#target.addEventListener('compositionend', e => {
-			this.#target.addEventListener('beforeinput', observeCaretEvent);
+			this.#target.addEventListener('beforeinput', observeCaretEvent, { signal });
 
 			// 入力が取り消された場合はpushしない
 			if (e.data.length > 0) {
@@ -139,8 +563,9 @@ class UndoBuffer {
 				// 厳密ではないかもしれないが現在の選択位置から持ってくる
 				const textNode = this.#range.startContainer;
 
-				// 手動で操作内容をpushする
-				this.push(this.#nomalizer.normalize(this.#target, [...this.#tempBuffer, {
+				// 上限を超える場合は確定した文字列の末尾から削除する(テキストノードの変更は以下の操作内容で元に戻せる)
+				const accepted = this.#enforceLimit(textNode);
+				const records = [...this.#tempBuffer, {
 					type: 'characterData',
 					target: textNode,
 					addedNodes: [],
@@ -151,7 +576,16 @@ class UndoBuffer {
 					attributeNamespace: null,
 					oldValue: oldValue,
 					newValue: null
-				}]), false);
+				}];
+				this.#typing = null;
+				if (accepted) {
+					// 手動で操作内容をpushする
+					this.#label = 'composition';
+					this.push(this.#nomalizer.normalize(this.#target, records), false);
+				}
+				else {
+					this.#reject(records);
+				}
 
 				this.#observer.observe(this.#target, UndoBuffer.#observeOption);
 			}
@@ -163,58 +597,92 @@ class UndoBuffer {
 					// this.#tempBufferの内容を無効化する
 					this.#undo(this.#tempBuffer);
 
-					this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+					// 破棄済みの場合は観測を再開しない
+					if (!signal.aborted) {
+						this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+					}
 				});
 			}
-		});
+		}, { signal });
+	}
+
+	/**
+	 * 未処理のDOM操作を記録して監視対象のノードの観測とリスナの登録を解除する
+	 * 破棄後はundoバッファを操作しないこと
+	 */
+	destroy() {
+		if (this.#listenerController.signal.aborted) {
+			return;
+		}
+		this.flush();
+		this.#listenerController.abort();
+		this.#observer.disconnect();
+		this.#tempObserver.disconnect();
+		this.#countObserver?.disconnect();
+	}
+
+	/**
+	 * MutationRecordを操作内容に変換する
+	 * @param { MutationRecord } v MutationRecord
+	 * @returns { UndoBufferRecord } 操作内容
+	 */
+	static #toRecord(v) {
+		return {
+			type: v.type,
+			target: v.target,
+			addedNodes: [...v.addedNodes],
+			removedNodes: [...v.removedNodes],
+			previousSibling: v.previousSibling,
+			nextSibling: v.nextSibling,
+			attributeName: v.attributeName,
+			attributeNamespace: v.attributeNamespace,
+			oldValue: v.oldValue,
+			// undo実施まで設定されることはない
+			newValue: null
+		};
 	}
 
 	/**
 	 * 現在のキャレット位置を取得する
-	 * @returns { Range | null }
+	 * DOM操作に追従させる場合はtrack()で追従する選択範囲に変換すること
+	 * @returns { EditorSelection | null } 現在の位置に固定した選択範囲
 	 */
 	static getCaret() {
-		const selection = window.getSelection();
-		if (selection.rangeCount > 0) {
-			// cloneRangeをしてもDOM操作後になぜか無効になるため退避
-			const range = selection.getRangeAt(0);
-			return {
-				startContainer: range.startContainer,
-				startOffset: range.startOffset,
-				endContainer: range.endContainer,
-				endOffset: range.endOffset
-			};
-		}
-		return null;
+		return EditorSelection.fromDocument();
 	}
 
 	/**
 	 * 操作内容のリストをundoバッファに追加する
-	 * @param { UndoBufferPiece[] } records 操作内容のリスト
+	 * @param { UndoBufferRecord[] } records 操作内容のリスト
 	 * @param { bool } mode trueの場合は最後に追加されたバッファへの追加、falseの場合は新規バッファの作成
+	 * @param { string | null } label 新規バッファの作成時の操作の名前(未指定の場合は直前に予約された名前)
 	 */
-	push(records, mode) {
+	push(records, mode, label = this.#label) {
+		this.#label = null;
 		if (this.#bufferSize <= 0) {
+			this.#dispatch(['change'], 'push', records, label);
 			return;
 		}
 
-		if (mode) {
-			// 最後に追加されたバッファへの追加
-			const writePos = (this.#pos + this.#bufferSize - 1) % this.#bufferSize;
-			if (this.#existBuffer(writePos)) {
-				this.#buffer[writePos].records.push(...records);
-			}
-			else {
-				// バッファが存在しないときは新規にバッファを追加する
-				this.push(records, false);
-			}
+		// 最後に追加されたバッファへの追加
+		const writePos = (this.#pos + this.#bufferSize - 1) % this.#bufferSize;
+		if (mode && this.#existBuffer(writePos)) {
+			const piece = this.#buffer[writePos];
+			piece.records.push(...records);
+			// 操作後のキャレット位置は最後に追加した操作のものとする
+			piece.newRange = UndoBuffer.getCaret();
+			piece.time = Date.now();
+			this.#dispatch(['change'], 'push', records, piece.label);
 		}
 		else {
 			// 新規にバッファを追加する(別に直接インデックスを指定して代入しても問題ない)
+			// (mode=trueでもバッファが存在しないときは新規にバッファを追加する)
 			const piece = {
 				records,
 				oldRange: this.#range,
-				newRange: UndoBuffer.getCaret()
+				newRange: UndoBuffer.getCaret(),
+				label,
+				time: Date.now()
 			};
 			if (this.#pos < this.#buffer.length) {
 				this.#buffer[this.#pos] = piece;
@@ -242,74 +710,498 @@ class UndoBuffer {
 					this.#buffer[i] = [];
 				}
 			}
+			this.#dispatch(['change'], 'push', records, label);
 		}
 	}
 
 	/**
-	 * バッファが存在するか
-	 * @param { number } readPos バッファ位置
-	 * @returns { bool } バッファが存在する場合はtrue、存在しない場合はfalse
+	 * 関数内で行ったDOM操作を実行前後のキャレット位置とともに1回のundoで元に戻せる操作として記録する
+	 * 正規化は関数の実行後に1回のみ行い、関数が例外を送出した場合はDOM操作を元に戻して例外を再送出する
+	 * 入れ子で呼び出した場合は外側のトランザクションに含める
+	 * @template T
+	 * @param { string | null } label 操作の名前
+	 * @param { () => T } fn DOM操作を行う関数
+	 * @returns { T } 関数の戻り値
 	 */
-	#existBuffer(readPos) {
-		if (this.#offset != this.#endPos) {
-			// readPosが区間[#offset, #endPos)に存在すること判定する
-			if (this.#offset < this.#endPos) {
-				return this.#offset <= readPos && readPos < this.#endPos;
+	transaction(label, fn) {
+		if (this.#inTransaction) {
+			return fn();
+		}
+		// 未処理のDOM操作はトランザクションに含めずに記録する
+		this.flush();
+		this.#saveCaret();
+
+		let result;
+		this.#inTransaction = true;
+		try {
+			result = fn();
+		}
+		catch (e) {
+			const records = this.#observer.takeRecords().map(UndoBuffer.#toRecord);
+			this.#observer.disconnect();
+			this.#undo(records);
+			UndoBuffer.updateCaret(this.#range);
+			this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+			throw e;
+		}
+		finally {
+			this.#inTransaction = false;
+		}
+
+		const pending = this.#observer.takeRecords();
+		if (pending.length === 0) {
+			// DOM操作がない場合は続くブラウザの入力のために入力された範囲の開始位置を保持する
+			return result;
+		}
+		// 上限を超えた分の削除もトランザクションに含める
+		const accepted = this.#enforceLimit();
+		const records = [...pending, ...this.#observer.takeRecords()];
+		if (!accepted) {
+			this.#observer.disconnect();
+			this.#reject(records.map(UndoBuffer.#toRecord));
+			this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+		}
+		else {
+			this.#observer.disconnect();
+			this.#typing = null;
+			this.push(this.#nomalizer.normalize(this.#target, records.map(UndoBuffer.#toRecord)), false, label);
+			this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+		}
+		return result;
+	}
+
+	/**
+	 * 関数内で行ったDOM操作を変更したノードを挿入した記録済みの操作に含める
+	 * アップロード完了後の画像の差し替えなど、挿入済みの要素の属性の変更のような構造を変えない操作のみに用いる
+	 * 挿入した操作がundoバッファに存在しない場合は新たな操作として記録せず、共同編集への送信のために'change'イベント(typeは'amend')のみを発火する
+	 * @template T
+	 * @param { () => T } fn DOM操作を行う関数
+	 * @returns { T } 関数の戻り値
+	 */
+	amend(fn) {
+		if (this.#inTransaction) {
+			throw new Error('トランザクション内では記録済みの操作に含めるDOM操作を実行できません');
+		}
+		this.flush();
+		try {
+			return fn();
+		}
+		finally {
+			const mutations = this.#observer.takeRecords();
+			this.#observer.disconnect();
+			const records = this.#nomalizer.normalize(this.#target, mutations.map(UndoBuffer.#toRecord));
+			// 破棄済みの場合は観測を再開しない
+			if (!this.#listenerController.signal.aborted) {
+				this.#observer.observe(this.#target, UndoBuffer.#observeOption);
 			}
-			else {
-				return this.#offset <= readPos && readPos < this.#bufferSize || 0 <= readPos && readPos < this.#endPos;
+			if (records.length !== 0) {
+				const [positions, position] = this.#bufferSize > 0 ? this.#getBufferPositions() : [[], 0];
+				// 変更したノードは祖先のノードとしてまとめて挿入された場合があるため変更したノードを含むノードの挿入を探す
+				const piece = positions.slice(0, position).reverse().map(pos => this.#buffer[pos]).find(piece => piece.records.some(op => op.type === 'childList' && op.addedNodes.some(node => records.every(rec => node.contains(rec.target)))));
+				piece?.records.push(...records);
+				this.#dispatch(['change'], 'amend', records, piece?.label ?? null);
 			}
 		}
+	}
 
-		return false;
+	/**
+	 * 未処理のDOM操作を正規化して記録する
+	 * MutationObserverへの通知より先にDOM操作の記録が必要な場合に用いる
+	 */
+	flush() {
+		const pending = this.#observer.takeRecords();
+		if (pending.length !== 0) {
+			this.#record(pending);
+		}
 	}
 
 	/**
-	 * キャレットの情報の更新
-	 * @param { Range } range 設定する選択範囲(実際にはRange互換のオブジェクトが設定される)
+	 * 観測したDOM操作を上限を適用したうえで正規化して記録する
+	 * @param { MutationRecord[] } mutations 観測したDOM操作
 	 */
-	static updateCaret(range) {
-		const temp = document.createRange();
-		temp.setStart(range.startContainer, range.startOffset);
-		temp.setEnd(range.endContainer, range.endOffset);
-		const selection = window.getSelection();
-		selection.removeAllRanges();
-		selection.addRange(temp);
+	#record(mutations) {
+		// 上限を超えた分の削除も同一の操作として記録する
+		const accepted = this.#enforceLimit();
+		const records = [...mutations, ...this.#observer.takeRecords()].map(UndoBuffer.#toRecord);
+		// ノード挿入の記録中は正規化などでDOM操作が行われるため観測を無効化する
+		this.#observer.disconnect();
+		if (accepted) {
+			this.#pushTyping(this.#nomalizer.normalize(this.#target, records));
+		}
+		else {
+			this.#reject(records);
+		}
+		this.#observer.observe(this.#target, UndoBuffer.#observeOption);
 	}
 
 	/**
-	 * 操作内容のリストを元に戻すように実行する
-	 * @param { UndoBufferRecord[] } records 操作内容のリスト
+	 * 入力前のキャレット位置を退避する
 	 */
-	#undo(records) {
-		for (let i = records.length; i != 0; --i) {
-			const op = records[i - 1];
-			switch (op.type) {
-				case 'characterData':
-					// redoのために値の退避
-					op.newValue = op.target.nodeValue;
-					op.target.nodeValue = op.oldValue;
-					break;
-				case 'attributes':
-					// redoのために値の退避
-					if (op.attributeNamespace) {
-						op.newValue = /** @type { Element } */(op.target).getAttributeNS(op.attributeNamespace, op.attributeName);
-					}
-					else {
-						op.newValue = /** @type { Element } */(op.target).getAttribute(op.attributeName);
-					}
-					if (op.oldValue === null) {
-						// 属性が存在しなかった場合は削除
-						if (op.attributeNamespace) {
-							/** @type { Element } */(op.target).removeAttributeNS(op.attributeNamespace, op.attributeName);
-						}
-						else {
-							/** @type { Element } */(op.target).removeAttribute(op.attributeName);
-						}
-					}
-					else {
-						if (op.attributeNamespace) {
-							/** @type { Element } */(op.target).setAttributeNS(op.attributeNamespace, op.attributeName, op.oldValue);
+	#saveCaret() {
+		const caret = UndoBuffer.getCaret();
+		this.#range = caret || this.#range;
+		// 上限の適用のために入力された範囲の開始位置と入力前の内容の量を退避する
+		this.#inputStart = caret && this.#hasLimit() ? caret.track() : null;
+		this.#inputRemaining = this.#hasLimit() ? this.getRemaining() : null;
+	}
+
+	/**
+	 * 内容の上限が指定されているか
+	 * @returns { boolean } 指定されている場合はtrue
+	 */
+	#hasLimit() {
+		return Number.isFinite(this.#limitOption.maxLength) || Number.isFinite(this.#limitOption.maxParagraphs);
+	}
+
+	/**
+	 * 書記素クラスタ単位の文字数を数える
+	 * @param { string } text 対象の文字列
+	 * @returns { number } 文字数
+	 */
+	static countGraphemes(text) {
+		let count = 0;
+		for (const _ of UndoBuffer.#graphemeSegmenter.segment(text)) {
+			++count;
+		}
+		return count;
+	}
+
+	/**
+	 * 監視対象のノードの内容の量と上限までの残りを取得する
+	 * @returns { UndoBufferRemaining }
+	 */
+	getRemaining() {
+		// 通知前の変更が残っている場合は数え直す
+		if (this.#countObserver === null || this.#countObserver.takeRecords().length !== 0) {
+			this.#count = null;
+		}
+		if (this.#count === null) {
+			const walker = document.createTreeWalker(this.#target, NodeFilter.SHOW_ELEMENT, node => Nomalizer.isTextBlock(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP);
+			let paragraphs = 0;
+			while (walker.nextNode()) {
+				++paragraphs;
+			}
+			this.#count = { length: UndoBuffer.countGraphemes(this.#target.textContent), paragraphs };
+		}
+		const { length, paragraphs } = this.#count;
+		return {
+			length,
+			paragraphs,
+			remaining: this.#limitOption.maxLength - length,
+			remainingParagraphs: this.#limitOption.maxParagraphs - paragraphs
+		};
+	}
+
+	/**
+	 * 内容が増えて上限を超える場合は入力された範囲の末尾から超えた分の文字を削除する
+	 * 段落数が増えて上限を超える場合や入力された範囲から削除しきれない場合は何も変更しない(入力された範囲の外の文字は削除しない)
+	 * @param { Node | null } container 削除の対象を限定するノード(nullの場合は限定しない)
+	 * @returns { boolean } 上限内に収まった場合はtrue、入力全体を取り消す必要がある場合はfalse
+	 */
+	#enforceLimit(container = null) {
+		const start = this.#inputStart;
+		const before = this.#inputRemaining;
+		this.#inputStart = null;
+		this.#inputRemaining = null;
+		if (!this.#hasLimit()) {
+			return true;
+		}
+		const { length, paragraphs, remaining, remainingParagraphs } = this.getRemaining();
+		// 削除などの内容が増えない操作は上限を超えたままでも許可する(入力前の内容の量が不明な場合は増えたものとする)
+		if (remainingParagraphs < 0 && (before === null || paragraphs > before.paragraphs)) {
+			return false;
+		}
+		if (remaining >= 0 || (before !== null && length <= before.length)) {
+			return true;
+		}
+		const caret = UndoBuffer.getCaret();
+		if (!start || !caret?.collapsed || !this.#target.contains(start.startContainer) || !this.#target.contains(caret.startContainer)) {
+			return false;
+		}
+		const range = document.createRange();
+		range.setStart(caret.startContainer, caret.startOffset);
+		/** @type { number } 入力された範囲としてキャレット位置の前から数える文字数の上限 */
+		let inserted = Infinity;
+		if (range.comparePoint(start.startContainer, start.startOffset) < 0) {
+			range.setStart(start.startContainer, start.startOffset);
+		}
+		else {
+			// 選択範囲の置き換えなどで開始位置が入力の後ろになる場合はキャレット位置の前の増えた文字数分のみを入力された範囲とする
+			range.setStart(Nomalizer.findTextBlock(this.#target, caret.startContainer) ?? caret.startContainer, 0);
+			inserted = length - before.length;
+		}
+
+		// 入力された範囲のテキストを書記素クラスタ単位に分割する
+		/** @type { [Text, number, string[]][] } */
+		const texts = [];
+		const walker = document.createTreeWalker(range.commonAncestorContainer, NodeFilter.SHOW_TEXT);
+		for (let node = range.commonAncestorContainer.nodeType === Node.TEXT_NODE ? range.commonAncestorContainer : walker.nextNode(); node; node = walker.nextNode()) {
+			if (range.intersectsNode(node) && (container === null || node === container)) {
+				const text = /** @type { Text } */(node);
+				const begin = text === range.startContainer ? range.startOffset : 0;
+				const end = text === range.endContainer ? range.endOffset : text.length;
+				texts.push([text, end, [...UndoBuffer.#graphemeSegmenter.segment(text.nodeValue.slice(begin, end))].map(segment => segment.segment)]);
+			}
+		}
+		// 入力された文字が全て超えた分となる場合は入力全体を取り消す
+		let excess = -remaining;
+		if (Math.min(texts.reduce((count, [, , segments]) => count + segments.length, 0), inserted) <= excess) {
+			return false;
+		}
+		// 末尾から超えた分だけ削除する
+		for (const [text, end, segments] of texts.reverse()) {
+			const length = segments.slice(-excess).join('').length;
+			text.deleteData(end - length, length);
+			excess -= Math.min(excess, segments.length);
+			if (excess === 0) {
+				break;
+			}
+		}
+		this.#limited = true;
+		return true;
+	}
+
+	/**
+	 * 上限を超える入力の操作内容を元に戻して記録しない(観測を無効化した状態で呼び出すこと)
+	 * @param { UndoBufferRecord[] } records 操作内容のリスト
+	 */
+	#reject(records) {
+		this.#undo(records);
+		UndoBuffer.updateCaret(this.#range);
+		this.#limited = true;
+		this.#dispatchLimit();
+	}
+
+	/**
+	 * 内容の量と上限までの残りを'limit'イベントとして発火する
+	 */
+	#dispatchLimit() {
+		const detail = { ...this.getRemaining(), rejected: this.#limited };
+		this.#limited = false;
+		this.dispatchEvent(new CustomEvent('limit', { detail }));
+	}
+
+	/**
+	 * イベントを発火する
+	 * @param { string[] } types 発火するイベントの種類の一覧
+	 * @param { UndoBufferEventDetail['type'] } type 発火の原因となった操作
+	 * @param { UndoBufferRecord[] } records 操作内容のリスト
+	 * @param { string | null } label 操作の名前
+	 */
+	#dispatch(types, type, records, label) {
+		for (const eventType of types) {
+			this.dispatchEvent(new CustomEvent(eventType, { detail: { type, records, label } }));
+		}
+		if (this.#hasLimit() && types.includes('change')) {
+			this.#dispatchLimit();
+		}
+	}
+
+	/**
+	 * テキスト入力の結合の条件を満たす場合は最後に追加されたバッファに結合して操作内容のリストを追加する
+	 * @param { UndoBufferRecord[] } records 操作内容のリスト
+	 */
+	#pushTyping(records) {
+		const last = this.#typing;
+		const typing = this.#getTyping(records);
+		if (typing !== null && this.#label === null) {
+			this.#label = 'typing';
+		}
+		const mode = last !== null && typing !== null &&
+			// 同一のテキストノードに対する同一種類の編集
+			last.node === typing.node && last.kind === typing.kind &&
+			// 一定時間内の入力
+			typing.time - last.time <= this.#coalesceOption.interval &&
+			// キャレットの移動がない
+			last.caret !== null && this.#range.startContainer === last.caret.startContainer && this.#range.startOffset === last.caret.startOffset &&
+			// 空白の直後の単語の入力開始ではない
+			!(this.#coalesceOption.wordBoundary && typing.kind === 'insert' && last.space && !typing.space);
+		this.push(records, mode);
+		this.#typing = typing;
+	}
+
+	/**
+	 * 操作内容のリストから結合可能なテキスト入力の情報を取得する
+	 * @param { UndoBufferRecord[] } records 操作内容のリスト
+	 * @returns { { node: Node; kind: 'insert' | 'delete'; time: number; space: boolean; caret: EditorSelection | null } | null } テキスト入力の情報(結合できない操作の場合はnull)
+	 */
+	#getTyping(records) {
+		if (this.#coalesceOption.interval <= 0 || records.length === 0) {
+			return null;
+		}
+		// 空段落への最初の入力は空段落の表示のための改行要素のテキストノードへの置き換えとなるため入力の開始として扱う
+		const addedNodes = records.flatMap(op => op.type === 'childList' ? [...op.addedNodes] : []);
+		const isPaddingReplacement = addedNodes.length === 1 && addedNodes[0].nodeType === Node.TEXT_NODE && addedNodes[0].parentNode === records[0].target &&
+			records.every(op => op.type === 'childList' && op.target === records[0].target && [...op.removedNodes].every(node => node.nodeName.toLowerCase() === 'br'));
+		// それ以外は単一のテキストノードの値の変更のみを結合の対象とする
+		if (!isPaddingReplacement && records.some(op => op.type !== 'characterData' || op.target !== records[0].target)) {
+			return null;
+		}
+		const node = isPaddingReplacement ? addedNodes[0] : records[0].target;
+		const caret = UndoBuffer.getCaret();
+		const char = caret?.startContainer === node ? node.nodeValue[caret.startOffset - 1] : undefined;
+		return {
+			node,
+			kind: !isPaddingReplacement && node.nodeValue.length < records[0].oldValue.length ? 'delete' : 'insert',
+			time: Date.now(),
+			space: char === undefined || /\s/.test(char),
+			caret
+		};
+	}
+
+	/**
+	 * 監視対象のノードの内容をJSON表現で取得する
+	 * @returns { NomalizerDocumentNode } 文書のJSON表現
+	 */
+	getDocument() {
+		return this.#nomalizer.toDocument(/** @type { Element } */(this.#target));
+	}
+
+	/**
+	 * 監視対象のノードの内容をJSON表現で置き換える(検証に失敗した場合は例外を送出して内容は変更しない)
+	 * @param { NomalizerDocumentNode } json 文書のJSON表現
+	 * @param { boolean } resetHistory trueの場合はundoバッファを破棄して置き換えはundoの対象としない
+	 */
+	setDocument(json, resetHistory = false) {
+		const fragment = this.#nomalizer.fromDocument(json);
+		// undo時に置き換え前のキャレット位置に戻せるように退避
+		this.#range = UndoBuffer.getCaret() || this.#range;
+		if (resetHistory) {
+			this.#observer.disconnect();
+			/** @type { Element } */(this.#target).replaceChildren(fragment);
+			this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+			this.clear();
+		}
+		else {
+			// 一括で置き換えることで1回のundoで元に戻せるようにする
+			this.#label = 'setDocument';
+			/** @type { Element } */(this.#target).replaceChildren(fragment);
+		}
+		moveCaretToStart(/** @type { Element } */(this.#target));
+	}
+
+	/**
+	 * 元に戻す操作が存在するか
+	 * @returns { boolean } 存在する場合はtrue
+	 */
+	canUndo() {
+		return this.#bufferSize > 0 && this.#existBuffer((this.#pos + this.#bufferSize - 1) % this.#bufferSize);
+	}
+
+	/**
+	 * 前に進める操作が存在するか
+	 * @returns { boolean } 存在する場合はtrue
+	 */
+	canRedo() {
+		return this.#bufferSize > 0 && this.#existBuffer(this.#pos);
+	}
+
+	/**
+	 * undoバッファを破棄する(監視対象のノードの内容は変更しない)
+	 */
+	clear() {
+		this.#buffer = [];
+		this.#offset = this.#pos = this.#endPos = 0;
+		this.#typing = null;
+		this.#dispatch(['change'], 'clear', [], null);
+	}
+
+	/**
+	 * テキスト入力の結合のオプション(省略したオプションは既定値)
+	 * @returns { Required<UndoBufferCoalesceOption> }
+	 */
+	get coalesceOption() {
+		return { ...this.#coalesceOption };
+	}
+
+	/**
+	 * undoバッファの操作の一覧(古い順)とundo可能な操作の数
+	 * @returns { { entries: UndoBufferHistoryEntry[]; position: number } }
+	 */
+	get history() {
+		if (this.#bufferSize <= 0) {
+			return { entries: [], position: 0 };
+		}
+		const [positions, position] = this.#getBufferPositions();
+		return {
+			entries: positions.map(pos => ({ label: this.#buffer[pos].label, time: this.#buffer[pos].time })),
+			position
+		};
+	}
+
+	/**
+	 * バッファが存在するか
+	 * @param { number } readPos バッファ位置
+	 * @returns { bool } バッファが存在する場合はtrue、存在しない場合はfalse
+	 */
+	#existBuffer(readPos) {
+		if (this.#offset != this.#endPos) {
+			// readPosが区間[#offset, #endPos)に存在すること判定する
+			if (this.#offset < this.#endPos) {
+				return this.#offset <= readPos && readPos < this.#endPos;
+			}
+			else {
+				return this.#offset <= readPos && readPos < this.#bufferSize || 0 <= readPos && readPos < this.#endPos;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * キャレットの情報の更新
+	 * @param { EditorSelection | Range | null } range 設定する選択範囲(EditorSelectionの場合は方向も設定する)
+	 */
+	static updateCaret(range) {
+		// 選択範囲が存在しないまま編集された場合は何もしない
+		if (!range) {
+			return;
+		}
+		if (range instanceof EditorSelection) {
+			range.apply();
+			return;
+		}
+		const temp = document.createRange();
+		temp.setStart(range.startContainer, range.startOffset);
+		temp.setEnd(range.endContainer, range.endOffset);
+		const selection = window.getSelection();
+		selection.removeAllRanges();
+		selection.addRange(temp);
+	}
+
+	/**
+	 * 操作内容のリストを元に戻すように実行する
+	 * @param { UndoBufferRecord[] } records 操作内容のリスト
+	 */
+	#undo(records) {
+		for (let i = records.length; i != 0; --i) {
+			const op = records[i - 1];
+			switch (op.type) {
+				case 'characterData':
+					// redoのために値の退避
+					op.newValue = op.target.nodeValue;
+					op.target.nodeValue = op.oldValue;
+					break;
+				case 'attributes':
+					// redoのために値の退避
+					if (op.attributeNamespace) {
+						op.newValue = /** @type { Element } */(op.target).getAttributeNS(op.attributeNamespace, op.attributeName);
+					}
+					else {
+						op.newValue = /** @type { Element } */(op.target).getAttribute(op.attributeName);
+					}
+					if (op.oldValue === null) {
+						// 属性が存在しなかった場合は削除
+						if (op.attributeNamespace) {
+							/** @type { Element } */(op.target).removeAttributeNS(op.attributeNamespace, op.attributeName);
+						}
+						else {
+							/** @type { Element } */(op.target).removeAttribute(op.attributeName);
+						}
+					}
+					else {
+						if (op.attributeNamespace) {
+							/** @type { Element } */(op.target).setAttributeNS(op.attributeNamespace, op.attributeName, op.oldValue);
 						}
 						else {
 							/** @type { Element } */(op.target).setAttribute(op.attributeName, op.oldValue);
@@ -320,8 +1212,9 @@ class UndoBuffer {
 					for (let j = op.addedNodes.length; j != 0; --j) {
 						op.target.removeChild(op.addedNodes[j - 1]);
 					}
-					for (let j = op.removedNodes.length; j != 0; --j) {
-						op.target.insertBefore(op.removedNodes[j - 1], op.nextSibling);
+					// nextSiblingの直前に順に挿入することで元の並びに戻す
+					for (const node of op.removedNodes) {
+						op.target.insertBefore(node, op.nextSibling);
 					}
 					break;
 			}
@@ -336,6 +1229,7 @@ class UndoBuffer {
 		// 元に戻す操作がないときは何もしない
 		if (this.#existBuffer(readPos)) {
 			this.#observer.disconnect();
+			this.#typing = null;
 
 			// バッファの最後の要素から元に戻す操作を順に行う
 			this.#undo(this.#buffer[readPos].records);
@@ -345,6 +1239,7 @@ class UndoBuffer {
 			// redoできるように位置を移動
 			this.#pos = readPos;
 			this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+			this.#dispatch(['undo', 'change'], 'undo', this.#buffer[readPos].records, this.#buffer[readPos].label);
 		}
 	}
 
@@ -397,6 +1292,7 @@ class UndoBuffer {
 		// 前に進める操作がないときは何もしない
 		if (this.#existBuffer(readPos)) {
 			this.#observer.disconnect();
+			this.#typing = null;
 
 			// バッファの最初の要素から前に進める操作を順に行う
 			this.#redo(this.#buffer[readPos].records);
@@ -406,494 +1302,7127 @@ class UndoBuffer {
 			// undoできるように位置を移動
 			this.#pos = (this.#pos + 1) % this.#bufferSize;
 			this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+			this.#dispatch(['redo', 'change'], 'redo', this.#buffer[readPos].records, this.#buffer[readPos].label);
 		}
 	}
-}
-
-/**
- * 正規化器
- */
-class Nomalizer {
 
 	/**
-	 * 操作内容に関する特定のDOMノードを置換する
-	 * @param { UndoBufferRecord[] } records 操作内容
-	 * @param { Node } node 置換対象
-	 * @param { Node } target UndoBufferRecord.targetへの置換内容
-	 * @param { Node | null } previousSibling UndoBufferRecord.previousSiblingへの置換内容
-	 * @param { Node | null } nextSibling UndoBufferRecord.nextSiblingへの置換内容
-	 * @param { number } begin recordsの始端
-	 * @param { number } end recordsの終端
+	 * ルート要素からの子としてのインデックスの列を取得する
+	 * @param { Node } root ルート要素
+	 * @param { Node } node 対象のノード
+	 * @returns { number[] | null } インデックスの列(ルート要素の子孫でない場合はnull)
 	 */
-	static replaceOperation(records, node, target, previousSibling, nextSibling, begin, end) {
-		while (begin !== end) {
-			if (records[begin].type === 'childList') {
-				if (records[begin].target === node) {
-					records[begin].target = target;
-				}
-				if (records[begin].previousSibling === node) {
-					records[begin].previousSibling = previousSibling;
-				}
-				if (records[begin].nextSibling === node) {
-					records[begin].nextSibling = nextSibling;
-				}
-			}
-			else if (records[begin].target === node) {
-				// 置換によりnodeは'childList'に関する操作以外は意味はないため削除
-				records.splice(begin, 1);
-				--end;
-				continue;
+	static #getPath(root, node) {
+		const path = [];
+		for (; node !== root; node = node.parentNode) {
+			if (!node?.parentNode) {
+				return null;
 			}
-			++begin;
+			path.unshift(Nomalizer.getChildIndex(node));
 		}
+		return path;
 	}
 
 	/**
-	 * 操作内容に挿入情報を挿入する
-	 * @param { UndoBufferRecord[] } records 操作内容
-	 * @param { Node } target 挿入先
-	 * @param { NodeList | Node[] } nodes 挿入内容
-	 * @param { number } index 挿入操作の挿入先
+	 * ルート要素からの子としてのインデックスの列が示すノードを取得する
+	 * @param { Node } root ルート要素
+	 * @param { unknown } path インデックスの列
+	 * @returns { Node } 対象のノード
 	 */
-	static insertInsertOperation(records, target, nodes, index = records.length) {
-		if (nodes.length === 0) {
-			return;
+	static #resolvePath(root, path) {
+		if (!Array.isArray(path)) {
+			throw new TypeError('パスが配列ではありません');
 		}
-		records.splice(index, 0, {
-			type: 'childList',
-			target: target,
-			addedNodes: nodes,
-			removedNodes: [],
-			previousSibling: nodes[0].previousSibling,
-			nextSibling: nodes[nodes.length - 1].nextSibling,
-			attributeName: null,
-			attributeNamespace: null,
-			oldValue: null,
-			newValue: null
-		});
+		let node = root;
+		for (const index of path) {
+			node = Number.isInteger(index) ? node.childNodes[index] : undefined;
+			if (!node) {
+				throw new TypeError(`パス[${path.join(', ')}]に対応するノードが存在しません`);
+			}
+		}
+		return node;
 	}
 
 	/**
-	 * 挿入操作を取り消す
-	 * @param { Range | null } range キャレット情報(実際にはRange互換のオブジェクトが設定される)
-	 * @param { UndoBufferRecord[] } records 操作内容
-	 * @param { number } i recordのインデックス
-	 * @param { number } j 挿入したノードのインデックス
-	 * @returns { [number, number] } 削除後のインデックス[i, j]
+	 * ノードのスナップショットを取得する
+	 * @param { Node } node 対象のノード
+	 * @returns { UndoBufferNodeSnapshot } スナップショット
 	 */
-	static cancelInsertOperation(records, i, j) {
-		// 以下のようなパラメータチェックは行わない
-		// records[i].type === 'childList'
-		
-		const op = records[i];
-		op.addedNodes.splice(j, 1);
-		--j;
-		if (op.addedNodes.length === 0) {
-			records.splice(i, 1);
-			--i;
+	static #snapshot(node) {
+		if (node.nodeType !== Node.ELEMENT_NODE) {
+			return { type: node.nodeName, value: node.nodeValue };
 		}
-
-		return [i, j];
+		const element = /** @type { Element } */(node);
+		return {
+			type: element.localName,
+			...(element.namespaceURI === document.documentElement.namespaceURI ? {} : { namespace: element.namespaceURI }),
+			attrs: [...element.attributes].map(attr => [attr.name, attr.value]),
+			children: [...element.childNodes].map(UndoBuffer.#snapshot)
+		};
 	}
 
 	/**
-	 * 子要素としてのインデックスを取得する
-	 * @param { Node } node 位置を検索する対象のノード
-	 * @returns { number } nodeの子要素としてのインデックス
+	 * スナップショットからノードを構築する
+	 * @param { UndoBufferNodeSnapshot } snapshot スナップショット
+	 * @returns { Node } 構築したノード
 	 */
-	static getChildIndex(node) {
-		let i = 0;
-		while((node = node.previousSibling) != null)  {
-			++i;
+	static #restore(snapshot) {
+		switch (snapshot?.type) {
+			case '#text':
+				return document.createTextNode(String(snapshot.value));
+			case '#comment':
+				return document.createComment(String(snapshot.value));
 		}
-		return i;
+		if (typeof snapshot?.type !== 'string' || !Array.isArray(snapshot.attrs) || !Array.isArray(snapshot.children)) {
+			throw new TypeError('ノードのスナップショットではありません');
+		}
+		const element = snapshot.namespace ? document.createElementNS(snapshot.namespace, snapshot.type) : document.createElement(snapshot.type);
+		for (const [name, value] of snapshot.attrs) {
+			element.setAttribute(name, value);
+		}
+		element.append(...snapshot.children.map(UndoBuffer.#restore));
+		return element;
 	}
 
 	/**
-	 * 一括でノードの移動を行う(移動対象に関する操作内容の編集は行わない)
-	 * @param { Range | null } range キャレット情報(実際にはRange互換のオブジェクトが設定される)
-	 * @param { NodeList | Node[] } targets 移動対象のノード(全ての親ノードは共通かつ連続である必要がある)
-	 * @param { ParentNode } refParent 移動先の親ノード
-	 * @param { Node | null } ref 移動先の次のノード
+	 * 選択範囲をノードの参照を含まない形式に変換する
+	 * @param { EditorSelection | null } range 選択範囲
+	 * @returns { UndoBufferPathRange | null } ノードの参照を含まない選択範囲(ルート要素外の場合はnull)
 	 */
-	static moveNodeList(range, targets, refParent, ref = null) {
-		if (targets.length === 0) {
-			return;
+	#toPathRange(range) {
+		const startPath = range && UndoBuffer.#getPath(this.#target, range.startContainer);
+		const endPath = range && UndoBuffer.#getPath(this.#target, range.endContainer);
+		return startPath && endPath ? { startPath, startOffset: range.startOffset, endPath, endOffset: range.endOffset, backward: range.backward } : null;
+	}
+
+	/**
+	 * ノードの参照を含まない選択範囲を変換する
+	 * @param { UndoBufferPathRange | null } range ノードの参照を含まない選択範囲
+	 * @returns { EditorSelection | null } 選択範囲
+	 */
+	#fromPathRange(range) {
+		if (!range) {
+			return null;
 		}
+		return EditorSelection.fromRange({
+			startContainer: UndoBuffer.#resolvePath(this.#target, range.startPath),
+			startOffset: range.startOffset,
+			endContainer: UndoBuffer.#resolvePath(this.#target, range.endPath),
+			endOffset: range.endOffset
+		}, range.backward ?? false);
+	}
 
-		// キャレット位置の再計算のための計算
-		const targetsParent = targets[0].parentNode;
-		const offset = Nomalizer.getChildIndex(targets[0]);
-		const childIndex = ref ? Nomalizer.getChildIndex(ref) : refParent.childNodes.length;
+	/**
+	 * 操作前の状態のDOMツリーから操作をノードの参照を含まない形式に変換する
+	 * @param { UndoBufferRecord } op 操作内容(newValueが設定されている必要がある)
+	 * @returns { UndoBufferPathRecord | null } ノードの参照を含まない操作(ルート要素外のノードへの操作の場合はnull)
+	 */
+	#toPathRecord(op) {
+		const path = UndoBuffer.#getPath(this.#target, op.target);
+		if (path === null) {
+			// 切り離されたノードへの操作は挿入時のスナップショットに含まれるため不要
+			return null;
+		}
+		switch (op.type) {
+			case 'characterData': {
+				// 変更前後で共通する先頭と末尾を除いた差分のみを保持する
+				const oldValue = op.target.nodeValue;
+				const newValue = op.newValue;
+				let begin = 0;
+				while (begin < oldValue.length && begin < newValue.length && oldValue[begin] === newValue[begin]) {
+					++begin;
+				}
+				let end = 0;
+				while (end < oldValue.length - begin && end < newValue.length - begin && oldValue[oldValue.length - end - 1] === newValue[newValue.length - end - 1]) {
+					++end;
+				}
+				return { type: op.type, path, offset: begin, deletedText: oldValue.slice(begin, oldValue.length - end), insertedText: newValue.slice(begin, newValue.length - end) };
+			}
+			case 'attributes':
+				return { type: op.type, path, attributeName: op.attributeName, attributeNamespace: op.attributeNamespace, oldValue: op.oldValue, newValue: op.newValue };
+			case 'childList':
+				return {
+					type: op.type,
+					path,
+					index: op.removedNodes.length !== 0 ? Nomalizer.getChildIndex(op.removedNodes[0]) : op.nextSibling ? Nomalizer.getChildIndex(op.nextSibling) : op.target.childNodes.length,
+					addedNodes: op.addedNodes.map(UndoBuffer.#snapshot),
+					removedNodes: op.removedNodes.map(UndoBuffer.#snapshot)
+				};
+		}
+	}
 
-		// ノードを挿入する
-		if (ref) {
-			for (const target of targets) {
-				refParent.insertBefore(target, ref);
+	/**
+	 * 操作前の状態のDOMツリーから操作内容のリストを1つずつ前に進めながらノードの参照を含まない形式に変換する
+	 * 削除したノードを同一の操作内容のリスト内で再度挿入する場合は削除と挿入ではなく移動として変換する
+	 * @param { UndoBufferRecord[] } records 操作内容のリスト(newValueが設定されている必要がある)
+	 * @returns { UndoBufferPathRecord[] } ノードの参照を含まない操作のリスト
+	 */
+	#toPathRecords(records) {
+		/** @type { UndoBufferPathRecord[] } */
+		const result = [];
+		/** @type { Set<Node> } 後で再度挿入するため移動まで削除を保留しているノード */
+		const deferred = new Set();
+		/**
+		 * 現在の位置のノードの列の削除を変換して実行する
+		 * @param { Node[] } nodes 削除するノード(兄弟として連続する必要がある)
+		 */
+		const remove = nodes => {
+			const parent = nodes[0].parentNode;
+			result.push({
+				type: 'childList',
+				path: UndoBuffer.#getPath(this.#target, parent),
+				index: Nomalizer.getChildIndex(nodes[0]),
+				addedNodes: [],
+				removedNodes: nodes.map(UndoBuffer.#snapshot)
+			});
+			for (const node of nodes) {
+				parent.removeChild(node);
+			}
+		};
+
+		/** @type { Set<UndoBufferRecord> } 直前の操作内容とまとめて変換済みの操作内容 */
+		const converted = new Set();
+
+		records.forEach((op, i) => {
+			if (converted.has(op)) {
+				return;
+			}
+			const path = UndoBuffer.#getPath(this.#target, op.target);
+			if (op.type !== 'childList' || path === null) {
+				const rec = this.#toPathRecord(op);
+				this.#redo([op]);
+				if (rec !== null) {
+					result.push(rec);
+				}
+				return;
+			}
+			// テキストノードの分割(後半の挿入と前半の切り詰め)は挿入と変更ではなく分割として変換する
+			const text = op.previousSibling;
+			const next = records[i + 1];
+			if (op.removedNodes.length === 0 && op.addedNodes.length === 1 && op.addedNodes[0].nodeType === Node.TEXT_NODE && !deferred.has(op.addedNodes[0]) &&
+				text?.nodeType === Node.TEXT_NODE && text.parentNode === op.target && text.nextSibling === op.nextSibling &&
+				next?.type === 'characterData' && next.target === text && text.nodeValue === next.newValue + op.addedNodes[0].nodeValue) {
+				result.push({ type: 'splitText', path: [...path, Nomalizer.getChildIndex(text)], offset: next.newValue.length });
+				this.#redo([op, next]);
+				converted.add(next);
+				return;
+			}
+			// 以降の操作内容で削除より先に再度挿入するノードは移動とする
+			const isMoved = node => {
+				const later = records.slice(i + 1).find(rec => rec.type === 'childList' && (rec.addedNodes.includes(node) || rec.removedNodes.includes(node)));
+				return later?.addedNodes.includes(node) ?? false;
+			};
+			const removedNodes = op.removedNodes.filter(node => !isMoved(node));
+			// 削除するノード内の移動を保留しているノードは削除として確定する
+			const inner = [...deferred].filter(node => removedNodes.some(removed => removed.contains(node)));
+			// 移動を含まない連続した範囲の置き換えはそのまま変換する
+			let sibling = op.removedNodes[0] ?? op.nextSibling;
+			const contiguous = op.removedNodes.every(node => {
+				const same = node === sibling;
+				sibling = sibling?.nextSibling ?? null;
+				return same;
+			}) && sibling === op.nextSibling;
+			if (removedNodes.length === op.removedNodes.length && inner.length === 0 && contiguous && !op.addedNodes.some(node => deferred.has(node))) {
+				result.push(this.#toPathRecord(op));
+				this.#redo([op]);
+				return;
+			}
+
+			for (const node of inner) {
+				remove([node]);
+				deferred.delete(node);
+			}
+			// 削除するノードは兄弟として連続するものごとにまとめる
+			for (const node of removedNodes) {
+				if (node.previousSibling !== null && removedNodes.includes(node.previousSibling)) {
+					continue;
+				}
+				const nodes = [node];
+				while (nodes.at(-1).nextSibling !== null && removedNodes.includes(nodes.at(-1).nextSibling)) {
+					nodes.push(nodes.at(-1).nextSibling);
+				}
+				remove(nodes);
+			}
+			for (const node of op.removedNodes) {
+				if (!removedNodes.includes(node)) {
+					deferred.add(node);
+				}
 			}
+			// 挿入するノードは移動するノードの前後で区切ってまとめる
+			/** @type { Node[] } */
+			let nodes = [];
+			const flush = () => {
+				if (nodes.length !== 0) {
+					result.push({ type: 'childList', path, index: Nomalizer.getChildIndex(nodes[0]), addedNodes: nodes.map(UndoBuffer.#snapshot), removedNodes: [] });
+					nodes = [];
+				}
+			};
+			for (const node of op.addedNodes) {
+				if (deferred.has(node)) {
+					flush();
+					const from = UndoBuffer.#getPath(this.#target, node.parentNode);
+					const index = Nomalizer.getChildIndex(node);
+					const snapshot = UndoBuffer.#snapshot(node);
+					op.target.insertBefore(node, op.nextSibling);
+					result.push({ type: 'move', path: from, index, toPath: path, toIndex: Nomalizer.getChildIndex(node), node: snapshot });
+					deferred.delete(node);
+				}
+				else {
+					op.target.insertBefore(node, op.nextSibling);
+					nodes.push(node);
+				}
+			}
+			flush();
+		});
+		return result;
+	}
+
+	/**
+	 * ノードの参照を含まない操作を実行する
+	 * @param { Node } root ルート要素
+	 * @param { UndoBufferPathRecord } rec ノードの参照を含まない操作
+	 * @param { boolean } forward trueの場合は操作を前に進め、falseの場合は元に戻す
+	 * @param { Nomalizer | null } nomalizer 外部から持ち込まれた操作の場合に挿入するノードと属性を無害化する正規化器
+	 * @returns { UndoBufferRecord[] } 前に進める操作としての操作内容のリスト
+	 */
+	static #applyPathRecord(root, rec, forward, nomalizer = null) {
+		/** @type { (snapshot: UndoBufferNodeSnapshot) => Node } スナップショットからノードを構築する関数 */
+		const restore = nomalizer ? snapshot => nomalizer.neutralize(UndoBuffer.#restore(snapshot)) : UndoBuffer.#restore;
+		if (rec?.type === 'move') {
+			return UndoBuffer.#applyMoveRecord(root, rec, forward, restore);
 		}
-		else {
-			// 移動先の指定がないときは末尾に一括で追加する
-			refParent.append(...targets);
+		if (rec?.type === 'splitText' || rec?.type === 'joinText') {
+			return UndoBuffer.#applyTextRecord(root, rec, forward);
 		}
-
-		// キャレット位置をtargetsParentからrefParentに付け替える
-		if (range) {
-			if (range.startContainer === targetsParent && offset <= range.startOffset && range.startOffset <= offset + targets.length) {
-				range.startContainer = refParent;
-				range.startOffset = range.startOffset - offset + childIndex;
+		const target = UndoBuffer.#resolvePath(root, rec?.path);
+		const op = {
+			type: rec.type,
+			target,
+			addedNodes: [],
+			removedNodes: [],
+			previousSibling: null,
+			nextSibling: null,
+			attributeName: null,
+			attributeNamespace: null,
+			oldValue: null,
+			newValue: null
+		};
+		switch (rec.type) {
+			case 'characterData': {
+				const [before, after] = forward ? [rec.deletedText, rec.insertedText] : [rec.insertedText, rec.deletedText];
+				if (typeof before !== 'string' || typeof after !== 'string' || target.nodeValue?.substr(rec.offset, before.length) !== before) {
+					throw new TypeError(`パス[${rec.path.join(', ')}]のテキストが操作内容と一致しません`);
+				}
+				const value = target.nodeValue;
+				// 選択範囲が編集位置に従って補正されるように部分的に置き換える
+				/** @type { CharacterData } */(target).replaceData(rec.offset, before.length, after);
+				[op.oldValue, op.newValue] = forward ? [value, target.nodeValue] : [target.nodeValue, value];
+				break;
 			}
-			if (range.endContainer === targetsParent && offset <= range.endOffset && range.endOffset <= offset + targets.length) {
-				range.endContainer = refParent;
-				range.endOffset = range.endOffset - offset + childIndex;
+			case 'attributes': {
+				// ルート要素の属性はスキーマの対象外とする
+				const [oldValue, newValue] = nomalizer && !rec.attributeNamespace && target !== root ?
+					[rec.oldValue, rec.newValue].map(value => nomalizer.repairAttributeValue(/** @type { Element } */(target), rec.attributeName, value)) :
+					[rec.oldValue, rec.newValue];
+				const value = forward ? newValue : oldValue;
+				if (value === null) {
+					rec.attributeNamespace ? /** @type { Element } */(target).removeAttributeNS(rec.attributeNamespace, rec.attributeName) : /** @type { Element } */(target).removeAttribute(rec.attributeName);
+				}
+				else {
+					rec.attributeNamespace ? /** @type { Element } */(target).setAttributeNS(rec.attributeNamespace, rec.attributeName, value) : /** @type { Element } */(target).setAttribute(rec.attributeName, value);
+				}
+				Object.assign(op, { attributeName: rec.attributeName, attributeNamespace: rec.attributeNamespace, oldValue, newValue });
+				break;
 			}
-			if (targetsParent === null) {
-				// 移動のない単純なノードの挿入だった場合はオフセットを再計算
-				if (range.startContainer === refParent && childIndex <= range.startOffset) {
-					range.startOffset += targets.length;
+			case 'childList': {
+				const [before, after] = forward ? [rec.removedNodes, rec.addedNodes] : [rec.addedNodes, rec.removedNodes];
+				if (!Array.isArray(before) || !Array.isArray(after)) {
+					throw new TypeError('操作内容のノードが配列ではありません');
+				}
+				const nodes = [...target.childNodes].slice(rec.index, rec.index + before.length);
+				if (nodes.length !== before.length || nodes.some((node, i) => !node.isEqualNode(restore(before[i])))) {
+					throw new TypeError(`パス[${rec.path.join(', ')}]の子ノードが操作内容と一致しません`);
+				}
+				op.previousSibling = target.childNodes[rec.index - 1] ?? null;
+				op.nextSibling = target.childNodes[rec.index + before.length] ?? null;
+				for (const node of nodes) {
+					target.removeChild(node);
 				}
-				if (range.endContainer === refParent && childIndex <= range.endOffset) {
-					range.endOffset += targets.length;
+				const inserted = after.map(restore);
+				for (const node of inserted) {
+					target.insertBefore(node, op.nextSibling);
 				}
+				[op.removedNodes, op.addedNodes] = forward ? [nodes, inserted] : [inserted, nodes];
+				break;
 			}
+			default:
+				throw new TypeError(`${rec?.type}は操作内容の種類ではありません`);
 		}
+		return [op];
 	}
 
 	/**
-	 * 挿入操作を別のノードとしての挿入操作に置換する
-	 * @param { Range | null } range キャレット情報(実際にはRange互換のオブジェクトが設定される)
-	 * @param { UndoBufferRecord[] } records 操作内容
-	 * @param { number } i recordのインデックス
-	 * @param { number } j 挿入したノードのインデックス
-	 * @param { Node } target 置換内容
+	 * ノードの参照を含まないノードの移動を実行する
+	 * @param { Node } root ルート要素
+	 * @param { UndoBufferPathRecord } rec ノードの参照を含まないノードの移動
+	 * @param { boolean } forward trueの場合は操作を前に進め、falseの場合は元に戻す
+	 * @param { (snapshot: UndoBufferNodeSnapshot) => Node } restore スナップショットからノードを構築する関数
+	 * @returns { UndoBufferRecord[] } 前に進める操作としての操作内容のリスト(移動元からの削除と移動先への挿入)
 	 */
-	static replaceNodeAndInsertOperation(records, i, j, target) {
-		// 以下のようなパラメータチェックは行わない
-		// records[i].type === 'childList'
+	static #applyMoveRecord(root, rec, forward, restore) {
+		const [fromPath, fromIndex, toPath, toIndex] = forward ? [rec.path, rec.index, rec.toPath, rec.toIndex] : [rec.toPath, rec.toIndex, rec.path, rec.index];
+		const from = UndoBuffer.#resolvePath(root, fromPath);
+		const node = Number.isInteger(fromIndex) ? from.childNodes[fromIndex] : undefined;
+		if (!node || !node.isEqualNode(restore(rec.node))) {
+			throw new TypeError(`パス[${fromPath.join(', ')}]の子ノードが操作内容と一致しません`);
+		}
+		const create = (target, previousSibling, nextSibling) => ({
+			type: 'childList',
+			target,
+			addedNodes: [],
+			removedNodes: [],
+			previousSibling,
+			nextSibling,
+			attributeName: null,
+			attributeNamespace: null,
+			oldValue: null,
+			newValue: null
+		});
+		const removal = { ...create(from, node.previousSibling, node.nextSibling), removedNodes: [node] };
+		from.removeChild(node);
+		const to = UndoBuffer.#resolvePath(root, toPath);
+		if (!Number.isInteger(toIndex) || toIndex < 0 || toIndex > to.childNodes.length) {
+			from.insertBefore(node, removal.nextSibling);
+			throw new TypeError(`パス[${toPath.join(', ')}]の子ノードの位置に移動できません`);
+		}
+		const insertion = { ...create(to, to.childNodes[toIndex - 1] ?? null, to.childNodes[toIndex] ?? null), addedNodes: [node] };
+		to.insertBefore(node, insertion.nextSibling);
+		return [removal, insertion];
+	}
 
-		const op = records[i];
-		const node = op.addedNodes[j];
-		op.target.replaceChild(target, node);
-		op.addedNodes[j] = target;
-		// nodeに関する操作内容をtargetに置き換える
-		Nomalizer.replaceOperation(records, node, target, target, target, i + 1, records.length);
+	/**
+	 * ノードの参照を含まないテキストノードの分割または併合を実行する
+	 * @param { Node } root ルート要素
+	 * @param { UndoBufferPathRecord } rec ノードの参照を含まないテキストノードの分割または併合
+	 * @param { boolean } forward trueの場合は操作を前に進め、falseの場合は元に戻す
+	 * @returns { UndoBufferRecord[] } 前に進める操作としての操作内容のリスト(分割は後半の挿入と前半の切り詰め、併合は前半への追加と後半の削除)
+	 */
+	static #applyTextRecord(root, rec, forward) {
+		const target = UndoBuffer.#resolvePath(root, rec.path);
+		const split = forward === (rec.type === 'splitText');
+		const next = target.nextSibling;
+		if (target.nodeType !== Node.TEXT_NODE || !Number.isInteger(rec.offset) || rec.offset < 0 ||
+			(split ? rec.offset > target.nodeValue.length : rec.offset !== target.nodeValue.length || next?.nodeType !== Node.TEXT_NODE)) {
+			throw new TypeError(`パス[${rec.path.join(', ')}]のテキストが操作内容と一致しません`);
+		}
+		const create = (type, target) => ({
+			type,
+			target,
+			addedNodes: [],
+			removedNodes: [],
+			previousSibling: null,
+			nextSibling: null,
+			attributeName: null,
+			attributeNamespace: null,
+			oldValue: null,
+			newValue: null
+		});
+		const value = target.nodeValue;
+		if (split) {
+			// 選択範囲が分割に従って補正されるようにText.splitTextで分割する
+			const tail = /** @type { Text } */(target).splitText(rec.offset);
+			return [
+				{ ...create('childList', target.parentNode), addedNodes: [tail], previousSibling: target, nextSibling: next },
+				{ ...create('characterData', target), oldValue: value, newValue: target.nodeValue }
+			];
+		}
+		/** @type { Text } */(target).appendData(next.nodeValue);
+		const removal = { ...create('childList', target.parentNode), removedNodes: [next], previousSibling: target, nextSibling: next.nextSibling };
+		target.parentNode.removeChild(next);
+		return [{ ...create('characterData', target), oldValue: value, newValue: target.nodeValue }, removal];
 	}
 
 	/**
-	 * 子要素のノードと操作内容を現在位置で展開して展開元は削除する
-	 * @param { Range | null } range キャレット情報(実際にはRange互換のオブジェクトが設定される)
-	 * @param { UndoBufferRecord[] } records 操作内容
-	 * @param { number } i recordのインデックス
-	 * @param { number } j 挿入したノードのインデックス
-	 * @returns { [number, number] } 削除後のインデックス[i, j]
+	 * 現在のバッファの位置の一覧を古い順に取得する
+	 * @returns { [number[], number] } バッファの位置の一覧とundo可能な操作の数
 	 */
-	static expandChildNodesAndInsertOperation(range, records, i, j) {
-		// 以下のようなパラメータチェックは行わない
-		// records[i].type === 'childList'
-		
-		const op = records[i];
-		const node = op.addedNodes[j];
-		const ref = node.nextSibling;
-		const childIndex = Nomalizer.getChildIndex(node);
-		// 挿入操作を完全に取り消す
-		[i, j] = Nomalizer.cancelInsertOperation(records, i, j);
-		op.target.removeChild(node);
+	#getBufferPositions() {
+		const positions = [];
+		for (let i = this.#offset; i !== this.#endPos; i = (i + 1) % this.#bufferSize) {
+			positions.push(i);
+		}
+		return [positions, (this.#pos - this.#offset + this.#bufferSize) % this.#bufferSize];
+	}
+
+	/**
+	 * undoバッファをノードの参照を含まないJSONとして保存可能な形式で取得する
+	 * @returns { UndoBufferHistory } undoバッファ
+	 */
+	exportHistory() {
+		const [positions, undoable] = this.#getBufferPositions();
+		const caret = UndoBuffer.getCaret();
+		this.#observer.disconnect();
 
-		// キャレット位置のオフセットを削除した1つ分ずらす
-		if (range) {
-			if (range.startContainer === op.target && childIndex < range.startOffset) {
-				--range.startOffset;
+		// 最も古い操作の前の状態に戻してから操作を1つずつ前に進めながら変換する
+		for (let i = undoable; i !== 0; --i) {
+			this.#undo(this.#buffer[positions[i - 1]].records);
+		}
+		const pieces = positions.map(pos => {
+			const piece = this.#buffer[pos];
+			const oldRange = this.#toPathRange(piece.oldRange);
+			const records = this.#toPathRecords(piece.records);
+			return { records, oldRange, newRange: this.#toPathRange(piece.newRange), label: piece.label, time: piece.time };
+		});
+		// 元の状態に戻す
+		for (let i = positions.length; i !== undoable; --i) {
+			this.#undo(this.#buffer[positions[i - 1]].records);
+		}
+
+		UndoBuffer.updateCaret(caret);
+		this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+		// テキストノードの分割などはHTMLとして保存すると失われるため内容自体も含める
+		return { version: 1, position: undoable, content: [...this.#target.childNodes].map(UndoBuffer.#snapshot), pieces };
+	}
+
+	/**
+	 * exportHistoryで取得したundoバッファで現在のundoバッファと監視対象のノードの内容を置き換える
+	 * 操作内容が内容と整合しない場合は例外を送出して何も変更しない
+	 * @param { UndoBufferHistory } history undoバッファ
+	 */
+	importHistory(history) {
+		if (history?.version !== 1 || !Array.isArray(history.content) || !Array.isArray(history.pieces) || history.pieces.some(piece => !Array.isArray(piece?.records)) ||
+			!Number.isInteger(history.position) || history.position < 0 || history.position > history.pieces.length) {
+			throw new TypeError('undoバッファの形式ではありません');
+		}
+		// 外部から持ち込まれた内容は正規化を経ずに挿入するためスクリプトや許可されない属性を無害化して構築する
+		const restore = snapshot => this.#nomalizer.neutralize(UndoBuffer.#restore(snapshot));
+		// 監視対象のノードを変更する前に複製に対して全ての操作を適用できることを検証する
+		const clone = this.#target.cloneNode(false);
+		clone.append(...history.content.map(restore));
+		for (let i = history.position; i !== 0; --i) {
+			for (const rec of [...history.pieces[i - 1].records].reverse()) {
+				UndoBuffer.#applyPathRecord(clone, rec, false, this.#nomalizer);
 			}
-			if (range.endContainer === op.target && childIndex < range.endOffset) {
-				--range.endOffset;
+		}
+		for (const piece of history.pieces) {
+			for (const rec of piece.records) {
+				UndoBuffer.#applyPathRecord(clone, rec, true, this.#nomalizer);
 			}
 		}
 
-		// node自体が不要で子ノードはその場に展開する指定があれば展開する
-		if (node.childNodes.length !== 0) {
-			// 削除したノードの元の隣接しているノードや子の接続情報を書き換え
-			Nomalizer.replaceOperation(
+		this.#observer.disconnect();
+		/** @type { Element } */(this.#target).replaceChildren(...history.content.map(restore));
+		// 最も古い操作の前の状態に戻してから操作を1つずつ前に進めながら操作内容を構築する
+		for (let i = history.position; i !== 0; --i) {
+			for (const rec of [...history.pieces[i - 1].records].reverse()) {
+				UndoBuffer.#applyPathRecord(this.#target, rec, false, this.#nomalizer);
+			}
+		}
+		const pieces = history.pieces.map(piece => {
+			const oldRange = this.#fromPathRange(piece.oldRange);
+			const records = piece.records.flatMap(rec => UndoBuffer.#applyPathRecord(this.#target, rec, true, this.#nomalizer));
+			return {
 				records,
-				node,
-				op.target,
-				node.childNodes[node.childNodes.length - 1],
-				node.childNodes[0],
-				i + 1, records.length
-			);
-			Nomalizer.moveNodeList(range, node.childNodes, op.target, ref);
+				oldRange,
+				newRange: this.#fromPathRange(piece.newRange),
+				label: typeof piece.label === 'string' ? piece.label : null,
+				time: Number.isFinite(piece.time) ? piece.time : Date.now()
+			};
+		});
+		// 元の状態に戻す
+		let position = history.position;
+		for (let i = pieces.length; i !== position; --i) {
+			this.#undo(pieces[i - 1].records);
+		}
+		// バッファサイズを超える場合は古い操作から破棄する
+		while (pieces.length > Math.max(this.#bufferSize - 1, 0)) {
+			if (position !== 0) {
+				pieces.shift();
+				--position;
+			}
+			else {
+				pieces.pop();
+			}
 		}
 
-		return [i, j];
+		this.#buffer = pieces;
+		this.#offset = 0;
+		this.#pos = position;
+		this.#endPos = pieces.length;
+		this.#typing = null;
+		this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+		moveCaretToStart(/** @type { Element } */(this.#target));
+		this.#dispatch(['change'], 'import', [], null);
 	}
-
 	/**
-	 * 挿入操作を別の既存のノードへの挿入に変更して同時にノードも移動する
-	 * @param { Range | null } range キャレット情報(実際にはRange互換のオブジェクトが設定される)
-	 * @param { UndoBufferRecord[] } records 操作内容
-	 * @param { number } i recordのインデックス
-	 * @param { number } j 挿入したノードのインデックス
-	 * @param { Node } target 移動先(既存のノード)
-	 * @returns { [number, number] } 移動後のインデックス[i, j]
+	 * 最後に実行した操作内容のリストをノードの参照を含まない形式に変換する
+	 * @param { UndoBufferRecord[] } records 最後に実行した操作内容のリスト
+	 * @returns { UndoBufferPathRecord[] } ノードの参照を含まない操作のリスト
 	 */
-	static moveNodeAndInsertOperation(range, records, i, j, target) {
-		const op = records[i];
-		const node = op.addedNodes[j];
+	toOperation(records) {
+		const caret = UndoBuffer.getCaret();
+		this.#observer.disconnect();
 
-		const prev = node.previousSibling;
-		const next = node.nextSibling;
+		// 操作前の状態に戻してから操作を1つずつ前に進めながら変換する
+		this.#undo(records);
+		const operation = this.#toPathRecords(records);
 
-		// 挿入操作をキャンセル
-		[i, j] = Nomalizer.cancelInsertOperation(records, i, j);
-		// 削除したノードの元の隣接しているノードや子の接続情報を書き換え
-		Nomalizer.replaceOperation(records, node,  op.target, prev, next, i + 1, records.length);
-		// ノードの移動
-		Nomalizer.moveNodeList(range, [node], target);
-		// nodeの挿入操作を再挿入する
-		Nomalizer.insertInsertOperation(records, target, [node]);
+		UndoBuffer.updateCaret(caret);
+		this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+		return operation;
+	}
 
-		return [i, j];
+	/**
+	 * ノードの参照を含まない操作のリストをundoバッファに記録せずに実行する
+	 * 操作内容が内容と整合しない場合は例外を送出して何も変更しない(挿入するノードと変更した属性はスキーマの定義に従って無害化する)
+	 * @param { UndoBufferPathRecord[] } operation ノードの参照を含まない操作のリスト
+	 * @returns { UndoBufferRecord[] } 実行した操作内容のリスト
+	 */
+	applyOperation(operation) {
+		// 未処理のDOM操作は操作の適用前の状態に対するものとして記録する
+		this.flush();
+		// 操作によるノードの移動や削除にキャレット位置を追従させる
+		const caret = UndoBuffer.getCaret();
+		const tracked = caret && this.#target.contains(caret.startContainer) ? caret.track() : null;
+		this.#observer.disconnect();
+		const records = [];
+		try {
+			// 他の複製から受信した操作は正規化を経ていないためスクリプトや許可されない属性を除去する
+			for (const rec of operation) {
+				records.push(...UndoBuffer.#applyPathRecord(this.#target, rec, true, this.#nomalizer));
+			}
+		}
+		catch (e) {
+			this.#undo(records);
+			throw e;
+		}
+		finally {
+			this.#typing = null;
+			this.#observer.observe(this.#target, UndoBuffer.#observeOption);
+			UndoBuffer.updateCaret(tracked);
+		}
+		return records;
 	}
 
 	/**
-	 * 新規構築したノードの挿入操作を構築して既存の挿入操作の挿入先をそのノードに変更し同時にノードも移動する
-	 * @param { Range | null } range キャレット情報(実際にはRange互換のオブジェクトが設定される)
-	 * @param { UndoBufferRecord[] } records 操作内容
-	 * @param { number } i recordのインデックス
-	 * @param { number } j 挿入したノードのインデックス
-	 * @param { Node } parent 新規に構築した親ノード
+	 * ノードの参照を含まない操作のリストの逆操作を取得する
+	 * @param { UndoBufferPathRecord[] } operation ノードの参照を含まない操作のリスト
+	 * @returns { UndoBufferPathRecord[] } 逆操作のリスト
 	 */
-	static insertParentNodeAndInsertOperation(range, records, i, j, parent) {
-		const op = records[i];
-		const node = op.addedNodes[j];
+	static invertOperation(operation) {
+		return [...operation].reverse().map(rec => {
+			switch (rec.type) {
+				case 'characterData':
+					return { ...rec, deletedText: rec.insertedText, insertedText: rec.deletedText };
+				case 'attributes':
+					return { ...rec, oldValue: rec.newValue, newValue: rec.oldValue };
+				case 'childList':
+					return { ...rec, addedNodes: rec.removedNodes, removedNodes: rec.addedNodes };
+				case 'move':
+					return { ...rec, path: rec.toPath, index: rec.toIndex, toPath: rec.path, toIndex: rec.index };
+				case 'splitText':
+					return { ...rec, type: 'joinText' };
+				case 'joinText':
+					return { ...rec, type: 'splitText' };
+			}
+		});
+	}
 
-		// 挿入操作を新規に構築した親ノードの挿入に変更
-		Nomalizer.replaceNodeAndInsertOperation(records, i, j, parent);
-		// ノード移動についてのキャレット位置計算のために一時的に挿入
-		parent.parentNode.insertBefore(node, parent);
-		// 元のノードを新規に構築した親ノードの子に変更
-		Nomalizer.moveNodeList(range, [node], parent);
-		// nodeの挿入操作をparentの挿入操作の次として挿入する
-		Nomalizer.insertInsertOperation(records, parent, [node], i + 1);
+	/**
+	 * パスが別のパスの先頭部分であるか
+	 * @param { number[] } prefix 先頭部分のパス
+	 * @param { number[] } path 対象のパス
+	 * @returns { boolean } 先頭部分である場合はtrue
+	 */
+	static #isPrefix(prefix, path) {
+		return prefix.length <= path.length && prefix.every((index, i) => index === path[i]);
 	}
 
 	/**
-	 * DOM構造の正規化を行う
-	 * @param { Element } root ルート要素
-	 * @param { UndoBufferRecord[] } records 操作内容
-	 * @returns { UndoBufferRecord[] } 正規化を行た結果の操作
+	 * 同一の対象の範囲の置き換え同士でbの実行後にaを実行するための操作を取得する
+	 * @param { UndoBufferPathRecord } a 変換する操作
+	 * @param { UndoBufferPathRecord } b 先に実行する操作
+	 * @param { boolean } aPriority 同一位置への挿入の場合にaを前に挿入するか
+	 * @param { 'index' | 'offset' } indexKey 範囲の開始位置のプロパティ名
+	 * @param { 'removedNodes' | 'deletedText' } removedKey 削除する範囲のプロパティ名
+	 * @param { 'addedNodes' | 'insertedText' } addedKey 挿入する内容のプロパティ名
+	 * @returns { UndoBufferPathRecord[] } 変換後の操作のリスト
 	 */
-	normalize(root, records) {
-		const range = UndoBuffer.getCaret();
+	static #transformRange(a, b, aPriority, indexKey, removedKey, addedKey) {
+		const i = a[indexKey];
+		const removed = a[removedKey];
+		const added = a[addedKey];
+		const j = b[indexKey];
+		const bRemovedLength = b[removedKey].length;
+		const bAddedLength = b[addedKey].length;
+		const create = (index, removed, added) => ({ ...a, [indexKey]: index, [removedKey]: removed, [addedKey]: added });
 
-		for (let i = 0; i != records.length; ++i) {
-			const op = records[i];
-			if (op.type === 'childList') {
-				for (let j = 0; j != op.addedNodes.length; ++j) {
-					const node = op.addedNodes[j];
-					// 現在targetに挿入されているノードのみを評価対象にする
-					if (node.parentNode === op.target) {
-						if (node.nodeType === Node.TEXT_NODE && op.target === root) {
-							// ルート要素へのテキスト要素の挿入は段落要素への挿入に置き換える
-							Nomalizer.insertParentNodeAndInsertOperation(range, records, i, j, document.createElement('p'));
-						}
-						else if ((() => { for (const child of node.childNodes) { if (child.nodeType === Node.TEXT_NODE) return true; } return false; })()) {
-							if ((node.nodeType !== Node.ELEMENT_NODE || /** @type { Element } */(node).tagName.toLowerCase() === 'div') && op.target === root) {
-								// ルート要素へのテキスト要素を含むdivの挿入は段落要素の挿入に置き換える
-								const p = document.createElement('p');
-								Nomalizer.replaceNodeAndInsertOperation(records, i, j, p);
-								Nomalizer.moveNodeList(range, node.childNodes, p);
-							}
-						}
-						else if (node.childNodes.length === 1 && node.childNodes[0].nodeType === Node.ELEMENT_NODE && /** @type { Element } */(node.childNodes[0]).tagName.toLowerCase() === 'br') {
-							if ((node.nodeType !== Node.ELEMENT_NODE || /** @type { Element } */(node).tagName.toLowerCase() !== 'p') && op.target === root) {
-								// 改行を親に持っていくことでルート要素直下の段落要素へのルートに持っていく
-								[i, j] = Nomalizer.expandChildNodesAndInsertOperation(range, records, i, j);
-							}
-						}
-						else if (node.nodeType === Node.ELEMENT_NODE && /** @type { Element } */(node).tagName.toLowerCase() === 'br' && op.target === root) {
-							// ルート要素への改行要素の挿入は直前の段落要素の挿入への改行に置き換える
-							// 直前の段落が存在しない場合は新規に段落を設置する
-							if (node.previousSibling?.nodeType !== Node.ELEMENT_NODE || /** @type { Element } */(node.previousSibling).tagName.toLowerCase() !== 'p') {
-								Nomalizer.insertParentNodeAndInsertOperation(range, records, i, j, document.createElement('p'));
-							}
-							else {
-								[i, j] = Nomalizer.moveNodeAndInsertOperation(range, records, i, j, node.previousSibling);
-							}
-						}
-						else if (node.nodeType === Node.ELEMENT_NODE && /** @type { Element } */(node).tagName.toLowerCase() === 'br') {
-							if (node.previousSibling && (node.previousSibling.nodeType !== Node.ELEMENT_NODE || /** @type { Element } */(node.previousSibling).tagName.toLowerCase() !== 'br') && node.nextSibling === null) {
-								// 空行の表示のためにもう1つ改行を挿入する(2つ以上brが並ばないと空行は表示されない)
-								const br = document.createElement('br');
-								Nomalizer.moveNodeList(range, [br], node.parentNode, node);
-								Nomalizer.insertInsertOperation(records, node.parentNode, [br]);
-							}
-						}
-						else {
-							if (node.nodeType === Node.ELEMENT_NODE && /** @type { Element } */(node).tagName.toLowerCase() === 'p') {
-								let parent = node.parentNode;
-								while (parent !== root) {
-									if (parent.nodeType === Node.ELEMENT_NODE && /** @type { Element } */(parent).tagName.toLowerCase() === 'p') {
-										// 段落のネストは段落を解除して子要素を親に展開する
-										[i, j] = Nomalizer.expandChildNodesAndInsertOperation(range, records, i, j);
-										break;
-									}
-									parent = parent.parentNode;
-								}
-							}
-						}
-					}
-				}
+		if (removed.length === 0 && bRemovedLength === 0 && i === j) {
+			// 同一位置への挿入は優先する方を前にする
+			return [aPriority ? a : create(i + bAddedLength, removed, added)];
+		}
+		if (i + removed.length <= j) {
+			return [a];
+		}
+		if (j + bRemovedLength <= i) {
+			return [create(i + bAddedLength - bRemovedLength, removed, added)];
+		}
+		// 削除する範囲が重複する場合はbで削除されていない前後の部分のみを削除する
+		const before = Math.max(j - i, 0);
+		const after = Math.max(i + removed.length - (j + bRemovedLength), 0);
+		const afterRemoved = removed.slice(removed.length - after);
+		if (before === 0) {
+			return [create(j + bAddedLength, afterRemoved, added)].filter(rec => rec[removedKey].length !== 0 || rec[addedKey].length !== 0);
+		}
+		return [
+			create(i, removed.slice(0, before), added),
+			create(j + bAddedLength - before + added.length, afterRemoved, removed.slice(0, 0))
+		].filter(rec => rec[removedKey].length !== 0 || rec[addedKey].length !== 0);
+	}
+
+	/**
+	 * 同一の状態に対する2つの操作のうちbの実行後にaを実行するための操作を取得する
+	 * @param { UndoBufferPathRecord } a 変換する操作
+	 * @param { UndoBufferPathRecord } b 先に実行する操作
+	 * @param { boolean } aPriority 競合する場合にaを優先するか
+	 * @returns { UndoBufferPathRecord[] } 変換後の操作のリスト
+	 */
+	static #transformRecord(a, b, aPriority) {
+		if (a.type === 'move' || b.type === 'move') {
+			return UndoBuffer.#transformMove(a, b, aPriority);
+		}
+		const text = UndoBuffer.#isTextRecord(a) || UndoBuffer.#isTextRecord(b) ? UndoBuffer.#transformText(a, b) : null;
+		if (text !== null) {
+			return text;
+		}
+		const samePath = a.path.length === b.path.length && UndoBuffer.#isPrefix(b.path, a.path);
+		if (a.type === 'childList' && b.type === 'childList' && samePath) {
+			return UndoBuffer.#transformRange(a, b, aPriority, 'index', 'removedNodes', 'addedNodes');
+		}
+		if (b.type === 'childList' && a.path.length > b.path.length && UndoBuffer.#isPrefix(b.path, a.path)) {
+			const index = a.path[b.path.length];
+			if (index < b.index) {
+				return [a];
+			}
+			if (index < b.index + b.removedNodes.length) {
+				// 削除されたノードへの操作は破棄する
+				return [];
+			}
+			const path = [...a.path];
+			path[b.path.length] += b.addedNodes.length - b.removedNodes.length;
+			return [{ ...a, path }];
+		}
+		if (a.type === 'childList' && b.path.length > a.path.length && UndoBuffer.#isPrefix(a.path, b.path)) {
+			const index = b.path[a.path.length] - a.index;
+			if (0 <= index && index < a.removedNodes.length) {
+				// 削除するノードの内容をbの実行後のものにする
+				const fragment = document.createDocumentFragment();
+				fragment.append(UndoBuffer.#restore(a.removedNodes[index]));
+				UndoBuffer.#applyPathRecord(fragment, { ...b, path: [0, ...b.path.slice(a.path.length + 1)] }, true);
+				const removedNodes = [...a.removedNodes];
+				removedNodes[index] = UndoBuffer.#snapshot(fragment.firstChild);
+				return [{ ...a, removedNodes }];
 			}
+			return [a];
+		}
+		if (a.type === 'characterData' && b.type === 'characterData' && samePath) {
+			return UndoBuffer.#transformRange(a, b, aPriority, 'offset', 'deletedText', 'insertedText');
 		}
+		if (a.type === 'attributes' && b.type === 'attributes' && samePath && a.attributeName === b.attributeName && a.attributeNamespace === b.attributeNamespace) {
+			// 同一の属性の変更は優先する方の値とする
+			return aPriority ? [{ ...a, oldValue: b.newValue }] : [];
+		}
+		return [a];
+	}
 
-		// ブラウザによってはDOM操作後にキャレットに変更がなくても明示的に更新しないと表示が更新されないことがあるため明示的に更新する
-		UndoBuffer.updateCaret(range);
+	/**
+	 * ノードの移動を移動元からの削除と移動先への挿入に分解する
+	 * @param { UndoBufferPathRecord } rec ノードの移動
+	 * @returns { [UndoBufferPathRecord, UndoBufferPathRecord] } 移動元からの削除と移動先への挿入
+	 */
+	static #splitMove(rec) {
+		return [
+			{ type: 'childList', path: rec.path, index: rec.index, addedNodes: [], removedNodes: [rec.node] },
+			{ type: 'childList', path: rec.toPath, index: rec.toIndex, addedNodes: [rec.node], removedNodes: [] }
+		];
+	}
 
-		return records;
+	/**
+	 * 操作の対象が全て移動するノード内であるか
+	 * @param { UndoBufferPathRecord } rec 判定対象の操作
+	 * @param { UndoBufferPathRecord } move ノードの移動
+	 * @returns { boolean } 移動するノード自身またはその子孫のみを対象とする場合はtrue
+	 */
+	static #isInsideMove(rec, move) {
+		const prefix = [...move.path, move.index];
+		return UndoBuffer.#isPrefix(prefix, rec.path) && (rec.type !== 'move' || UndoBuffer.#isPrefix(prefix, rec.toPath));
 	}
-}
 
+	/**
+	 * 操作のパスの先頭部分を置き換える
+	 * @param { UndoBufferPathRecord } rec 対象の操作
+	 * @param { number[] } from 置き換え前の先頭部分のパス
+	 * @param { number[] } to 置き換え後の先頭部分のパス
+	 * @returns { UndoBufferPathRecord } パスを置き換えた操作
+	 */
+	static #rebase(rec, from, to) {
+		const rebase = path => UndoBuffer.#isPrefix(from, path) ? [...to, ...path.slice(from.length)] : path;
+		return rec.type === 'move' ? { ...rec, path: rebase(rec.path), toPath: rebase(rec.toPath) } : { ...rec, path: rebase(rec.path) };
+	}
 
-/**
- * Shift + Enter入力時の動作
- * @param { Element } root ルート要素
- */
-function shiftEnter(root) {
-	const selection = window.getSelection();
-	if (selection.rangeCount > 0) {
-		const range = selection.getRangeAt(0);
-		if (!range.collapsed) {
-			// rangeの始点と終点が一致しないときは範囲を削除
-			range.deleteContents();
-			range.collapse();
+	/**
+	 * 一方がノードの移動である同一の状態に対する2つの操作のうちbの実行後にaを実行するための操作を取得する
+	 * @param { UndoBufferPathRecord } a 変換する操作
+	 * @param { UndoBufferPathRecord } b 先に実行する操作
+	 * @param { boolean } aPriority 競合する場合にaを優先するか
+	 * @returns { UndoBufferPathRecord[] } 変換後の操作のリスト
+	 */
+	static #transformMove(a, b, aPriority) {
+		if (a.type !== 'move') {
+			const nodePath = [...b.path, b.index];
+			if (a.type === 'joinText' && nodePath.length === a.path.length && UndoBuffer.#isPrefix(a.path.slice(0, -1), nodePath) && (nodePath.at(-1) === a.path.at(-1) || nodePath.at(-1) === a.path.at(-1) + 1)) {
+				// 併合するテキストノードの移動は移動を優先する
+				return [];
+			}
+			// 移動するノード内への操作は移動先で行う
+			if (UndoBuffer.#isInsideMove(a, b)) {
+				return [UndoBuffer.#rebase(a, [...b.path, b.index], [...b.toPath, b.toIndex])];
+			}
+			const [removal, insertion] = UndoBuffer.#splitMove(b);
+			const index = nodePath[a.path.length];
+			if (a.type === 'childList' && a.path.length < nodePath.length && UndoBuffer.#isPrefix(a.path, nodePath) && a.index <= index && index < a.index + a.removedNodes.length) {
+				// 移動するノードの削除は移動先から削除してから移動元からの削除に対して変換する
+				return [{ ...removal, path: b.toPath, index: b.toIndex }, ...UndoBuffer.transformOperation([a], [removal], aPriority)[0]];
+			}
+			return UndoBuffer.transformOperation([a], [removal, insertion], aPriority)[0];
 		}
-		const startContainer = range.startContainer;
-		const startOffset = range.startOffset;
+		if (b.type === 'move' && b.path.length === a.path.length && UndoBuffer.#isPrefix(b.path, a.path) && b.index === a.index) {
+			// 同一のノードの移動は優先する方の移動先とする
+			return aPriority ? [{ ...a, path: b.toPath, index: b.toIndex }] : [];
+		}
+		const nodePath = [...a.path, a.index];
+		if (b.type === 'joinText' && b.path.length === nodePath.length && UndoBuffer.#isPrefix(a.path, b.path) && (b.path.at(-1) === a.index || b.path.at(-1) + 1 === a.index)) {
+			// 併合したテキストノードの移動は併合を取り消してから行う
+			return [...UndoBuffer.invertOperation([b]), a];
+		}
+		if (b.type === 'splitText' && b.path.length === nodePath.length && UndoBuffer.#isPrefix(nodePath, b.path)) {
+			// 分割したテキストノードの移動は前半と後半を順に移動する
+			const value = String(a.node.value);
+			const tail = { type: '#text', value: value.slice(b.offset) };
+			const [, insertion] = UndoBuffer.#splitMove(a);
+			const [[head]] = UndoBuffer.transformOperation([insertion], [{ type: 'childList', path: a.path, index: a.index, addedNodes: [tail], removedNodes: [] }], true);
+			const headMove = { ...a, toPath: head.path, toIndex: head.index, node: { type: '#text', value: value.slice(0, b.offset) } };
+			const [[removal]] = UndoBuffer.transformOperation([{ type: 'childList', path: a.path, index: a.index + 1, addedNodes: [], removedNodes: [tail] }], [headMove], true);
+			const [[to]] = UndoBuffer.transformOperation([{ type: 'childList', path: head.path, index: head.index + 1, addedNodes: [tail], removedNodes: [] }], [removal], true);
+			return [headMove, { ...a, path: removal.path, index: removal.index, toPath: to.path, toIndex: to.index, node: tail }];
+		}
+		if (UndoBuffer.#isInsideMove(b, a)) {
+			// 移動するノードの内容をbの実行後のものにする
+			const fragment = document.createDocumentFragment();
+			fragment.append(UndoBuffer.#restore(a.node));
+			UndoBuffer.#applyPathRecord(fragment, UndoBuffer.#rebase(b, [...a.path, a.index], [0]), true);
+			return [{ ...a, node: UndoBuffer.#snapshot(fragment.firstChild) }];
+		}
+		if (b.type === 'move' && UndoBuffer.#isPrefix(nodePath, b.path)) {
+			// 移動するノード内から外へ移動したノードは移動するノードから取り除いてから移動先への挿入に対して変換する
+			const [removal, insertion] = UndoBuffer.#splitMove(b);
+			const fragment = document.createDocumentFragment();
+			fragment.append(UndoBuffer.#restore(a.node));
+			UndoBuffer.#applyPathRecord(fragment, UndoBuffer.#rebase(removal, nodePath, [0]), true);
+			return UndoBuffer.transformOperation([{ ...a, node: UndoBuffer.#snapshot(fragment.firstChild) }], [insertion], aPriority)[0];
+		}
+		// 移動元からの削除と移動先への挿入をそれぞれ変換する
+		const [removal, insertion] = UndoBuffer.#splitMove(a);
+		const [removals, b1] = UndoBuffer.transformOperation([removal], [b], aPriority);
+		const [insertions] = UndoBuffer.transformOperation([insertion], b1, aPriority);
+		if (removals.length === 0) {
+			// 移動するノードがbにより削除された場合は削除を優先する
+			return [];
+		}
+		if (insertions.length === 0) {
+			// 移動先がbにより削除された場合は移動するノードも削除する
+			return removals;
+		}
+		if (insertions.length > 1) {
+			// 併合したテキストノードの間への移動は併合を取り消してから行う
+			return [...UndoBuffer.invertOperation([b]), a];
+		}
+		const move = { ...a, path: removals[0].path, index: removals[0].index, toPath: insertions[0].path, toIndex: insertions[0].index, node: removals[0].removedNodes[0] };
+		// 移動先のパスは移動元からの削除後のものであるため削除前のパスとして比較する
+		const toPath = [...move.toPath];
+		if (toPath.length > move.path.length && UndoBuffer.#isPrefix(move.path, toPath) && toPath[move.path.length] >= move.index) {
+			++toPath[move.path.length];
+		}
+		if (UndoBuffer.#isPrefix([...move.path, move.index], toPath)) {
+			// bにより移動先が移動するノード内となった場合は優先する方の移動のみを行う
+			return aPriority ? [...UndoBuffer.invertOperation([b]), a] : [];
+		}
+		return [move];
+	}
 
-		// targetに改行要素を挿入する
-		// range.insertNodeでは空のTextノードができることがあるため利用しない
-		const br = document.createElement('br');
-		switch (startContainer.nodeType) {
-			case Node.TEXT_NODE:
-				// startOffsetでテキストノードを分割してその間に改行を挿入する
-				if (startOffset === 0) {
-					startContainer.parentNode.insertBefore(br, startContainer);
+	/**
+	 * 操作がテキストノードの分割または併合であるか
+	 * @param { UndoBufferPathRecord } rec 判定対象の操作
+	 * @returns { boolean } 'splitText'または'joinText'の場合はtrue
+	 */
+	static #isTextRecord(rec) {
+		return rec.type === 'splitText' || rec.type === 'joinText';
+	}
+
+	/**
+	 * 一方がテキストノードの分割または併合である同一の状態に対する2つの操作のうちbの実行後にaを実行するための操作を取得する
+	 * 併合と併合する2つのテキストノードの間への挿入や一方のみの削除が競合する場合は併合を取り消す
+	 * @param { UndoBufferPathRecord } a 変換する操作
+	 * @param { UndoBufferPathRecord } b 先に実行する操作
+	 * @returns { UndoBufferPathRecord[] | null } 変換後の操作のリスト(ノード単位の変換を行う場合はnull)
+	 */
+	static #transformText(a, b) {
+		if (!UndoBuffer.#isTextRecord(b)) {
+			const parent = a.path.slice(0, -1);
+			const i = a.path.at(-1);
+			if (b.type === 'characterData' && b.path.length === a.path.length && UndoBuffer.#isPrefix(b.path, a.path)) {
+				// 分割、併合する位置をbによる変更に追従させる
+				const delta = b.insertedText.length - b.deletedText.length;
+				if (a.type === 'joinText' || b.offset + b.deletedText.length <= a.offset && b.offset < a.offset) {
+					return [{ ...a, offset: a.offset + delta }];
 				}
-				else if (startOffset === /** @type { Text } */(startContainer).length) {
-					startContainer.parentNode.insertBefore(br, startContainer.nextSibling);
+				return [b.offset < a.offset ? { ...a, offset: b.offset + b.insertedText.length } : a];
+			}
+			if (a.type === 'joinText' && b.type === 'childList' && b.path.length === parent.length && UndoBuffer.#isPrefix(b.path, parent) &&
+				(b.index <= i + 1 && i < b.index + b.removedNodes.length || b.index === i + 1)) {
+				// 併合する2つのテキストノードの間への挿入や一方以上の削除が行われた場合は併合しない
+				return [];
+			}
+			return null;
+		}
+
+		const parent = b.path.slice(0, -1);
+		const i = b.path.at(-1);
+		const next = [...parent, i + 1];
+		if (a.type === 'childList' && a.path.length === parent.length && UndoBuffer.#isPrefix(a.path, parent)) {
+			const removedNodes = [...a.removedNodes];
+			const j = i - a.index;
+			if (b.type === 'splitText') {
+				if (0 <= j && j < removedNodes.length) {
+					// 削除するテキストノードを分割後の2つのテキストノードとする
+					const value = String(removedNodes[j].value);
+					removedNodes.splice(j, 1, { type: '#text', value: value.slice(0, b.offset) }, { type: '#text', value: value.slice(b.offset) });
+					return [{ ...a, removedNodes }];
 				}
-				else {
-					const newNode = /** @type { Text } */(startContainer).splitText(startOffset);
-					startContainer.parentNode.insertBefore(br, newNode);
+				return [a.index > i ? { ...a, index: a.index + 1 } : a];
+			}
+			if (0 <= j && j + 1 < removedNodes.length) {
+				// 併合する2つのテキストノードを削除する場合は併合後のテキストノードを削除する
+				removedNodes.splice(j, 2, { type: '#text', value: String(removedNodes[j].value) + String(removedNodes[j + 1].value) });
+				return [{ ...a, removedNodes }];
+			}
+			if (0 <= j + 1 && j < removedNodes.length || a.index === i + 1) {
+				// 併合した2つのテキストノードの間への挿入や一方のみの削除は併合を取り消してから行う
+				return [...UndoBuffer.invertOperation([b]), a];
+			}
+			return [a.index > i + 1 ? { ...a, index: a.index - 1 } : a];
+		}
+		if (a.path.length <= parent.length || !UndoBuffer.#isPrefix(parent, a.path)) {
+			return null;
+		}
+		const k = a.path[parent.length];
+		const path = [...a.path];
+		if (b.type === 'splitText') {
+			if (k !== i) {
+				path[parent.length] += k > i ? 1 : 0;
+				return [{ ...a, path }];
+			}
+			switch (a.type) {
+				case 'characterData': {
+					const end = a.offset + a.deletedText.length;
+					if (a.offset >= b.offset) {
+						// 分割位置以降の変更は後半のテキストノードに対して行う
+						return [{ ...a, path: next, offset: a.offset - b.offset }];
+					}
+					if (end <= b.offset) {
+						return [a];
+					}
+					// 分割位置をまたぐ削除は前半と後半に分ける
+					return [
+						{ ...a, deletedText: a.deletedText.slice(0, b.offset - a.offset) },
+						{ ...a, path: next, offset: 0, deletedText: a.deletedText.slice(b.offset - a.offset), insertedText: '' }
+					];
 				}
-				break;
-			case Node.COMMENT_NODE:
-			case Node.CDATA_SECTION_NODE:
-				// 無視する
-				return;
-			default:
-				// startOffset番目の子要素の位置に改行を挿入する
-				startContainer.insertBefore(br, startOffset === startContainer.childNodes.length ? null : startContainer.childNodes[startOffset]);
-				break;
+				case 'splitText':
+					if (a.offset === b.offset) {
+						return [];
+					}
+					return [a.offset < b.offset ? a : { ...a, path: next, offset: a.offset - b.offset }];
+				case 'joinText':
+					// 後半のテキストノードを直後のテキストノードと併合する
+					return [{ ...a, path: next, offset: a.offset - b.offset }];
+			}
+			return [a];
 		}
-		// キャレットを改行の次の位置に移動
-		const offset = Nomalizer.getChildIndex(br);
-		range.setStart(br.parentNode, offset + 1);
-		range.setEnd(br.parentNode, offset + 1);
+		if (k === i && a.type === 'joinText') {
+			return [];
+		}
+		if (k === i + 1) {
+			// 併合したテキストノードへの操作は併合後の位置で行う
+			return [{ ...a, path: b.path, offset: a.offset + b.offset }];
+		}
+		path[parent.length] -= k > i + 1 ? 1 : 0;
+		return [{ ...a, path }];
+	}
+
+	/**
+	 * 同一の状態に対する2つの操作のリストを互いに相手の実行後に実行できるように変換する
+	 * @param { UndoBufferPathRecord[] } a 操作のリスト
+	 * @param { UndoBufferPathRecord[] } b 操作のリスト
+	 * @param { boolean } aPriority 競合する場合にaを優先するか
+	 * @returns { [UndoBufferPathRecord[], UndoBufferPathRecord[]] } bの実行後に実行するaとaの実行後に実行するb
+	 */
+	static transformOperation(a, b, aPriority) {
+		if (a.length === 0 || b.length === 0) {
+			return [a, b];
+		}
+		if (a.length === 1 && b.length === 1) {
+			return [UndoBuffer.#transformRecord(a[0], b[0], aPriority), UndoBuffer.#transformRecord(b[0], a[0], !aPriority)];
+		}
+		if (a.length > 1) {
+			// aの先頭から1つずつbと変換する
+			const [first, b1] = UndoBuffer.transformOperation(a.slice(0, 1), b, aPriority);
+			const [rest, b2] = UndoBuffer.transformOperation(a.slice(1), b1, aPriority);
+			return [[...first, ...rest], b2];
+		}
+		const [a1, first] = UndoBuffer.transformOperation(a, b.slice(0, 1), aPriority);
+		const [a2, rest] = UndoBuffer.transformOperation(a1, b.slice(1), aPriority);
+		return [a2, [...first, ...rest]];
 	}
 }
 
 /**
- * Enter入力時の動作
- * @param { Element } root ルート要素
+ * 正規化器
  */
-function enter(root) {
-	const selection = window.getSelection();
-	if (selection.rangeCount > 0) {
-		const range = selection.getRangeAt(0);
-		if (!range.collapsed) {
-			// rangeの始点と終点が一致しないときは範囲を削除
-			range.deleteContents();
-			range.collapse();
+class Nomalizer {
+	/** インライン書式として扱う要素名と正規化後の要素名の対応 */
+	static markTagNames = /** @type { const } */({
+		strong: 'strong',
+		b: 'strong',
+		em: 'em',
+		i: 'em',
+		u: 'u',
+		s: 's',
+		strike: 's',
+		code: 'code'
+	});
+
+	/** 既定のスキーマにおけるテキストを直接含むブロック要素の要素名(liがリストを子に持つ場合を除きブロック要素を子に持つことはできない) */
+	static textBlockTagNames = /** @type { const } */(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'li', 'td', 'th']);
+	/** 既定のスキーマにおける表のセルの要素名(テキストを直接含むブロック要素として扱う) */
+	static tableCellTagNames = /** @type { const } */(['td', 'th']);
+	/** 既定のスキーマにおけるブロック要素を子に持つブロック要素の要素名(テキストを直接含むことはできない) */
+	static containerBlockTagNames = /** @type { const } */(['blockquote']);
+	/** 既定のスキーマにおけるリストの要素名(liのみを子に持つ) */
+	static listTagNames = /** @type { const } */(['ul', 'ol']);
+	/** 既定のスキーマにおける内容を持たず編集できないインライン要素の要素名(キャレットは前後にのみ置かれ、削除は要素単位で行う) */
+	static atomTagNames = /** @type { const } */(['img']);
+	/** 既定のスキーマにおける内容ごと除去する要素名 */
+	static droppedTagNames = /** @type { const } */([
+		'script', 'style', 'template', 'noscript', 'head', 'title', 'meta', 'link',
+		'iframe', 'object', 'embed', 'svg', 'math', 'canvas', 'video', 'audio',
+		'input', 'button', 'select', 'textarea'
+	]);
+	/** 既定のスキーマにおける装飾のみを目的として内容はその場に展開するインライン要素の要素名 */
+	static transparentTagNames = /** @type { const } */(['span', 'font']);
+	/** 段落の区切りとして扱う外部のブロック要素の要素名 */
+	static foreignBlockTagNames = /** @type { const } */([
+		'div', 'section', 'article', 'header', 'footer', 'main', 'nav', 'aside', 'address', 'figure', 'figcaption',
+		'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'caption', 'dl', 'dt', 'dd', 'form', 'fieldset'
+	]);
+	/** @type { NomalizerSchema } 既定のスキーマ */
+	static defaultSchema = {
+		root: { content: ['block'], fill: 'p' },
+		nodes: {
+			'#text': { group: 'inline' },
+			'#comment': { drop: true },
+			br: { group: 'inline', content: [], join: true, duplicateAtEnd: true },
+			...Object.fromEntries(Object.entries(Nomalizer.markTagNames).map(([tagName, canonical]) => [
+				tagName,
+				tagName === canonical ? { group: 'inline', content: ['inline'], nest: false, merge: true } : { replace: canonical }
+			])),
+			...Object.fromEntries(Nomalizer.textBlockTagNames.filter(tagName => tagName !== 'li' && !Nomalizer.tableCellTagNames.includes(tagName)).map(tagName => [
+				tagName,
+				{ group: 'block', content: ['inline'] }
+			])),
+			li: { group: 'listItem', content: ['inline', ...Nomalizer.listTagNames], wrap: 'ul' },
+			...Object.fromEntries(Nomalizer.listTagNames.map(tagName => [
+				tagName,
+				{ group: 'block', content: ['listItem'], fill: 'li', unwrap: 'parent', merge: true, ignoreBlank: true }
+			])),
+			...Object.fromEntries(Nomalizer.containerBlockTagNames.map(tagName => [
+				tagName,
+				{ group: 'block', content: ['block'], fill: 'p' }
+			])),
+			table: { group: 'block', content: ['tableSection'], fill: 'tbody', unwrap: 'parent', isolating: true, ignoreBlank: true, rectangular: true },
+			tbody: { group: 'tableSection', content: ['tableRow'], fill: 'tr', wrap: 'table', merge: true, isolating: true, ignoreBlank: true },
+			thead: { replace: 'tbody' },
+			tfoot: { replace: 'tbody' },
+			tr: { group: 'tableRow', content: ['tableCell'], fill: 'td', wrap: 'tbody', isolating: true, ignoreBlank: true },
+			...Object.fromEntries(Nomalizer.tableCellTagNames.map(tagName => [
+				tagName,
+				{ group: 'tableCell', content: ['inline'], wrap: 'tr', isolating: true }
+			])),
+			caption: { drop: true },
+			colgroup: { drop: true },
+			hr: { group: 'block', content: [] },
+			a: { group: 'inline', content: ['inline'], nest: false, merge: true, attrs: { href: Nomalizer.sanitizeUrl, title: true } },
+			// 画像はインライン要素として段落内にのみ置き、ルート直下の場合は段落で包む
+			img: { group: 'inline', content: [], atom: true, attrs: { src: Nomalizer.sanitizeImageUrl, alt: true, contenteditable: () => 'false', 'data-uploading': true }, required: ['src'], defaults: { contenteditable: 'false' } },
+			div: { replace: 'p' },
+			...Object.fromEntries(Nomalizer.transparentTagNames.map(tagName => [tagName, { transparent: true }])),
+			...Object.fromEntries(Nomalizer.droppedTagNames.map(tagName => [tagName, { drop: true }]))
 		}
-		const startContainer = range.startContainer;
-		const startOffset = range.startOffset;
+	};
 
-		// ノードの分割範囲の取得
-		const rangeExtract = range.cloneRange();
-		// ノードの分割範囲の始端の取得
-		switch (startContainer.nodeType) {
-			case Node.TEXT_NODE:
-				// startOffsetでテキストノードを分割してその間に改行を挿入する
-				if (startOffset === 0) {
-					rangeExtract.setStart(startContainer.parentNode, Nomalizer.getChildIndex(startContainer));
-				}
-				else if (startOffset === /** @type { Text } */(startContainer).length) {
-					rangeExtract.setStart(startContainer.parentNode, Nomalizer.getChildIndex(startContainer) + 1);
-				}
-				else {
-					const newNode = /** @type { Text } */(startContainer).splitText(startOffset);
-					rangeExtract.setStart(startContainer.parentNode, Nomalizer.getChildIndex(newNode));
-				}
-				rangeExtract.setEnd(rangeExtract.startContainer, rangeExtract.startOffset);
-				break;
-			case Node.COMMENT_NODE:
-			case Node.CDATA_SECTION_NODE:
-				// 無視する
-				return;
-			default:
-				break;
+	/** @type { WeakMap<Node, NomalizerSchema> } ルート要素ごとの適用するスキーマ */
+	static #schemas = new WeakMap();
+
+	/** @type { NomalizerSchema } スキーマ */
+	#schema;
+
+	/**
+	 * コンストラクタ
+	 * @param { NomalizerSchema } schema スキーマ
+	 */
+	constructor(schema = Nomalizer.defaultSchema) {
+		this.#schema = schema;
+	}
+
+	/**
+	 * ルート要素以下のノードの種類の判定にスキーマを用いるように登録する
+	 * @param { Node } root ルート要素
+	 */
+	attach(root) {
+		Nomalizer.#schemas.set(root, this.#schema);
+	}
+
+	/**
+	 * ノードを含むルート要素に適用するスキーマを取得する
+	 * @param { Node | null } node 対象のノード
+	 * @returns { NomalizerSchema } スキーマ(登録されたルート要素に含まれない場合は既定のスキーマ)
+	 */
+	static getSchema(node) {
+		for (let target = node; target !== null; target = target.parentNode) {
+			const schema = Nomalizer.#schemas.get(target);
+			if (schema !== undefined) {
+				return schema;
+			}
 		}
-		// ノードの分割範囲の終端の取得
-		let parent = startContainer;
-		while (parent !== root) {
-			if (parent.nodeType === Node.ELEMENT_NODE && /** @type { Element } */(parent).tagName.toLowerCase() === 'p') {
-				rangeExtract.setEnd(parent.parentNode, parent.nextSibling ? Nomalizer.getChildIndex(parent) + 1 : parent.parentNode.childNodes.length);
-				break;
+		return Nomalizer.defaultSchema;
+	}
+
+	/**
+	 * スキーマにおける要素の定義を取得する
+	 * @param { Node | null } node 対象のノード
+	 * @param { NomalizerSchema | null } schema スキーマ(nullの場合はノードを含むルート要素に適用するスキーマ)
+	 * @returns { NomalizerNodeSpec | null } 要素の定義(要素でない場合や定義が存在しない場合はnull)
+	 */
+	static #getElementSpec(node, schema) {
+		if (node?.nodeType !== Node.ELEMENT_NODE) {
+			return null;
+		}
+		const nodes = (schema ?? Nomalizer.getSchema(node)).nodes;
+		const name = /** @type { Element } */(node).tagName.toLowerCase();
+		return Object.hasOwn(nodes, name) ? nodes[name] : null;
+	}
+
+	/**
+	 * リンク先のURLを安全なもののみに制限する
+	 * @param { string } value URL
+	 * @returns { string | null } 許可するURL(javascript:やdata:などの許可しないスキームの場合はnull)
+	 */
+	static sanitizeUrl(value) {
+		// ブラウザはスキーム内の制御文字や空白を無視するため除去してから判定する
+		const scheme = value.replace(/[\u0000-\u0020\u007f]/g, '').match(/^([a-z][a-z0-9+.\-]*):/i)?.[1].toLowerCase();
+		return scheme === undefined || ['http', 'https', 'mailto', 'tel'].includes(scheme) ? value.trim() : null;
+	}
+
+	/**
+	 * 画像のURLを安全なもののみに制限する
+	 * @param { string } value URL
+	 * @returns { string | null } 許可するURL(スクリプトを含みうるSVGなどのデータURLや許可しないスキームの場合はnull)
+	 */
+	static sanitizeImageUrl(value) {
+		const url = value.replace(/[\u0000-\u0020\u007f]/g, '');
+		const scheme = url.match(/^([a-z][a-z0-9+.\-]*):/i)?.[1].toLowerCase();
+		if (scheme === 'data') {
+			return /^data:image\/(?:png|jpeg|gif|webp|avif|bmp);/i.test(url) ? value.trim() : null;
+		}
+		return scheme === undefined || ['http', 'https', 'blob'].includes(scheme) ? value.trim() : null;
+	}
+
+	/**
+	 * テキストを直接含むブロック要素であるか
+	 * @param { Node | null } node 判定対象のノード
+	 * @param { NomalizerSchema | null } schema スキーマ(nullの場合はノードを含むルート要素に適用するスキーマ)
+	 * @returns { boolean } テキストを直接含むブロック要素の場合はtrue
+	 */
+	static isTextBlock(node, schema = null) {
+		const spec = Nomalizer.#getElementSpec(node, schema);
+		return spec !== null && spec.group !== 'inline' && (spec.content?.includes('inline') ?? false);
+	}
+
+	/**
+	 * ブロック要素を子に持つブロック要素であるか
+	 * @param { Node | null } node 判定対象のノード
+	 * @param { NomalizerSchema | null } schema スキーマ(nullの場合はノードを含むルート要素に適用するスキーマ)
+	 * @returns { boolean } ブロック要素を子に持つブロック要素の場合はtrue
+	 */
+	static isContainerBlock(node, schema = null) {
+		const spec = Nomalizer.#getElementSpec(node, schema);
+		return spec !== null && spec.group === 'block' && (spec.content?.includes('block') ?? false);
+	}
+
+	/**
+	 * リストであるか
+	 * @param { Node | null } node 判定対象のノード
+	 * @param { NomalizerSchema | null } schema スキーマ(nullの場合はノードを含むルート要素に適用するスキーマ)
+	 * @returns { boolean } リストの場合はtrue
+	 */
+	static isList(node, schema = null) {
+		return Nomalizer.#getElementSpec(node, schema)?.content?.includes('listItem') ?? false;
+	}
+
+	/**
+	 * 内容を持たず編集できないインライン要素であるか
+	 * @param { Node | null } node 判定対象のノード
+	 * @param { NomalizerSchema | null } schema スキーマ(nullの場合はノードを含むルート要素に適用するスキーマ)
+	 * @returns { boolean } 内容を持たず編集できないインライン要素の場合はtrue
+	 */
+	static isAtom(node, schema = null) {
+		return Nomalizer.#getElementSpec(node, schema)?.atom ?? false;
+	}
+
+	/**
+	 * 水平線であるか(内容を持たず編集できないブロック要素)
+	 * @param { Node | null } node 判定対象のノード
+	 * @param { NomalizerSchema | null } schema スキーマ(nullの場合はノードを含むルート要素に適用するスキーマ)
+	 * @returns { boolean } 水平線の場合はtrue
+	 */
+	static isHorizontalRule(node, schema = null) {
+		const spec = Nomalizer.#getElementSpec(node, schema);
+		return spec !== null && spec.group === 'block' && spec.content?.length === 0;
+	}
+
+	/**
+	 * リストの項目であるか
+	 * @param { Node | null } node 判定対象のノード
+	 * @param { NomalizerSchema | null } schema スキーマ(nullの場合はノードを含むルート要素に適用するスキーマ)
+	 * @returns { boolean } リストの項目の場合はtrue
+	 */
+	static isListItem(node, schema = null) {
+		return Nomalizer.#getElementSpec(node, schema)?.group === 'listItem';
+	}
+
+	/**
+	 * 表のセルであるか
+	 * @param { Node | null } node 判定対象のノード
+	 * @param { NomalizerSchema | null } schema スキーマ(nullの場合はノードを含むルート要素に適用するスキーマ)
+	 * @returns { boolean } 表のセルの場合はtrue
+	 */
+	static isTableCell(node, schema = null) {
+		return Nomalizer.#getElementSpec(node, schema)?.group === 'tableCell';
+	}
+
+	/**
+	 * ブロック要素であるか
+	 * @param { Node | null } node 判定対象のノード
+	 * @param { NomalizerSchema | null } schema スキーマ(nullの場合はノードを含むルート要素に適用するスキーマ)
+	 * @returns { boolean } ブロック要素の場合はtrue
+	 */
+	static isBlock(node, schema = null) {
+		schema ??= Nomalizer.getSchema(node);
+		return Nomalizer.isTextBlock(node, schema) || Nomalizer.isContainerBlock(node, schema) || Nomalizer.isList(node, schema) || Nomalizer.isHorizontalRule(node, schema);
+	}
+
+	/**
+	 * 要素の装飾から対応するインライン書式の一覧を取得する
+	 * @param { Element } element 判定対象の要素
+	 * @returns { string[] } 正規化後のインライン書式の要素名の一覧
+	 */
+	static getStyleMarkTagNames(element) {
+		const marks = [];
+		const style = /** @type { HTMLElement } */(element).style;
+		const fontWeight = style?.fontWeight ?? '';
+		const tagName = Nomalizer.getMarkTagName(element);
+		// Googleドキュメントなどは全体を太字の解除されたbで包むため太字として扱わない
+		if (tagName !== null && !(tagName === 'strong' && /^(normal|lighter|[1-5]00)$/.test(fontWeight))) {
+			marks.push(tagName);
+		}
+		if (/^(bold|bolder|[6-9]00)$/.test(fontWeight)) {
+			marks.push('strong');
+		}
+		if (style?.fontStyle === 'italic') {
+			marks.push('em');
+		}
+		const textDecoration = (style?.textDecorationLine || style?.textDecoration) ?? '';
+		if (textDecoration.includes('underline')) {
+			marks.push('u');
+		}
+		if (textDecoration.includes('line-through')) {
+			marks.push('s');
+		}
+		return marks;
+	}
+
+	/**
+	 * 2つのノードが併合可能な同一種類のリストであるか
+	 * @param { Node | null } a 比較対象のノード
+	 * @param { Node | null } b 比較対象のノード
+	 * @returns { boolean } 同一種類のリストの場合はtrue
+	 */
+	static isSameList(a, b) {
+		return Nomalizer.isList(a) && Nomalizer.isList(b) && a.cloneNode(false).isEqualNode(b.cloneNode(false));
+	}
+
+	/**
+	 * ブロック要素を子に持つことができるノードであるか
+	 * @param { Node } root ルート要素
+	 * @param { Node } node 判定対象のノード
+	 * @returns { boolean } ルート要素かブロック要素を子に持つブロック要素の場合はtrue
+	 */
+	static isContainer(root, node) {
+		return node === root || Nomalizer.isContainerBlock(node);
+	}
+
+	/**
+	 * テキストを直接含むブロック要素の祖先要素を検索する
+	 * @param { Node } root ルート要素
+	 * @param { Node } node 検索の起点のノード(自身を含む)
+	 * @returns { Element | null } 見つかったブロック要素
+	 */
+	static findTextBlock(root, node) {
+		while (node && node !== root) {
+			if (Nomalizer.isTextBlock(node)) {
+				return /** @type { Element } */(node);
 			}
-			parent = parent.parentNode;
+			node = node.parentNode;
 		}
+		return null;
+	}
 
-		const br = document.createElement('br');
-		const ref = rangeExtract.endContainer;
-		const refOffset = rangeExtract.endOffset;
-		if (rangeExtract.collapsed) {
-			// ノードの分割範囲の始端と終端が一致するときは新規の改行付き段落を挿入
-			const p = document.createElement('p');
-			ref.insertBefore(p, refOffset === ref.childNodes.length ? null : ref.childNodes[refOffset]);
+	/**
+	 * インライン書式の正規化後の要素名を取得する
+	 * @param { Node } node 判定対象のノード
+	 * @returns { string | null } インライン書式の場合は正規化後の要素名、そうでない場合はnull
+	 */
+	static getMarkTagName(node) {
+		if (node.nodeType === Node.ELEMENT_NODE) {
+			const tagName = /** @type { Element } */(node).tagName.toLowerCase();
+			if (Object.hasOwn(Nomalizer.markTagNames, tagName)) {
+				return Nomalizer.markTagNames[tagName];
+			}
+		}
+		return null;
+	}
 
-			p.append(br);
+	/**
+	 * 指定のインライン書式の祖先要素を検索する
+	 * @param { Node } root ルート要素
+	 * @param { Node } node 検索の起点のノード(自身を含む)
+	 * @param { string } tagName 正規化後のインライン書式の要素名
+	 * @returns { Element | null } 見つかったインライン書式の要素
+	 */
+	static findMark(root, node, tagName) {
+		while (node && node !== root) {
+			if (Nomalizer.getMarkTagName(node) === tagName) {
+				return /** @type { Element } */(node);
+			}
+			node = node.parentNode;
 		}
-		else {
-			// ノードの分割範囲の始端と終端が一致しないときは分割をして空段落でなければ分割をしたノードの子に改行を挿入
-			const p = rangeExtract.extractContents().firstChild;
-			ref.insertBefore(p, refOffset === ref.childNodes.length ? null : ref.childNodes[refOffset]);
-			if (p.childNodes.length !== 0) {
-				// 段落内に要素が存在する場合は改行の挿入は不要
-				// キャレット位置は分割された要素の始端
-				let child = p.firstChild;
-				while (child.firstChild) {
-					child = child.firstChild
+		return null;
+	}
+
+	/**
+	 * 操作内容に関する特定のDOMノードを置換する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Node } node 置換対象
+	 * @param { Node } target UndoBufferRecord.targetへの置換内容
+	 * @param { Node | null } previousSibling UndoBufferRecord.previousSiblingへの置換内容
+	 * @param { Node | null } nextSibling UndoBufferRecord.nextSiblingへの置換内容
+	 * @param { number } begin recordsの始端
+	 * @param { number } end recordsの終端
+	 */
+	static replaceOperation(records, node, target, previousSibling, nextSibling, begin, end) {
+		while (begin !== end) {
+			if (records[begin].type === 'childList') {
+				if (records[begin].target === node) {
+					records[begin].target = target;
 				}
-				switch (startContainer.nodeType) {
-					case Node.TEXT_NODE:
-					case Node.COMMENT_NODE:
-					case Node.CDATA_SECTION_NODE:
-						range.setStart(child, 0);
-						range.setEnd(child, 0);
-						break;
-					default:
-						range.setStart(child.parentNode, 0);
-						range.setEnd(child.parentNode, 0);
-						break;
+				if (records[begin].previousSibling === node) {
+					records[begin].previousSibling = previousSibling;
+				}
+				if (records[begin].nextSibling === node) {
+					records[begin].nextSibling = nextSibling;
 				}
-				return;
 			}
-			p.append(br);
-		}
-		// キャレットを改行の次の位置に移動
-		const offset = Nomalizer.getChildIndex(br);
-		range.setStart(br.parentNode, offset + 1);
+			else if (records[begin].target === node) {
+				// 置換によりnodeは'childList'に関する操作以外は意味はないため削除
+				records.splice(begin, 1);
+				--end;
+				continue;
+			}
+			++begin;
+		}
+	}
+
+	/**
+	 * 操作内容に挿入情報を挿入する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Node } target 挿入先
+	 * @param { NodeList | Node[] } nodes 挿入内容
+	 * @param { number } index 挿入操作の挿入先
+	 */
+	static insertInsertOperation(records, target, nodes, index = records.length) {
+		if (nodes.length === 0) {
+			return;
+		}
+		records.splice(index, 0, {
+			type: 'childList',
+			target: target,
+			addedNodes: nodes,
+			removedNodes: [],
+			previousSibling: nodes[0].previousSibling,
+			nextSibling: nodes[nodes.length - 1].nextSibling,
+			attributeName: null,
+			attributeNamespace: null,
+			oldValue: null,
+			newValue: null
+		});
+	}
+
+	/**
+	 * 操作内容に削除情報を挿入する(削除前に呼び出す必要がある)
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Node } target 削除元
+	 * @param { NodeList | Node[] } nodes 削除内容(連続している必要がある)
+	 * @param { number } index 削除操作の挿入先
+	 */
+	static insertRemoveOperation(records, target, nodes, index = records.length) {
+		if (nodes.length === 0) {
+			return;
+		}
+		records.splice(index, 0, {
+			type: 'childList',
+			target: target,
+			addedNodes: [],
+			removedNodes: [...nodes],
+			previousSibling: nodes[0].previousSibling,
+			nextSibling: nodes[nodes.length - 1].nextSibling,
+			attributeName: null,
+			attributeNamespace: null,
+			oldValue: null,
+			newValue: null
+		});
+	}
+
+	/**
+	 * 属性を設定して操作内容に属性の変更情報を挿入する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Element } element 対象の要素
+	 * @param { string } name 属性名
+	 * @param { string | null } value 属性値(nullの場合は属性を除去する)
+	 */
+	static setAttributeAndInsertOperation(records, element, name, value) {
+		const oldValue = element.getAttribute(name);
+		if (oldValue === value) {
+			return;
+		}
+		if (value === null) {
+			element.removeAttribute(name);
+		}
+		else {
+			element.setAttribute(name, value);
+		}
+		records.push({
+			type: 'attributes',
+			target: element,
+			addedNodes: [],
+			removedNodes: [],
+			previousSibling: null,
+			nextSibling: null,
+			attributeName: name,
+			attributeNamespace: null,
+			oldValue,
+			newValue: null
+		});
+	}
+
+	/**
+	 * 挿入操作を取り消す
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { number } i recordのインデックス
+	 * @param { number } j 挿入したノードのインデックス
+	 * @returns { [number, number] } 削除後のインデックス[i, j]
+	 */
+	static cancelInsertOperation(records, i, j) {
+		// 以下のようなパラメータチェックは行わない
+		// records[i].type === 'childList'
+		
+		const op = records[i];
+		op.addedNodes.splice(j, 1);
+		--j;
+		if (op.addedNodes.length === 0) {
+			records.splice(i, 1);
+			--i;
+		}
+
+		return [i, j];
+	}
+
+	/**
+	 * 子要素としてのインデックスを取得する
+	 * @param { Node } node 位置を検索する対象のノード
+	 * @returns { number } nodeの子要素としてのインデックス
+	 */
+	static getChildIndex(node) {
+		let i = 0;
+		while((node = node.previousSibling) != null)  {
+			++i;
+		}
+		return i;
+	}
+
+	/**
+	 * ノードが表示上空であるか
+	 * @param { Node } node 判定対象のノード
+	 * @returns { boolean } テキストも改行も含まない場合はtrue
+	 */
+	static isEmptyNode(node) {
+		if (node.nodeType === Node.ELEMENT_NODE) {
+			return !Nomalizer.isAtom(node) && node.textContent.length === 0 &&
+				[.../** @type { Element } */(node).querySelectorAll('*')].every(element => element.tagName.toLowerCase() !== 'br' && !Nomalizer.isAtom(element));
+		}
+		return node.nodeType !== Node.TEXT_NODE || node.nodeValue.length === 0;
+	}
+
+	/**
+	 * ブロック要素が空段落(テキストを含まず空段落の表示のための改行のみを含む)であるか
+	 * @param { Node } node 判定対象のブロック要素
+	 * @returns { boolean } 空段落の場合はtrue
+	 */
+	static isEmptyBlock(node) {
+		return node.textContent.length === 0 && /** @type { Element } */(node).querySelectorAll('br').length <= 1 &&
+			![.../** @type { Element } */(node).querySelectorAll('*')].some(element => Nomalizer.isAtom(element));
+	}
+
+	/**
+	 * ノードが空白のみのテキストやコメントなどの内容として意味を持たないノードであるか
+	 * @param { Node } node 判定対象のノード
+	 * @returns { boolean } 内容として意味を持たない場合はtrue
+	 */
+	static isBlankNode(node) {
+		if (node.nodeType === Node.ELEMENT_NODE) {
+			return false;
+		}
+		return node.nodeType !== Node.TEXT_NODE || node.nodeValue.trim().length === 0;
+	}
+
+	/**
+	 * テキストノード内の位置をテキストノードの分割により親要素内の位置に変換する
+	 * @param { Node } container 位置のノード
+	 * @param { number } offset 位置のオフセット
+	 * @returns { [Node, number] } 変換後の位置[container, offset](テキストノード以外はそのまま)
+	 */
+	static splitText(container, offset) {
+		if (container.nodeType === Node.TEXT_NODE) {
+			const text = /** @type { Text } */(container);
+			if (offset === 0) {
+				offset = Nomalizer.getChildIndex(text);
+			}
+			else if (offset === text.length) {
+				offset = Nomalizer.getChildIndex(text) + 1;
+			}
+			else {
+				offset = Nomalizer.getChildIndex(text.splitText(offset));
+			}
+			container = text.parentNode;
+		}
+		return [container, offset];
+	}
+
+	/**
+	 * ノードを指定位置で2つに分割する
+	 * @param { Node } node 分割対象のノード
+	 * @param { Node } container 分割位置のノード(nodeの子孫である必要がある)
+	 * @param { number } offset 分割位置のオフセット
+	 * @returns { Node } 分割により後ろに挿入したノード
+	 */
+	static splitNode(node, container, offset) {
+		// 切り離されたノードへの移動はMutationObserverで観測されずredoできなくなるため
+		// Range.extractContentsは利用せずに挿入済みの複製へ子ノードを順に移動する
+		[container, offset] = Nomalizer.splitText(container, offset);
+		while (true) {
+			const next = container.cloneNode(false);
+			container.parentNode.insertBefore(next, container.nextSibling);
+			/** @type { ParentNode } */(next).append(...[...container.childNodes].slice(offset));
+			if (container === node) {
+				return next;
+			}
+			offset = Nomalizer.getChildIndex(next);
+			container = container.parentNode;
+		}
+	}
+
+	/**
+	 * 一括でノードの移動を行う(移動対象に関する操作内容の編集は行わない)
+	 * @param { NodeList | Node[] } targets 移動対象のノード(全ての親ノードは共通かつ連続である必要がある)
+	 * @param { ParentNode } refParent 移動先の親ノード
+	 * @param { Node | null } ref 移動先の次のノード
+	 */
+	static moveNodeList(targets, refParent, ref = null) {
+		if (targets.length === 0) {
+			return;
+		}
+
+		// ノードを挿入する
+		if (ref) {
+			for (const target of targets) {
+				refParent.insertBefore(target, ref);
+			}
+		}
+		else {
+			// 移動先の指定がないときは末尾に一括で追加する
+			refParent.append(...targets);
+		}
+	}
+
+	/**
+	 * 挿入操作を別のノードとしての挿入操作に置換する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { number } i recordのインデックス
+	 * @param { number } j 挿入したノードのインデックス
+	 * @param { Node } target 置換内容
+	 */
+	static replaceNodeAndInsertOperation(records, i, j, target) {
+		// 以下のようなパラメータチェックは行わない
+		// records[i].type === 'childList'
+
+		const op = records[i];
+		const node = op.addedNodes[j];
+		op.target.replaceChild(target, node);
+		op.addedNodes[j] = target;
+		// nodeに関する操作内容をtargetに置き換える
+		Nomalizer.replaceOperation(records, node, target, target, target, i + 1, records.length);
+	}
+
+	/**
+	 * 子要素のノードと操作内容を現在位置で展開して展開元は削除する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { number } i recordのインデックス
+	 * @param { number } j 挿入したノードのインデックス
+	 * @returns { [number, number] } 削除後のインデックス[i, j]
+	 */
+	static expandChildNodesAndInsertOperation(records, i, j) {
+		// 以下のようなパラメータチェックは行わない
+		// records[i].type === 'childList'
+		
+		Nomalizer.unwrapNodeAndInsertOperation(records, records[i].addedNodes[j]);
+
+		return [i, j];
+	}
+
+	/**
+	 * 子要素のノードを現在位置で展開して展開元は削除し操作内容に移動と削除の情報を追加する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Node } node 展開対象のノード
+	 */
+	static unwrapNodeAndInsertOperation(records, node) {
+		const parent = node.parentNode;
+		// node自体が不要で子ノードはその場に展開する指定があれば展開する
+		if (node.childNodes.length !== 0) {
+			// 移動によりchildNodesは変化するため退避
+			const children = [...node.childNodes];
+			// 子ノードをnodeの直前に移動して移動を操作内容として記録する
+			Nomalizer.insertRemoveOperation(records, node, children);
+			Nomalizer.moveNodeList(children, parent, node);
+			Nomalizer.insertInsertOperation(records, parent, children);
+		}
+		// 展開元のノードを削除する
+		Nomalizer.removeNodeAndRemoveOperation(records, node);
+	}
+
+	/**
+	 * ノードを削除して操作内容に削除情報を追加する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Node } node 削除対象のノード
+	 */
+	static removeNodeAndRemoveOperation(records, node) {
+		const parent = node.parentNode;
+		Nomalizer.insertRemoveOperation(records, parent, [node]);
+		parent.removeChild(node);
+	}
+
+	/**
+	 * ノードを直前の兄弟ノードに併合して操作内容に移動と削除の情報を追加する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Node } node 併合対象のノード(直前の兄弟ノードが存在する必要がある)
+	 */
+	static mergeNodeAndInsertOperation(records, node) {
+		const prev = node.previousSibling;
+		if (node.childNodes.length !== 0) {
+			// 移動によりchildNodesは変化するため退避
+			const children = [...node.childNodes];
+			// 子ノードをprevの末尾に移動して移動を操作内容として記録する
+			Nomalizer.insertRemoveOperation(records, node, children);
+			Nomalizer.moveNodeList(children, prev);
+			Nomalizer.insertInsertOperation(records, prev, children);
+		}
+		// 併合元のノードを削除する
+		Nomalizer.removeNodeAndRemoveOperation(records, node);
+	}
+
+	/**
+	 * ノードを新規に構築した要素に置き換えて操作内容に挿入と移動と削除の情報を追加する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Node } node 置換対象のノード
+	 * @param { Node } element 新規に構築した要素
+	 */
+	static replaceChildAndInsertOperation(records, node, element) {
+		const parent = node.parentNode;
+		// 新規に構築した要素をnodeの直前に挿入する
+		Nomalizer.moveNodeList([element], parent, node);
+		Nomalizer.insertInsertOperation(records, parent, [element]);
+		// 子ノードを新規に構築した要素に移動してnodeは削除する
+		Nomalizer.mergeNodeAndInsertOperation(records, node);
+	}
+
+	/**
+	 * 連続するノードを新規に構築した親ノードで包んで操作内容に挿入と移動の情報を追加する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Node[] } nodes 包む対象のノード(全ての親ノードは共通かつ連続である必要がある)
+	 * @param { Node } parent 新規に構築した親ノード
+	 */
+	static wrapNodeListAndInsertOperation(records, nodes, parent) {
+		const target = nodes[0].parentNode;
+		// 親ノードをnodesの直前に挿入する
+		Nomalizer.moveNodeList([parent], target, nodes[0]);
+		Nomalizer.insertInsertOperation(records, target, [parent]);
+		// nodesを親ノードの子に移動する
+		Nomalizer.insertRemoveOperation(records, target, nodes);
+		Nomalizer.moveNodeList(nodes, parent);
+		Nomalizer.insertInsertOperation(records, parent, nodes);
+	}
+
+	/**
+	 * 子ノードのうち条件を満たす連続するノードごとに新規に構築した親ノードで包んで操作内容に挿入と移動の情報を追加する
+	 * (空白のみのテキストなどの内容として意味を持たないノードのみの連続は包まない)
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Node } node 子ノードを包む対象のノード
+	 * @param { (child: Node) => boolean } predicate 包む対象の子ノードであるかの判定
+	 * @param { string } tagName 新規に構築する親ノードの要素名
+	 */
+	static wrapChildNodesAndInsertOperation(records, node, predicate, tagName) {
+		let targets = [];
+		for (const child of [...node.childNodes, null]) {
+			if (child && predicate(child)) {
+				targets.push(child);
+			}
+			else if (targets.length !== 0) {
+				if (targets.some(target => !Nomalizer.isBlankNode(target))) {
+					Nomalizer.wrapNodeListAndInsertOperation(records, targets, document.createElement(tagName));
+				}
+				targets = [];
+			}
+		}
+	}
+
+	/**
+	 * ノードの前後に改行要素を挿入して操作内容に挿入情報を追加する(既に改行要素と隣接する側には挿入しない)
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Node } node 区切る対象のノード
+	 */
+	static separateNodeAndInsertOperation(records, node) {
+		const parent = node.parentNode;
+		for (const [ref, sibling] of [[node, node.previousSibling], [node.nextSibling, node.nextSibling]]) {
+			if (sibling !== null && sibling.nodeName.toLowerCase() !== 'br') {
+				const br = document.createElement('br');
+				Nomalizer.moveNodeList([br], parent, ref);
+				Nomalizer.insertInsertOperation(records, parent, [br]);
+			}
+		}
+	}
+
+	/**
+	 * 挿入操作を別の既存のノードへの挿入に変更して同時にノードも移動する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { number } i recordのインデックス
+	 * @param { number } j 挿入したノードのインデックス
+	 * @param { Node } target 移動先(既存のノード)
+	 * @returns { [number, number] } 移動後のインデックス[i, j]
+	 */
+	static moveNodeAndInsertOperation(records, i, j, target) {
+		const op = records[i];
+		const node = op.addedNodes[j];
+
+		const prev = node.previousSibling;
+		const next = node.nextSibling;
+
+		// 挿入操作をキャンセル
+		[i, j] = Nomalizer.cancelInsertOperation(records, i, j);
+		// 削除したノードの元の隣接しているノードや子の接続情報を書き換え
+		Nomalizer.replaceOperation(records, node,  op.target, prev, next, i + 1, records.length);
+		// ノードの移動
+		Nomalizer.moveNodeList([node], target);
+		// nodeの挿入操作を再挿入する
+		Nomalizer.insertInsertOperation(records, target, [node]);
+
+		return [i, j];
+	}
+
+	/**
+	 * 新規構築したノードの挿入操作を構築して既存の挿入操作の挿入先をそのノードに変更し同時にノードも移動する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { number } i recordのインデックス
+	 * @param { number } j 挿入したノードのインデックス
+	 * @param { Node } parent 新規に構築した親ノード
+	 */
+	static insertParentNodeAndInsertOperation(records, i, j, parent) {
+		const op = records[i];
+		const node = op.addedNodes[j];
+
+		// 挿入操作を新規に構築した親ノードの挿入に変更
+		Nomalizer.replaceNodeAndInsertOperation(records, i, j, parent);
+		// ノード移動についてのキャレット位置計算のために一時的に挿入
+		parent.parentNode.insertBefore(node, parent);
+		// 元のノードを新規に構築した親ノードの子に変更
+		Nomalizer.moveNodeList([node], parent);
+		// nodeの挿入操作をparentの挿入操作の次として挿入する
+		Nomalizer.insertInsertOperation(records, parent, [node], i + 1);
+	}
+
+	/**
+	 * 貼り付けなどで外部から持ち込まれたDOMツリーを編集可能な構造のみに変換する
+	 * @param { Node } source 変換元のノード(DOMParserで解析したbodyなど)
+	 * @returns { DocumentFragment } 正規化済みのブロック要素の列
+	 */
+	sanitize(source) {
+		const fragment = document.createDocumentFragment();
+		/** @type { WeakSet<Node> } ブロック要素の境界として挿入した改行要素 */
+		const softBreaks = new WeakSet();
+
+		/**
+		 * @typedef {{
+		 * 		flow: ParentNode;
+		 * 		block: Element | null;
+		 * 		inline: boolean;
+		 * 		marks: string[];
+		 * 		link?: string | null;
+		 * 		pre: boolean;
+		 * }} SanitizeContext 変換中の挿入先の情報(linkは適用中のリンク先)
+		 */
+
+		/**
+		 * インライン要素の挿入先のブロック要素を取得する(存在しなければ新規に構築する)
+		 * @param { SanitizeContext } ctx 変換中の挿入先の情報
+		 * @returns { Element } インライン要素の挿入先のブロック要素
+		 */
+		const getBlock = ctx => {
+			if (ctx.block === null) {
+				ctx.block = document.createElement(Nomalizer.isList(ctx.flow, this.#schema) ? 'li' : 'p');
+				ctx.flow.append(ctx.block);
+			}
+			return ctx.block;
+		};
+		/**
+		 * 書式を適用してインライン要素を挿入する(直前の同一の書式は再利用する)
+		 * @param { SanitizeContext } ctx 変換中の挿入先の情報
+		 * @param { Node } node 挿入するノード
+		 */
+		const appendInline = (ctx, node) => {
+			let parent = getBlock(ctx);
+			if (ctx.link) {
+				const last = parent.lastChild;
+				if (last?.nodeName.toLowerCase() === 'a' && /** @type { Element } */(last).getAttribute('href') === ctx.link) {
+					parent = /** @type { Element } */(last);
+				}
+				else {
+					const link = document.createElement('a');
+					link.setAttribute('href', ctx.link);
+					parent.append(link);
+					parent = link;
+				}
+			}
+			for (const tagName of ctx.marks) {
+				const last = parent.lastChild;
+				if (last?.nodeType === Node.ELEMENT_NODE && /** @type { Element } */(last).tagName.toLowerCase() === tagName) {
+					parent = /** @type { Element } */(last);
+				}
+				else {
+					const mark = document.createElement(tagName);
+					parent.append(mark);
+					parent = mark;
+				}
+			}
+			parent.append(node);
+		};
+		/**
+		 * テキストを直接含むブロック要素内のブロック要素の境界を改行とする
+		 * @param { SanitizeContext } ctx 変換中の挿入先の情報
+		 */
+		const breakLine = ctx => {
+			const block = getBlock(ctx);
+			let last = block.lastChild;
+			while (last?.lastChild && last.nodeType === Node.ELEMENT_NODE && !Nomalizer.isBlock(last, this.#schema)) {
+				last = last.lastChild;
+			}
+			if (last !== null && !Nomalizer.isBlock(last, this.#schema) && (last.nodeType !== Node.ELEMENT_NODE || /** @type { Element } */(last).tagName.toLowerCase() !== 'br')) {
+				const br = document.createElement('br');
+				softBreaks.add(br);
+				block.append(br);
+			}
+		};
+		/**
+		 * ノードを変換して挿入する
+		 * @param { Node } node 変換元のノード
+		 * @param { SanitizeContext } ctx 変換中の挿入先の情報
+		 */
+		const convert = (node, ctx) => {
+			// スクリプトやコメントなどの編集対象外のノードは除去する
+			if (node.nodeType !== Node.TEXT_NODE && node.nodeType !== Node.ELEMENT_NODE || this.getNodeSpec(null, node)?.drop) {
+				return;
+			}
+			if (node.nodeType === Node.TEXT_NODE) {
+				if (ctx.pre) {
+					// 整形済みテキスト内の改行は改行要素に置き換える
+					node.nodeValue.split(/\r?\n/).forEach((line, k) => {
+						if (k !== 0) {
+							appendInline(ctx, document.createElement('br'));
+						}
+						if (line.length !== 0) {
+							appendInline(ctx, document.createTextNode(line));
+						}
+					});
+				}
+				else {
+					const text = node.nodeValue.replace(/[ \t\n\r\f]+/g, ' ');
+					// ブロック要素間の空白は無視する
+					if (text !== ' ' || ctx.block !== null) {
+						appendInline(ctx, document.createTextNode(text));
+					}
+				}
+				return;
+			}
+
+			const element = /** @type { Element } */(node);
+			const tagName = element.tagName.toLowerCase();
+			const marks = [...ctx.marks, ...Nomalizer.getStyleMarkTagNames(element).filter(v => !ctx.marks.includes(v))];
+			const convertChildNodes = (/** @type { SanitizeContext } */ childCtx) => {
+				for (const child of element.childNodes) {
+					convert(child, childCtx);
+				}
+			};
+
+			if (tagName === 'br') {
+				appendInline(ctx, document.createElement('br'));
+			}
+			else if (ctx.inline && (Nomalizer.isBlock(element, this.#schema) || Nomalizer.foreignBlockTagNames.includes(tagName))) {
+				if (Nomalizer.isList(element, this.#schema) && Nomalizer.isListItem(ctx.block, this.#schema)) {
+					// リストの項目内のリストはネストしたリストとして構築する
+					const list = document.createElement(tagName);
+					ctx.block.append(list);
+					convertChildNodes({ flow: list, block: null, inline: false, marks, pre: false });
+				}
+				else {
+					// テキストを直接含むブロック要素内のブロック要素は改行で区切る
+					breakLine(ctx);
+					convertChildNodes({ ...ctx, marks });
+					breakLine(ctx);
+				}
+			}
+			else if (tagName === 'table') {
+				// 表は結合されたセルを空のセルで埋めて行ごとのセルの数を揃えて構築する
+				const tbody = document.createElement('tbody');
+				for (const row of /** @type { HTMLTableElement } */(element).rows) {
+					const tr = document.createElement('tr');
+					tbody.append(tr);
+					/** @type { Element | null } セルの外に置かれた内容を包むセル */
+					let stray = null;
+					for (const child of row.childNodes) {
+						if (child.nodeType === Node.ELEMENT_NODE && Nomalizer.isTableCell(child, this.#schema)) {
+							const cell = /** @type { HTMLTableCellElement } */(child);
+							const block = document.createElement(cell.tagName.toLowerCase());
+							tr.append(block);
+							for (const grandchild of cell.childNodes) {
+								convert(grandchild, { flow: tr, block, inline: true, marks, pre: false });
+							}
+							for (let k = 1; k < cell.colSpan; ++k) {
+								tr.append(document.createElement('td'));
+							}
+							stray = null;
+						}
+						else if (stray !== null || !Nomalizer.isBlankNode(child)) {
+							// 行の直下の内容はその位置のセルとして包む
+							if (stray === null) {
+								stray = document.createElement('td');
+								tr.append(stray);
+							}
+							convert(child, { flow: tr, block: stray, inline: true, marks, pre: false });
+						}
+					}
+				}
+				const columns = Math.max(0, ...[...tbody.children].map(tr => tr.children.length));
+				if (columns !== 0) {
+					for (const tr of tbody.children) {
+						while (tr.children.length < columns) {
+							tr.append(document.createElement('td'));
+						}
+					}
+					const table = document.createElement('table');
+					table.append(tbody);
+					ctx.flow.append(table);
+				}
+				ctx.block = null;
+			}
+			else if (Nomalizer.isHorizontalRule(element, this.#schema)) {
+				// リスト内の水平線は項目の区切りとする
+				if (!Nomalizer.isList(ctx.flow, this.#schema)) {
+					ctx.flow.append(document.createElement('hr'));
+				}
+				ctx.block = null;
+			}
+			else if (Nomalizer.isListItem(element, this.#schema) || (Nomalizer.isTextBlock(element, this.#schema) && Nomalizer.isList(ctx.flow, this.#schema))) {
+				let list = ctx.flow;
+				if (!Nomalizer.isList(list, this.#schema)) {
+					// リスト外のリストの項目は箇条書きリストの項目とする
+					if (!Nomalizer.isList(list.lastChild, this.#schema)) {
+						list.append(document.createElement('ul'));
+					}
+					list = /** @type { ParentNode } */(list.lastChild);
+				}
+				const item = document.createElement('li');
+				list.append(item);
+				convertChildNodes({ flow: list, block: item, inline: true, marks, pre: false });
+				ctx.block = null;
+			}
+			else if (Nomalizer.isTextBlock(element, this.#schema) && !Nomalizer.isTableCell(element, this.#schema)) {
+				const block = document.createElement(tagName);
+				ctx.flow.append(block);
+				convertChildNodes({ flow: ctx.flow, block, inline: true, marks, pre: tagName === 'pre' });
+				ctx.block = null;
+			}
+			else if (Nomalizer.isContainerBlock(element, this.#schema) || Nomalizer.isList(element, this.#schema)) {
+				const container = document.createElement(tagName);
+				ctx.flow.append(container);
+				convertChildNodes({ flow: container, block: null, inline: false, marks, pre: false });
+				ctx.block = null;
+			}
+			else if (Nomalizer.foreignBlockTagNames.includes(tagName)) {
+				// 未知のブロック要素は段落の区切りとする
+				ctx.block = null;
+				convertChildNodes({ ...ctx, marks });
+				ctx.block = null;
+			}
+			else if (tagName === 'a' && element.hasAttribute('href') && !ctx.link) {
+				// リンクは安全なリンク先の場合のみリンクとして子要素を展開する
+				const childCtx = { ...ctx, marks, link: Nomalizer.sanitizeUrl(element.getAttribute('href')) };
+				convertChildNodes(childCtx);
+				ctx.block = childCtx.block;
+			}
+			else if (Nomalizer.isAtom(element, this.#schema)) {
+				// 画像は安全なURLの場合のみ許可された属性のみを引き継ぐ
+				const src = Nomalizer.sanitizeImageUrl(element.getAttribute('src') ?? '');
+				if (src) {
+					const img = document.createElement(tagName);
+					img.setAttribute('src', src);
+					if (element.hasAttribute('alt')) {
+						img.setAttribute('alt', element.getAttribute('alt'));
+					}
+					img.setAttribute('contenteditable', 'false');
+					appendInline(ctx, img);
+				}
+			}
+			else {
+				// 未知のインライン要素は書式のみを引き継いで子要素を展開する
+				const childCtx = { ...ctx, marks };
+				convertChildNodes(childCtx);
+				ctx.block = childCtx.block;
+			}
+		};
+		convert(source, { flow: fragment, block: null, inline: false, marks: [], pre: false });
+
+		// 空白の除去と空要素の除去を行う
+		const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_ELEMENT);
+		const blocks = [];
+		while (walker.nextNode()) {
+			blocks.push(/** @type { Element } */(walker.currentNode));
+		}
+		for (const block of blocks.reverse()) {
+			if (Nomalizer.isTextBlock(block, this.#schema)) {
+				// 末尾やリストの直前のブロック要素の境界の改行は不要
+				for (const child of [...block.childNodes]) {
+					if (softBreaks.has(child) && (child.nextSibling === null || Nomalizer.isList(child.nextSibling, this.#schema))) {
+						child.remove();
+					}
+				}
+				if (block.tagName.toLowerCase() !== 'pre') {
+					Nomalizer.trimBlock(block);
+				}
+				if (Nomalizer.isEmptyNode(block)) {
+					if (Nomalizer.isListItem(block, this.#schema) || Nomalizer.isTableCell(block, this.#schema)) {
+						block.append(document.createElement('br'));
+					}
+					else {
+						block.remove();
+						continue;
+					}
+				}
+				// 空行の表示のために末尾の改行は2つにする
+				const last = block.lastChild;
+				if (last?.nodeType === Node.ELEMENT_NODE && /** @type { Element } */(last).tagName.toLowerCase() === 'br' && last.previousSibling !== null &&
+					(last.previousSibling.nodeType !== Node.ELEMENT_NODE || /** @type { Element } */(last.previousSibling).tagName.toLowerCase() !== 'br')) {
+					block.append(document.createElement('br'));
+				}
+			}
+			else if ((Nomalizer.isContainerBlock(block, this.#schema) || Nomalizer.isList(block, this.#schema) || Nomalizer.getMarkTagName(block) !== null || block.tagName.toLowerCase() === 'a') && block.childNodes.length === 0) {
+				block.remove();
+			}
+		}
+
+		return fragment;
+	}
+
+	/**
+	 * テキストを直接含むブロック要素の行頭と行末の空白および連続する空白を除去する
+	 * @param { Element } block 対象のブロック要素
+	 */
+	static trimBlock(block) {
+		/** @type { (Text | null)[][] } 改行要素で区切られた行ごとのテキストノード(nullは内容を持たない要素) */
+		const lines = [[]];
+		const collect = (/** @type { Node } */ parent) => {
+			for (const node of parent.childNodes) {
+				if (node.nodeType === Node.TEXT_NODE) {
+					lines[lines.length - 1].push(/** @type { Text } */(node));
+				}
+				else if (/** @type { Element } */(node).tagName.toLowerCase() === 'br' || Nomalizer.isList(node)) {
+					// 子のリストの内容は子のリストの項目ごとに評価する
+					lines.push([]);
+				}
+				else if (Nomalizer.isAtom(node)) {
+					// 画像などは空白を挟む文字として扱う
+					lines[lines.length - 1].push(null);
+				}
+				else {
+					collect(node);
+				}
+			}
+		};
+		collect(block);
+		for (const line of lines) {
+			let space = true;
+			for (const text of line) {
+				if (text === null) {
+					space = false;
+					continue;
+				}
+				if (space) {
+					text.nodeValue = text.nodeValue.replace(/^ /, '');
+				}
+				if (text.length !== 0) {
+					space = text.nodeValue.endsWith(' ');
+				}
+			}
+			for (const text of [...line].reverse()) {
+				if (text === null) {
+					break;
+				}
+				text.nodeValue = text.nodeValue.replace(/ $/, '');
+				if (text.length !== 0) {
+					break;
+				}
+			}
+			for (const text of line) {
+				if (text?.length === 0) {
+					// 空になったテキストとそれにより空になったインライン書式は除去する
+					let node = /** @type { Node } */(text);
+					while (node !== block && node.childNodes.length === 0) {
+						const parent = node.parentNode;
+						parent.removeChild(node);
+						node = parent;
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * プレーンテキストを段落の列に変換する(空行は段落の区切り、単一の改行は段落内改行とする)
+	 * @param { string } text 変換元のテキスト
+	 * @returns { DocumentFragment } 段落要素の列
+	 */
+	static textToFragment(text) {
+		const fragment = document.createDocumentFragment();
+		for (const paragraph of text.replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/)) {
+			if (paragraph.trim().length === 0) {
+				continue;
+			}
+			const p = document.createElement('p');
+			paragraph.split('\n').forEach((line, k) => {
+				if (k !== 0) {
+					p.append(document.createElement('br'));
+				}
+				if (line.length !== 0) {
+					p.append(line);
+				}
+			});
+			if (p.lastChild.nodeType === Node.ELEMENT_NODE) {
+				// 空行の表示のために末尾の改行は2つにする
+				p.append(document.createElement('br'));
+			}
+			fragment.append(p);
+		}
+		return fragment;
+	}
+
+	/**
+	 * インライン書式の定義であるか
+	 * @param { NomalizerNodeSpec | null } spec 判定対象の定義
+	 * @returns { boolean } 子を持つインライン要素の定義の場合はtrue
+	 */
+	static #isMarkSpec(spec) {
+		return spec?.group === 'inline' && spec.content !== undefined && spec.content.length !== 0;
+	}
+
+	/**
+	 * 要素の属性をJSON表現に変換する
+	 * @param { Element } element 変換対象の要素
+	 * @returns { { attrs?: { [name: string]: string } } } 属性が存在する場合のみattrsを持つオブジェクト
+	 */
+	static #toAttrs(element) {
+		return element.attributes.length === 0 ? {} : { attrs: Object.fromEntries([...element.attributes].map(attr => [attr.name, attr.value])) };
+	}
+
+	/**
+	 * JSON表現の属性を検証してスキーマの定義に従って変換した値を要素に設定する(許可されない属性は設定しない)
+	 * @param { Element } element 設定対象の要素
+	 * @param { unknown } attrs JSON表現の属性
+	 */
+	#setAttrs(element, attrs) {
+		if (attrs === undefined) {
+			return;
+		}
+		if (typeof attrs !== 'object' || attrs === null || Array.isArray(attrs)) {
+			throw new TypeError(`${element.localName}の属性がオブジェクトではありません`);
+		}
+		for (const [name, value] of Object.entries(attrs)) {
+			// イベントハンドラ属性はスクリプトの実行につながるため許可しない
+			if (!/^[a-z][a-z0-9\-]*$/i.test(name) || /^on/i.test(name) || typeof value !== 'string') {
+				throw new TypeError(`${element.localName}の属性${name}は設定できません`);
+			}
+			const repaired = this.repairAttributeValue(element, name, value);
+			if (repaired !== null) {
+				element.setAttribute(name, repaired);
+			}
+		}
+	}
+
+	/**
+	 * ルート要素の内容をJSON表現に変換する
+	 * @param { Element } root ルート要素
+	 * @returns { NomalizerDocumentNode } 文書のJSON表現
+	 */
+	toDocument(root) {
+		/**
+		 * 子ノードをJSON表現に変換する
+		 * @param { Node } parent 変換対象の親ノード
+		 * @param { NomalizerDocumentNode['marks'] } marks 適用されているインライン書式
+		 * @param { NomalizerDocumentNode[] } content 変換結果の挿入先
+		 * @returns { NomalizerDocumentNode[] } content
+		 */
+		const convert = (parent, marks, content) => {
+			for (const node of parent.childNodes) {
+				const spec = this.getNodeSpec(root, node);
+				const withMarks = marks.length === 0 ? {} : { marks };
+				if (node.nodeType === Node.TEXT_NODE) {
+					// 同一の書式のテキストは1つにまとめる
+					const last = content[content.length - 1];
+					if (last?.type === 'text' && JSON.stringify(last.marks ?? []) === JSON.stringify(marks)) {
+						last.text += node.nodeValue;
+					}
+					else if (node.nodeValue.length !== 0) {
+						content.push({ type: 'text', text: node.nodeValue, ...withMarks });
+					}
+				}
+				else if (node.nodeType !== Node.ELEMENT_NODE || spec?.drop) {
+					continue;
+				}
+				else if (spec === null || spec.transparent) {
+					// 定義の存在しない要素は子のみを変換する
+					convert(node, marks, content);
+				}
+				else if (Nomalizer.#isMarkSpec(spec)) {
+					convert(node, [...marks, { type: node.nodeName.toLowerCase(), ...Nomalizer.#toAttrs(/** @type { Element } */(node)) }], content);
+				}
+				else if (spec.group === 'inline') {
+					content.push({ type: node.nodeName.toLowerCase(), ...Nomalizer.#toAttrs(/** @type { Element } */(node)), ...withMarks });
+				}
+				else {
+					const children = convert(node, [], []);
+					// 空行の表示のために挿入した末尾の改行は含めない
+					for (let i = 0; i < children.length; ++i) {
+						if (this.#schema.nodes[children[i].type]?.duplicateAtEnd && (i + 1 === children.length || !this.#isInlineDocumentNode(children[i + 1]))) {
+							children.splice(i, 1);
+						}
+					}
+					content.push({ type: node.nodeName.toLowerCase(), ...Nomalizer.#toAttrs(/** @type { Element } */(node)), content: children });
+				}
+			}
+			return content;
+		};
+		return { type: 'doc', content: convert(root, [], []) };
+	}
+
+	/**
+	 * JSON表現のノードがインライン要素であるか
+	 * @param { NomalizerDocumentNode } node 判定対象のノード
+	 * @returns { boolean } テキストかインライン要素の場合はtrue
+	 */
+	#isInlineDocumentNode(node) {
+		return node.type === 'text' || (Object.hasOwn(this.#schema.nodes, node.type) && this.#schema.nodes[node.type].group === 'inline');
+	}
+
+	/**
+	 * JSON表現をスキーマに従って検証してノードの列に変換する
+	 * @param { NomalizerDocumentNode } json 文書のJSON表現
+	 * @returns { DocumentFragment } ルート要素の子となるノードの列
+	 */
+	fromDocument(json) {
+		if (json?.type !== 'doc' || !Array.isArray(json.content)) {
+			throw new TypeError('文書のJSON表現ではありません');
+		}
+		/** @type { (node: Node) => string } エラーメッセージのための挿入先の名前 */
+		const nameOf = node => node.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? 'ルート要素' : node.nodeName.toLowerCase();
+		const placeholder = Object.keys(this.#schema.nodes).find(name => this.#schema.nodes[name].duplicateAtEnd);
+
+		/**
+		 * JSON表現のノードの定義を取得する
+		 * @param { string } type 要素名
+		 * @returns { NomalizerNodeSpec } 定義
+		 */
+		const getSpec = type => {
+			const spec = typeof type === 'string' && Object.hasOwn(this.#schema.nodes, type) ? this.#schema.nodes[type] : null;
+			if (spec === null || spec.drop || spec.transparent || spec.replace) {
+				throw new TypeError(`${type}はスキーマで許可されていない要素です`);
+			}
+			return spec;
+		};
+		/**
+		 * インライン書式を適用してノードを挿入する(直前の同一の書式は再利用する)
+		 * @param { Element | DocumentFragment } parent 挿入先
+		 * @param { Node } node 挿入するノード
+		 * @param { unknown } marks JSON表現のインライン書式
+		 */
+		const appendInline = (parent, node, marks = []) => {
+			if (!Array.isArray(marks)) {
+				throw new TypeError('インライン書式が配列ではありません');
+			}
+			for (const mark of marks) {
+				if (!Nomalizer.#isMarkSpec(getSpec(mark?.type))) {
+					throw new TypeError(`${mark?.type}はインライン書式ではありません`);
+				}
+				const element = document.createElement(mark.type);
+				this.#setAttrs(element, mark.attrs);
+				if (!this.#accepts(this.getNodeSpec(null, parent), element)) {
+					throw new TypeError(`${nameOf(parent)}に${mark.type}は挿入できません`);
+				}
+				if (parent.lastChild?.cloneNode(false).isEqualNode(element)) {
+					parent = /** @type { Element } */(parent.lastChild);
+				}
+				else {
+					parent.append(element);
+					parent = element;
+				}
+			}
+			if (parent.nodeType === Node.ELEMENT_NODE && !this.#accepts(this.getNodeSpec(null, parent), node)) {
+				throw new TypeError(`${nameOf(parent)}に${node.nodeName.toLowerCase()}は挿入できません`);
+			}
+			parent.append(node);
+		};
+		/**
+		 * 子ノードを構築する
+		 * @param { Element | DocumentFragment } parent 挿入先
+		 * @param { NomalizerNodeSpec } spec 挿入先の定義
+		 * @param { unknown } content JSON表現の子ノード
+		 */
+		const build = (parent, spec, content) => {
+			if (!Array.isArray(content)) {
+				throw new TypeError(`${nameOf(parent)}の子ノードが配列ではありません`);
+			}
+			for (const item of content) {
+				if (item?.type === 'text') {
+					if (typeof item.text !== 'string' || item.text.length === 0) {
+						throw new TypeError('テキストが文字列ではありません');
+					}
+					if (!this.#accepts(spec, document.createTextNode(item.text))) {
+						throw new TypeError(`${nameOf(parent)}にテキストは挿入できません`);
+					}
+					appendInline(parent, document.createTextNode(item.text), item.marks);
+					continue;
+				}
+				const itemSpec = getSpec(item?.type);
+				if (Nomalizer.#isMarkSpec(itemSpec)) {
+					throw new TypeError(`${item.type}はテキストのmarksとして指定する必要があります`);
+				}
+				const element = document.createElement(item.type);
+				this.#setAttrs(element, item.attrs);
+				if (!this.#hasRequiredAttributes(element)) {
+					// 画像のURLが安全でない場合などは要素ごと除去する
+					continue;
+				}
+				this.#repairRequiredAttributes([], element);
+				if (!this.#accepts(spec, element)) {
+					throw new TypeError(`${nameOf(parent)}に${item.type}は挿入できません`);
+				}
+				if (itemSpec.group === 'inline') {
+					if (item.content !== undefined) {
+						throw new TypeError(`${item.type}は子ノードを持つことができません`);
+					}
+					appendInline(parent, element, item.marks);
+					continue;
+				}
+				if (item.marks !== undefined) {
+					throw new TypeError(`${item.type}にインライン書式は適用できません`);
+				}
+				build(element, itemSpec, item.content ?? []);
+				parent.append(element);
+			}
+
+			// 空行の表示のために末尾の改行を補う
+			if (placeholder && parent.nodeType === Node.ELEMENT_NODE && this.#accepts(spec, document.createElement(placeholder))) {
+				let empty = true;
+				for (const child of [...parent.childNodes, null]) {
+					if (child !== null && this.getNodeSpec(null, child)?.group === 'inline') {
+						empty = false;
+						continue;
+					}
+					let last = child ? child.previousSibling : parent.lastChild;
+					if (empty && last === null) {
+						// 空のブロック要素や先頭がブロック要素の場合は改行を補う
+						parent.insertBefore(document.createElement(placeholder), child);
+					}
+					else if (!empty) {
+						while (Nomalizer.#isMarkSpec(this.getNodeSpec(null, last)) && last.lastChild) {
+							last = last.lastChild;
+						}
+						if (last.nodeName.toLowerCase() === placeholder) {
+							// 末尾やブロック要素の直前の改行はもう1つ改行を補う
+							last.parentNode.insertBefore(document.createElement(placeholder), last.nextSibling);
+						}
+					}
+					empty = true;
+				}
+			}
+		};
+
+		const fragment = document.createDocumentFragment();
+		build(fragment, this.#schema.root, json.content);
+		if (fragment.childNodes.length === 0 && this.#schema.root.fill) {
+			// 空の文書は空の段落とする
+			build(fragment, this.#schema.root, [{ type: this.#schema.root.fill }]);
+		}
+		return fragment;
+	}
+
+	/**
+	 * スキーマにおけるノードの定義を取得する
+	 * @param { Node | null } root ルート要素
+	 * @param { Node } node 対象のノード
+	 * @returns { NomalizerNodeSpec | null } ノードの定義(定義が存在しない場合はnull)
+	 */
+	getNodeSpec(root, node) {
+		if (node === root) {
+			return this.#schema.root;
+		}
+		const name = node.nodeName.toLowerCase();
+		return Object.hasOwn(this.#schema.nodes, name) ? this.#schema.nodes[name] : null;
+	}
+
+	/**
+	 * ノードを子として許可するかを判定する
+	 * @param { NomalizerNodeSpec | null } spec 親となるノードの定義
+	 * @param { Node } node 判定対象のノード
+	 * @returns { boolean } 許可する場合はtrue(定義が存在しないノードは検査対象外として許可する)
+	 */
+	#accepts(spec, node) {
+		let name = node.nodeName.toLowerCase();
+		let nodeSpec = this.getNodeSpec(null, node);
+		if (nodeSpec?.replace) {
+			// 置き換える指定がある場合は置き換え後の要素として判定する
+			name = nodeSpec.replace;
+			nodeSpec = Object.hasOwn(this.#schema.nodes, name) ? this.#schema.nodes[name] : null;
+		}
+		// 除去や展開の指定のあるノードは別途処理されるため許可する
+		if (!spec?.content || nodeSpec === null || nodeSpec.drop || nodeSpec.transparent || (spec.ignoreBlank && Nomalizer.isBlankNode(node))) {
+			return true;
+		}
+		return spec.content.includes(name) || (nodeSpec.group !== undefined && spec.content.includes(nodeSpec.group));
+	}
+
+	/**
+	 * 2つのノードが併合可能な同一の要素であるか
+	 * @param { Node | null } a 比較対象のノード
+	 * @param { Node | null } b 比較対象のノード
+	 * @returns { boolean } 併合可能な場合はtrue
+	 */
+	#isMergeable(a, b) {
+		if (!a || !b || !this.getNodeSpec(null, a)?.merge) {
+			return false;
+		}
+		// 要素名と属性が一致するかを子要素を除いて比較する
+		return a.cloneNode(false).isEqualNode(b.cloneNode(false));
+	}
+
+	/**
+	 * 挿入先で許可されないノードをスキーマの定義に従って修復する
+	 * @param { Element } root ルート要素
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { number } i recordのインデックス
+	 * @param { number } j 挿入したノードのインデックス
+	 * @returns { [number, number] } 修復後のインデックス[i, j]
+	 */
+	#repairNode(root, records, i, j) {
+		const op = records[i];
+		const node = op.addedNodes[j];
+		const spec = this.getNodeSpec(root, node);
+		const parentSpec = this.getNodeSpec(root, op.target);
+		const prev = node.previousSibling;
+
+		if (spec.join && prev && this.getNodeSpec(root, prev)?.content && this.#accepts(this.getNodeSpec(root, prev), node)) {
+			// 直前の兄弟要素の末尾に移動する
+			return Nomalizer.moveNodeAndInsertOperation(records, i, j, prev);
+		}
+		if (spec.unwrap === 'parent' && op.target !== root && !parentSpec.isolating) {
+			// 挿入先を展開して自身を親に展開する
+			Nomalizer.unwrapNodeAndInsertOperation(records, op.target);
+			return [i, j];
+		}
+		// 展開しない挿入先では包んだ結果が挿入先に収まる場合のみ包む
+		if (spec.wrap && (!parentSpec.isolating || this.#canContain(parentSpec, document.createElement(spec.wrap)))) {
+			// 連続するものごとに指定の要素で包む
+			const nodes = [node];
+			while (nodes[nodes.length - 1].nextSibling && this.getNodeSpec(root, nodes[nodes.length - 1].nextSibling)?.wrap === spec.wrap && !this.#accepts(parentSpec, nodes[nodes.length - 1].nextSibling)) {
+				nodes.push(nodes[nodes.length - 1].nextSibling);
+			}
+			Nomalizer.wrapNodeListAndInsertOperation(records, nodes, document.createElement(spec.wrap));
+			return [i, j];
+		}
+		if (parentSpec.fill && (parentSpec.isolating ? this.#canContain(this.#schema.nodes[parentSpec.fill], node) : this.#accepts(this.#schema.nodes[parentSpec.fill], node))) {
+			// 挿入先の指定する要素で包む
+			Nomalizer.insertParentNodeAndInsertOperation(records, i, j, document.createElement(parentSpec.fill));
+			return [i, j];
+		}
+		if (parentSpec.isolating && node.nodeType === Node.ELEMENT_NODE && this.#accepts(parentSpec, document.createElement('br'))) {
+			// 展開するブロック要素の前後は改行で区切る
+			Nomalizer.separateNodeAndInsertOperation(records, node);
+		}
+		// 包むことができない場合は自身を展開して子要素を親に展開する
+		return Nomalizer.expandChildNodesAndInsertOperation(records, i, j);
+	}
+
+	/**
+	 * ノードを子として許可するか、または許可されない子を包む要素を辿って包むことで許可できるかを判定する
+	 * @param { NomalizerNodeSpec } spec 親となるノードの定義
+	 * @param { Node } node 判定対象のノード
+	 * @returns { boolean } 許可できる場合はtrue
+	 */
+	#canContain(spec, node) {
+		return this.#accepts(spec, node) || (spec.fill !== undefined && this.#canContain(this.#schema.nodes[spec.fill], node));
+	}
+
+	/**
+	 * 挿入されたノードが持つ許可されない子をスキーマの定義に従って修復する
+	 * @param { Element } root ルート要素
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Node } node 検査対象のノード
+	 * @returns { boolean } 検査対象のノード自体を展開した場合はtrue
+	 */
+	#repairChildNodes(root, records, node) {
+		const spec = this.getNodeSpec(root, node);
+		// まとめて挿入された子孫の属性はMutationObserverで個別に観測されないため全て検査する(ルート要素の属性はスキーマの対象外とする)
+		const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+		for (let element = node.nodeType === Node.ELEMENT_NODE && node !== root ? node : walker.nextNode(); element; element = walker.nextNode()) {
+			for (const name of /** @type { Element } */(element).getAttributeNames()) {
+				this.#repairAttribute(records, /** @type { Element } */(element), name);
+			}
+		}
+		if (!spec?.content) {
+			return false;
+		}
+		for (const child of [...node.childNodes]) {
+			const childSpec = this.getNodeSpec(root, child);
+			if (childSpec?.drop) {
+				Nomalizer.removeNodeAndRemoveOperation(records, child);
+			}
+			else if (childSpec?.transparent) {
+				Nomalizer.unwrapNodeAndInsertOperation(records, child);
+			}
+			else if (childSpec?.replace) {
+				Nomalizer.replaceChildAndInsertOperation(records, child, document.createElement(childSpec.replace));
+			}
+		}
+		const invalids = [...node.childNodes].filter(child => !this.#accepts(spec, child));
+		if (invalids.length === 0) {
+			// 許可される子はその子孫を検査する
+			for (const child of [...node.childNodes]) {
+				if (child.parentNode === node) {
+					this.#repairChildNodes(root, records, child);
+				}
+			}
+			return false;
+		}
+		if (!spec.isolating && invalids.some(child => this.getNodeSpec(root, child).unwrap === 'parent')) {
+			// 子を残すために検査対象のノード自体を展開する
+			Nomalizer.unwrapNodeAndInsertOperation(records, node);
+			return true;
+		}
+		if (spec.fill) {
+			// 指定の要素が許可する子は連続するものごとに包む
+			const fillSpec = this.#schema.nodes[spec.fill];
+			Nomalizer.wrapChildNodesAndInsertOperation(records, node, child => !this.#accepts(spec, child) && (spec.isolating ? this.#canContain(fillSpec, child) : this.#accepts(fillSpec, child)), spec.fill);
+		}
+		let nodes = [];
+		for (const child of [...node.childNodes, null]) {
+			let wrap = child && !this.#accepts(spec, child) ? this.getNodeSpec(root, child).wrap : undefined;
+			if (wrap && spec.isolating && !this.#canContain(spec, document.createElement(wrap))) {
+				// 展開しない要素では包んだ結果が収まる場合のみ包む
+				wrap = undefined;
+			}
+			if (wrap && (nodes.length === 0 || this.getNodeSpec(root, nodes[0]).wrap === wrap)) {
+				nodes.push(child);
+				continue;
+			}
+			if (nodes.length !== 0) {
+				// 包む要素の指定があるものは連続するものごとに包む
+				Nomalizer.wrapNodeListAndInsertOperation(records, nodes, document.createElement(this.getNodeSpec(root, nodes[0]).wrap));
+				nodes = wrap ? [child] : [];
+			}
+			if (child && !wrap && !this.#accepts(spec, child) && !Nomalizer.isBlankNode(child)) {
+				if (spec.isolating && this.#accepts(spec, document.createElement('br'))) {
+					// 展開するブロック要素の前後は改行で区切る
+					Nomalizer.separateNodeAndInsertOperation(records, child);
+				}
+				// 包むことができない場合は子を展開する
+				Nomalizer.unwrapNodeAndInsertOperation(records, child);
+			}
+			else if (child?.parentNode === node) {
+				// 許可される子はその子孫を検査する
+				this.#repairChildNodes(root, records, child);
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * 要素の属性をスキーマの定義に従って除去または変換する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Element } element 対象の要素
+	 * @param { string } name 属性名
+	 */
+	#repairAttribute(records, element, name) {
+		const value = element.getAttribute(name);
+		if (value !== null) {
+			Nomalizer.setAttributeAndInsertOperation(records, element, name, this.repairAttributeValue(element, name, value));
+		}
+	}
+
+	/**
+	 * 必須の属性を持たない要素を除去し、持たない既定の属性を設定する
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Element } element 対象の要素
+	 */
+	#repairRequiredAttributes(records, element) {
+		if (!this.#hasRequiredAttributes(element)) {
+			const parent = element.parentNode;
+			Nomalizer.removeNodeAndRemoveOperation(records, element);
+			if (parent.childNodes.length === 0 && Nomalizer.isTextBlock(parent, this.#schema)) {
+				// 空になったブロック要素は空行として表示するために改行を挿入する
+				const br = document.createElement('br');
+				Nomalizer.moveNodeList([br], parent);
+				Nomalizer.insertInsertOperation(records, parent, [br]);
+			}
+			return;
+		}
+		for (const [name, value] of Object.entries(this.getNodeSpec(null, element)?.defaults ?? {})) {
+			if (!element.hasAttribute(name)) {
+				Nomalizer.setAttributeAndInsertOperation(records, element, name, value);
+			}
+		}
+	}
+
+	/**
+	 * 要素が必須の属性を全て持つか
+	 * @param { Element } element 判定対象の要素
+	 * @returns { boolean } 全て持つ場合はtrue
+	 */
+	#hasRequiredAttributes(element) {
+		return (this.getNodeSpec(null, element)?.required ?? []).every(name => element.getAttribute(name));
+	}
+
+	/**
+	 * 要素に設定する属性の値をスキーマの定義に従って変換する
+	 * @param { Element } element 対象の要素
+	 * @param { string } name 属性名
+	 * @param { string | null } value 属性の値
+	 * @returns { string | null } 変換した属性の値(許可されない場合はnull)
+	 */
+	repairAttributeValue(element, name, value) {
+		// イベントハンドラ属性はスクリプトの実行につながるため属性の定義によらず除去する
+		if (value === null || /^on/i.test(name)) {
+			return null;
+		}
+		// 属性の定義のない要素は全ての属性を許可しない
+		const attrs = this.getNodeSpec(null, element)?.attrs ?? {};
+		const rule = Object.hasOwn(attrs, name) ? attrs[name] : null;
+		return rule === null ? null : rule === true ? value : rule(value);
+	}
+
+	/**
+	 * ノードを含むまたはノードに含まれる行ごとのセルの数を揃える対象の要素を収集する
+	 * @param { Element } root ルート要素
+	 * @param { Node } node 起点のノード
+	 * @param { Set<Element> } rectangles 収集先
+	 */
+	#collectRectangles(root, node, rectangles) {
+		for (let parent = node; parent && parent !== root; parent = parent.parentNode) {
+			if (this.getNodeSpec(root, parent)?.rectangular) {
+				rectangles.add(/** @type { Element } */(parent));
+				break;
+			}
+		}
+		if (node.nodeType === Node.ELEMENT_NODE) {
+			const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT, element => this.getNodeSpec(root, element)?.rectangular ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP);
+			while (walker.nextNode()) {
+				rectangles.add(/** @type { Element } */(walker.currentNode));
+			}
+		}
+	}
+
+	/**
+	 * 行ごとのセルの数を最大のものに揃えて空のセルには改行を挿入する(セルが存在しない場合は要素ごと除去する)
+	 * @param { Element } root ルート要素
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { Element } element 対象の要素
+	 */
+	#repairRectangle(root, records, element) {
+		const rows = [...element.children].flatMap(section => [...section.children]);
+		const columns = Math.max(0, ...rows.map(row => row.children.length));
+		if (columns === 0) {
+			Nomalizer.removeNodeAndRemoveOperation(records, element);
+			return;
+		}
+		for (const row of rows) {
+			const cells = [];
+			for (let k = row.children.length; k < columns; ++k) {
+				const cell = document.createElement(this.getNodeSpec(root, row).fill);
+				cell.append(document.createElement('br'));
+				cells.push(cell);
+			}
+			Nomalizer.moveNodeList(cells, row);
+			Nomalizer.insertInsertOperation(records, row, cells);
+			for (const cell of row.children) {
+				if (cell.childNodes.length === 0) {
+					const br = document.createElement('br');
+					Nomalizer.moveNodeList([br], cell);
+					Nomalizer.insertInsertOperation(records, cell, [br]);
+				}
+			}
+		}
+	}
+
+	/**
+	 * 監視を止めて挿入するノードを挿入前にスキーマの定義に従って無害化する
+	 * 除去する指定のある要素はスクリプトなどの挿入した時点で実行されるものを含むため空のコメントに置き換え、許可されない属性は除去する
+	 * 子の位置は変えないため以降の操作内容のパスは無害化する前と同様に解決できる
+	 * @param { Node } node 挿入するノード(文書に挿入されていない必要がある)
+	 * @returns { Node } 無害化したノード
+	 */
+	neutralize(node) {
+		if (node.nodeType !== Node.ELEMENT_NODE) {
+			return node;
+		}
+		if (this.getNodeSpec(null, node)?.drop) {
+			return document.createComment('');
+		}
+		const element = /** @type { Element } */(node);
+		// 挿入前のノードの変更は操作内容として記録しない
+		const records = [];
+		for (const name of element.getAttributeNames()) {
+			this.#repairAttribute(records, element, name);
+		}
+		for (const child of [...element.childNodes]) {
+			const neutralized = this.neutralize(child);
+			if (neutralized !== child) {
+				element.replaceChild(neutralized, child);
+			}
+		}
+		return element;
+	}
+
+	/**
+	 * DOM構造の正規化を行う
+	 * @param { Element } root ルート要素
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @returns { UndoBufferRecord[] } 正規化を行た結果の操作
+	 */
+	normalize(root, records) {
+		// 正規化によるノードの移動や削除にキャレット位置を追従させる
+		const selection = UndoBuffer.getCaret()?.track() ?? null;
+		/** @type { Set<Element> } 行ごとのセルの数を揃える対象の要素 */
+		const rectangles = new Set();
+
+		for (let i = 0; i != records.length; ++i) {
+			const op = records[i];
+			if (op.type === 'childList') {
+				for (const node of [op.target, ...op.addedNodes]) {
+					this.#collectRectangles(root, node, rectangles);
+				}
+				for (let j = 0; j != op.addedNodes.length; ++j) {
+					const node = op.addedNodes[j];
+					// 現在targetに挿入されているノードのみを評価対象にする
+					if (node.parentNode === op.target) {
+						const spec = this.getNodeSpec(root, node);
+						if (spec?.drop) {
+							// スクリプトやコメントなどの編集対象外のノードは除去する
+							Nomalizer.removeNodeAndRemoveOperation(records, node);
+						}
+						else if (spec?.transparent) {
+							// 装飾のみを目的とした要素は解除して子要素を親に展開する
+							[i, j] = Nomalizer.expandChildNodesAndInsertOperation(records, i, j);
+						}
+						else if (spec?.replace) {
+							// <b>や<div>などの別名の要素は置き換えたうえで改めて評価する
+							const element = document.createElement(spec.replace);
+							Nomalizer.replaceNodeAndInsertOperation(records, i, j, element);
+							Nomalizer.moveNodeList([...node.childNodes], element);
+							--j;
+						}
+						else if (!this.#accepts(this.getNodeSpec(root, op.target), node)) {
+							// 挿入先で許可されないノードは包むか展開する
+							[i, j] = this.#repairNode(root, records, i, j);
+						}
+						else if (spec?.nest === false && (() => { for (let p = op.target; p && p !== root; p = p.parentNode) { if (p.nodeName === node.nodeName) return true; } return false; })()) {
+							// 同一の要素のネストは内側の要素を解除して子要素を親に展開する
+							[i, j] = Nomalizer.expandChildNodesAndInsertOperation(records, i, j);
+						}
+						else if (!this.#repairChildNodes(root, records, node)) {
+							// 隣接する同一の要素は1つの要素に併合する
+							let target = node;
+							if (this.#isMergeable(target.previousSibling, target)) {
+								const prev = target.previousSibling;
+								Nomalizer.mergeNodeAndInsertOperation(records, target);
+								target = prev;
+							}
+							if (this.#isMergeable(target, target.nextSibling)) {
+								Nomalizer.mergeNodeAndInsertOperation(records, target.nextSibling);
+							}
+
+							if (spec?.duplicateAtEnd && node.previousSibling && node.previousSibling.nodeName !== node.nodeName && node.nextSibling === null) {
+								// 空行の表示のためにもう1つ改行を挿入する(2つ以上brが並ばないと空行は表示されない)
+								const clone = node.cloneNode(false);
+								Nomalizer.moveNodeList([clone], node.parentNode, node);
+								Nomalizer.insertInsertOperation(records, node.parentNode, [clone]);
+							}
+						}
+					}
+				}
+				// ノードの削除により隣接した同一の要素は1つの要素に併合する
+				if (op.removedNodes.length !== 0 && op.nextSibling?.parentNode === op.target && op.nextSibling.previousSibling === op.previousSibling && this.#isMergeable(op.previousSibling, op.nextSibling)) {
+					Nomalizer.mergeNodeAndInsertOperation(records, op.nextSibling);
+				}
+			}
+			else if (op.type === 'attributes' && op.attributeNamespace === null && op.target !== root && root.contains(op.target)) {
+				// 変更された属性も挿入されたノードと同様に検査する
+				this.#repairAttribute(records, /** @type { Element } */(op.target), op.attributeName);
+			}
+		}
+		// 表は構造の修復後に行ごとのセルの数を揃える
+		for (const rectangle of rectangles) {
+			if (root.contains(rectangle)) {
+				this.#repairRectangle(root, records, rectangle);
+			}
+		}
+		// 必須の属性と既定の属性は包むなどの構造の修復後に挿入、変更された全ての要素に対して検査する
+		/** @type { Set<Element> } */
+		const elements = new Set();
+		for (const op of records) {
+			if (op.type === 'attributes') {
+				elements.add(/** @type { Element } */(op.target));
+			}
+			else if (op.type === 'childList') {
+				for (const node of op.addedNodes) {
+					if (node.nodeType === Node.ELEMENT_NODE) {
+						elements.add(/** @type { Element } */(node));
+						/** @type { Element } */(node).querySelectorAll('*').forEach(element => elements.add(element));
+					}
+				}
+			}
+		}
+		for (const element of elements) {
+			if (element !== root && root.contains(element)) {
+				this.#repairRequiredAttributes(records, element);
+			}
+		}
+
+		// ブラウザによってはDOM操作後にキャレットに変更がなくても明示的に更新しないと表示が更新されないことがあるため明示的に更新する
+		UndoBuffer.updateCaret(selection);
+
+		return records;
+	}
+}
+
+/**
+ * @typedef {{
+ * 		site: string;
+ * 		seq: number;
+ * 		clock: { [site: string]: number };
+ * 		operation: UndoBufferPathRecord[];
+ * 		origin?: string;
+ * }} CollaborationMessage 複製間で交換する操作(seqが0の場合は操作を含まない参加の通知)
+ * - site: 操作を送信した複製の識別子
+ * - seq: 操作を送信した複製での操作の通し番号(1から開始)
+ * - clock: 操作の送信前に適用済みの複製ごとの操作の数
+ * - operation: ノードの参照を含まない操作のリスト
+ * - origin: 操作を行った複製の識別子(省略した場合はsite)
+ */
+
+/**
+ * @typedef {{
+ * 		send(message: CollaborationMessage): void;
+ * 		subscribe(listener: (message: CollaborationMessage) => void): () => void;
+ * }} CollaborationTransport 複製間で操作を交換する通信路(sendは自身以外の全ての複製への送信、subscribeは購読を解除する関数を返す)
+ */
+
+/**
+ * @typedef {{
+ * 		type: "push" | "amend" | "remote" | "undo" | "redo";
+ * 		records: UndoBufferRecord[];
+ * 		label: string | null;
+ * }} CollaborationEventDetail Collaborationが発火する'change'、'undo'、'redo'イベントのdetail
+ * - type: 'change'イベントの発火の原因となった操作('push'は自身の操作、'amend'は挿入済みのノードへの自身の変更、'remote'は他の複製の操作の適用)
+ * - records: 実行した操作内容のリスト
+ * - label: 自身の操作の名前(他の複製の操作の場合はnull)
+ */
+
+/**
+ * @typedef {{
+ * 		error: unknown;
+ * 		message: CollaborationMessage | null;
+ * }} CollaborationErrorEventDetail Collaborationが発火する'error'イベントのdetail(errorは適用時に送出された例外、messageは適用できなかった操作でundo、redoの場合はnull)
+ */
+
+/**
+ * @typedef {{
+ * 		site: string;
+ * 		seq: number;
+ * 		origin: string;
+ * 		operation: UndoBufferPathRecord[];
+ * }} CollaborationEntry Collaborationのための適用済みの単一の操作(site、seqは操作を送信した複製と通し番号、originは操作を行った複製)
+ */
+
+/**
+ * 同一のページ内の複製間の通信路
+ */
+class LocalTransport {
+	/** @type { Set<Set<(message: CollaborationMessage) => void>> } 端点ごとのリスナの一覧 */
+	#endpoints = new Set();
+
+	/**
+	 * 通信路の端点を作成する
+	 * @returns { CollaborationTransport } 通信路の端点
+	 */
+	connect() {
+		/** @type { Set<(message: CollaborationMessage) => void> } */
+		const listeners = new Set();
+		this.#endpoints.add(listeners);
+		return {
+			send: message => {
+				// BroadcastChannelと同様に複製したものを非同期に配送する
+				const data = JSON.stringify(message);
+				for (const endpoint of this.#endpoints) {
+					if (endpoint !== listeners) {
+						for (const listener of endpoint) {
+							window.queueMicrotask(() => listener(JSON.parse(data)));
+						}
+					}
+				}
+			},
+			subscribe: listener => {
+				listeners.add(listener);
+				return () => listeners.delete(listener);
+			}
+		};
+	}
+}
+
+/**
+ * BroadcastChannelによる同一オリジンのページ間の通信路
+ */
+class BroadcastChannelTransport {
+	/** @type { BroadcastChannel } チャンネル */
+	#channel;
+
+	/**
+	 * コンストラクタ
+	 * @param { string } name チャンネル名
+	 */
+	constructor(name) {
+		this.#channel = new BroadcastChannel(name);
+	}
+
+	/**
+	 * 操作を送信する
+	 * @param { CollaborationMessage } message 操作
+	 */
+	send(message) {
+		this.#channel.postMessage(message);
+	}
+
+	/**
+	 * 操作の受信を購読する
+	 * @param { (message: CollaborationMessage) => void } listener リスナ
+	 * @returns { () => void } 購読を解除する関数
+	 */
+	subscribe(listener) {
+		const handler = e => listener(e.data);
+		this.#channel.addEventListener('message', handler);
+		return () => this.#channel.removeEventListener('message', handler);
+	}
+
+	/**
+	 * チャンネルを閉じる
+	 */
+	close() {
+		this.#channel.close();
+	}
+}
+
+/**
+ * 複数の複製間の共同編集
+ * 全ての複製は同一の内容から開始し、UndoBufferで記録した操作を通信路で交換して並行して行われた操作に対して変換してから適用する
+ * 3つ以上の複製が並行して行った操作の変換結果を一致させるため、参加を把握している中で識別子が最小の複製が全ての操作を順序付けて中継し、その他の複製は中継する複製とのみ操作を交換する
+ * 他の複製の参加を把握するまでと同時に作成された複製の参加の通知を受信し終えるまでは自身の操作の送信を保留するが、中継する複製と操作を交換した後に識別子がより小さい複製の参加を把握した場合は共同編集を終了する
+ * また中継する複製が終了するとその他の複製の操作は反映されなくなることに注意する
+ * undo、redoは自身の複製で行った操作のみを対象とするため、UndoBufferのundo、redo、履歴の取得の代わりに使用する
+ * UndoBufferは他の複製の操作が間に入ると記録した操作内容を実行できなくなるため操作ごとに破棄し、自身の操作の履歴の変化は'change'、'undo'、'redo'イベントで通知する(detailはCollaborationEventDetail)
+ * テキストノードの分割とノードの移動は削除と挿入ではなく分割、移動として変換するため、並行して分割、移動されたノードへの操作は分割、移動後の位置で行う
+ * 受信した操作は正規化を経ずに適用するため、スクリプトなどの除去する指定のある要素と許可されない属性は適用時に無害化する
+ * 受信した操作または自身の操作の逆操作を適用できない場合は複製間で内容が一致しなくなったものとして共同編集を終了し、'error'イベントを発火する(detailはCollaborationErrorEventDetail)
+ */
+class Collaboration extends EventTarget {
+	/** @type { UndoBuffer } 操作を記録、適用するundoバッファ */
+	#undoBuffer;
+	/** @type { string } 自身の複製の識別子 */
+	#site;
+	/** @type { { [site: string]: number } } 適用済みの複製ごとの操作の数 */
+	#clock = {};
+	/** @type { CollaborationEntry[] } 適用済みの操作の一覧(自身の複製での適用順) */
+	#log = [];
+	/** @type { { [site: string]: { [site: string]: number } } } 参加を把握している複製ごとの受信済みの操作の数 */
+	#acked = {};
+	/** @type { Map<string, CollaborationEntry[]> } 操作を交換する複製ごとの未受信の可能性がある操作(その複製が受信済みの状態から続けて適用できる形式) */
+	#pending = new Map();
+	/** @type { CollaborationMessage[] } 先行する操作が未受信のため適用を保留している操作 */
+	#queue = [];
+	/** @type { CollaborationMessage[] } 他の複製の参加の通知の受信を待つため送信を保留している操作 */
+	#outbox = [];
+	/** @type { number | null } 保留している操作を送信するタイマーの識別子 */
+	#flushTimer = null;
+	/** @type { string } 操作を順序付けて中継する複製の識別子(参加を把握している中で最小の識別子) */
+	#hub;
+	/** @type { { entries: CollaborationEntry[]; label: string | null; time: number }[] } 元に戻すことができる自身の操作 */
+	#undoStack = [];
+	/** @type { { entries: CollaborationEntry[]; label: string | null; time: number }[] } 前に進めることができる自身の操作 */
+	#redoStack = [];
+	/** @type { number } 元に戻すことができる自身の操作の数の上限 */
+	#stackSize;
+	/** @type { (e: CustomEvent<UndoBufferEventDetail>) => void } undoバッファの変更のリスナ */
+	#onChange;
+	/** @type { () => void } 通信路の購読を解除する関数 */
+	#unsubscribe;
+	/** @type { CollaborationTransport } 通信路 */
+	#transport;
+
+	/**
+	 * コンストラクタ
+	 * @param { UndoBuffer } undoBuffer 操作を記録、適用するundoバッファ
+	 * @param { CollaborationTransport } transport 通信路
+	 * @param { string } site 自身の複製の識別子(複製間で一意であること、既定値は作成時刻から始まるため先に作成した複製ほど小さい)
+	 * @param { number } stackSize 元に戻すことができる自身の操作の数の上限
+	 */
+	constructor(undoBuffer, transport, site = Date.now().toString(36).padStart(9, '0') + Math.random().toString(36).slice(2), stackSize = 50) {
+		super();
+		this.#undoBuffer = undoBuffer;
+		this.#transport = transport;
+		this.#site = site;
+		this.#hub = site;
+		this.#stackSize = stackSize;
+		this.#onChange = e => {
+			if (e.detail.type === 'push') {
+				this.#pushLocal(e.detail.records, e.detail.label);
+			}
+			else if (e.detail.type === 'amend') {
+				this.#amendLocal(e.detail.records, e.detail.label);
+			}
+		};
+		this.#undoBuffer.addEventListener('change', this.#onChange);
+		this.#unsubscribe = this.#transport.subscribe(message => this.#receive(message));
+		// 操作の履歴を破棄する前に全ての複製の受信状況を把握できるように参加を通知する
+		this.#transport.send({ site: this.#site, seq: 0, clock: {}, operation: [] });
+	}
+
+	/**
+	 * 自身の複製の識別子
+	 * @returns { string }
+	 */
+	get site() {
+		return this.#site;
+	}
+
+	/**
+	 * 共同編集を終了する
+	 */
+	destroy() {
+		this.#undoBuffer.removeEventListener('change', this.#onChange);
+		this.#unsubscribe();
+		this.#queue = [];
+		this.#outbox = [];
+		window.clearTimeout(this.#flushTimer ?? undefined);
+	}
+
+	/**
+	 * 自身の複製で行った操作を送信する
+	 * @param { UndoBufferRecord[] } records 操作内容のリスト
+	 * @param { string | null } label 操作の名前
+	 */
+	#pushLocal(records, label) {
+		const operation = this.#undoBuffer.toOperation(records);
+		// 他の複製の操作が間に入るとundoバッファの操作内容は実行できなくなるため使用しない
+		this.#undoBuffer.clear();
+		if (operation.length === 0) {
+			return;
+		}
+		const last = this.#undoStack.at(-1);
+		const entry = this.#publish(operation);
+		const time = Date.now();
+		const interval = this.#undoBuffer.coalesceOption.interval;
+		if (label === 'typing' && last?.label === 'typing' && last.entries.at(-1) === this.#log.at(-2) && interval > 0 && time - last.time <= interval) {
+			// 他の複製の操作を挟まない連続したテキスト入力は1回で元に戻せるようにする
+			last.entries.push(entry);
+			last.time = time;
+		}
+		else {
+			this.#undoStack.push({ entries: [entry], label, time });
+			if (this.#undoStack.length > this.#stackSize) {
+				this.#undoStack.shift();
+			}
+		}
+		this.#redoStack = [];
+		this.#trimLog();
+		this.#dispatch(['change'], 'push', records, label);
+	}
+
+	/**
+	 * 挿入済みのノードへの自身の変更を元に戻す操作を追加せずに送信する
+	 * 挿入した操作を元に戻す際に以降の操作として変換されて削除するノードの内容に反映されるため、挿入と同じ1回のundoで元に戻る
+	 * @param { UndoBufferRecord[] } records 操作内容
+	 * @param { string | null } label 挿入した操作の名前
+	 */
+	#amendLocal(records, label) {
+		const operation = this.#undoBuffer.toOperation(records);
+		this.#undoBuffer.clear();
+		if (operation.length === 0) {
+			return;
+		}
+		this.#publish(operation);
+		this.#trimLog();
+		this.#dispatch(['change'], 'amend', records, label);
+	}
+
+	/**
+	 * 自身の操作の履歴の変化を通知する
+	 * @param { string[] } types 発火するイベントの種類
+	 * @param { CollaborationEventDetail['type'] } type 発火の原因となった操作
+	 * @param { UndoBufferRecord[] } records 実行した操作内容のリスト
+	 * @param { string | null } label 自身の操作の名前
+	 */
+	#dispatch(types, type, records, label) {
+		for (const name of types) {
+			this.dispatchEvent(new CustomEvent(name, { detail: { type, records, label } }));
+		}
+	}
+
+	/**
+	 * 自身の複製で適用済みの操作を記録して送信する
+	 * @param { UndoBufferPathRecord[] } operation ノードの参照を含まない操作のリスト
+	 * @param { string } origin 操作を行った複製の識別子(中継する場合は他の複製)
+	 * @returns { CollaborationEntry } 記録した操作
+	 */
+	#publish(operation, origin = this.#site) {
+		const clock = { ...this.#clock };
+		const seq = (this.#clock[this.#site] ?? 0) + 1;
+		this.#clock[this.#site] = seq;
+		const entry = { site: this.#site, seq, origin, operation };
+		this.#log.push(entry);
+		for (const [site, pending] of this.#pending) {
+			if (site !== origin) {
+				pending.push({ ...entry });
+			}
+		}
+		const message = origin === this.#site ? { site: this.#site, seq, clock, operation } : { site: this.#site, seq, clock, operation, origin };
+		if (Object.keys(this.#acked).length === 0 || this.#flushTimer !== null) {
+			// 参加の通知の交換前に中継する複製を誤って判断しないように、他の複製の参加を把握してから送信する
+			this.#outbox.push(message);
+		}
+		else {
+			this.#transport.send(message);
+		}
+		return entry;
+	}
+
+	/**
+	 * 他の複製の操作を受信する
+	 * @param { CollaborationMessage } message 操作
+	 */
+	#receive(message) {
+		if (typeof message?.site !== 'string' || message.site === this.#site || !Number.isInteger(message.seq) || !Array.isArray(message.operation)) {
+			return;
+		}
+		if (!(message.site in this.#acked)) {
+			// 初めて受信した複製は何も受信していないものとし、参加の通知には自身の参加を通知し返す
+			this.#acked[message.site] = {};
+			if (message.seq === 0) {
+				this.#transport.send({ site: this.#site, seq: 0, clock: {}, operation: [] });
+			}
+			if (message.site < this.#hub) {
+				// 中継する複製と操作を交換した後に変更すると操作の順序付けが複製間で一致しなくなる
+				if (this.#pending.size !== 0) {
+					this.#fail(new Error(`操作の交換後に中継する複製となる'${message.site}'の参加を把握しました`), message);
+					return;
+				}
+				this.#hub = message.site;
+			}
+			// 同時に作成された複製の参加の通知を受信し終えるまで待ってから保留している操作を送信する
+			window.clearTimeout(this.#flushTimer ?? undefined);
+			this.#flushTimer = window.setTimeout(() => {
+				this.#flushTimer = null;
+				for (const pending of this.#outbox.splice(0)) {
+					this.#transport.send(pending);
+				}
+			});
+		}
+		if (message.seq <= (this.#clock[message.site] ?? 0)) {
+			return;
+		}
+		// 中継する複製以外は中継された操作のみを適用する
+		if (this.#hub !== this.#site && message.site !== this.#hub) {
+			return;
+		}
+		this.#queue.push(message);
+		// 送信元の複製での順序で適用する
+		for (let i = this.#queue.findIndex(m => this.#isReady(m)); i !== -1; i = this.#queue.findIndex(m => this.#isReady(m))) {
+			this.#applyRemote(this.#queue.splice(i, 1)[0]);
+		}
+	}
+
+	/**
+	 * 受信した操作を適用できるか
+	 * @param { CollaborationMessage } message 操作
+	 * @returns { boolean } 送信元の複製の先行する操作を全て適用済みの場合はtrue
+	 */
+	#isReady(message) {
+		// 中継する複製とのみ操作を交換するため、送信元の複製の操作以外に因果関係上先行する操作は自身の操作のみとなる
+		return (this.#clock[message.site] ?? 0) === message.seq - 1;
+	}
+
+	/**
+	 * 他の複製の操作を並行して行われた操作に対して変換して適用する
+	 * @param { CollaborationMessage } message 操作
+	 */
+	#applyRemote(message) {
+		// 未送信の自身の操作を並行して行われた操作として先に記録する
+		this.#undoBuffer.flush();
+		const origin = message.origin ?? message.site;
+		const known = entry => entry.site === message.site || (message.clock[entry.site] ?? 0) >= entry.seq;
+		// 送信元の複製が未受信の操作が並行して行われた操作(適用できなかった場合に状態を変更しないように複製を変換する)
+		const pending = (this.#pending.get(message.site) ?? this.#log).filter(entry => !known(entry)).map(entry => ({ ...entry }));
+		let operation = message.operation;
+		/** @type { UndoBufferRecord[] } */
+		let records = [];
+		// 中継された自身の操作は適用済みのため受信済みとして記録するのみとする
+		if (origin !== this.#site) {
+			try {
+				for (const entry of pending) {
+					[operation, entry.operation] = UndoBuffer.transformOperation(operation, entry.operation, origin < entry.origin);
+				}
+				records = this.#undoBuffer.applyOperation(operation);
+			}
+			catch (error) {
+				this.#fail(error, message);
+				return;
+			}
+			this.#undoBuffer.clear();
+		}
+
+		this.#clock[message.site] = message.seq;
+		this.#acked[message.site] = { ...message.clock, [message.site]: message.seq };
+		this.#pending.set(message.site, pending);
+		if (origin !== this.#site) {
+			if (this.#hub === this.#site) {
+				// 受信した操作を順序付けて他の複製へ中継する
+				this.#publish(operation, origin);
+			}
+			else {
+				this.#log.push({ site: message.site, seq: message.seq, origin, operation });
+			}
+		}
+		this.#trimLog();
+		if (origin !== this.#site) {
+			this.#dispatch(['change'], 'remote', records, null);
+		}
+	}
+
+	/**
+	 * 操作を適用できなかった場合に共同編集を終了する
+	 * 以降の操作も正しく変換できないため再開はしない(適用途中の操作はapplyOperationが元に戻す)
+	 * @param { unknown } error 適用時に送出された例外
+	 * @param { CollaborationMessage | null } message 適用できなかった操作(自身の操作のundo、redoの場合はnull)
+	 */
+	#fail(error, message) {
+		this.destroy();
+		this.dispatchEvent(new CustomEvent('error', { detail: { error, message } }));
+	}
+
+	/**
+	 * 元に戻す操作のいずれからも参照されず、操作を交換する全ての複製が受信済みの操作の履歴を破棄する
+	 * 参加の通知を受信するまでは他の複製の有無が分からないため破棄しない
+	 */
+	#trimLog() {
+		// 中継する複製は参加を把握している全ての複製、その他の複製は中継する複製とのみ操作を交換する
+		const acked = Object.entries(this.#acked).filter(([site]) => this.#hub === this.#site || site === this.#hub);
+		const unacked = this.#log.findIndex(entry => acked.length === 0 || acked.some(([site, clock]) => entry.site !== site && (clock[entry.site] ?? 0) < entry.seq));
+		const indexes = [...this.#undoStack, ...this.#redoStack].map(item => this.#log.indexOf(item.entries[0]));
+		this.#log.splice(0, Math.min(unacked === -1 ? this.#log.length : unacked, ...indexes));
+	}
+
+	/**
+	 * 自身の操作の逆操作を以降の操作に対して変換して適用する
+	 * @param { { entries: CollaborationEntry[]; label: string | null; time: number } } item 自身の操作
+	 * @returns { [{ entries: CollaborationEntry[]; label: string | null; time: number }, UndoBufferRecord[]] | null } 適用した逆操作と実行した操作内容のリスト(以降の操作により打ち消された場合はnull)
+	 */
+	#revert(item) {
+		let operation = UndoBuffer.invertOperation(item.entries.flatMap(entry => entry.operation));
+		for (const entry of this.#log.slice(this.#log.indexOf(item.entries.at(-1)) + 1)) {
+			[operation] = UndoBuffer.transformOperation(operation, entry.operation, true);
+		}
+		if (operation.length === 0) {
+			return null;
+		}
+		const records = this.#undoBuffer.applyOperation(operation);
+		this.#undoBuffer.clear();
+		// 最後に変更したテキストの変更箇所の末尾にキャレットを移動する
+		const op = records.findLast(op => op.type === 'characterData');
+		if (op) {
+			let end = 0;
+			while (end < op.oldValue.length && end < op.newValue.length && op.oldValue.at(-end - 1) === op.newValue.at(-end - 1)) {
+				++end;
+			}
+			const offset = op.newValue.length - end;
+			UndoBuffer.updateCaret({ startContainer: op.target, startOffset: offset, endContainer: op.target, endOffset: offset });
+		}
+		return [{ entries: [this.#publish(operation)], label: item.label, time: Date.now() }, records];
+	}
+
+	/**
+	 * 自身の操作の一覧(古い順)とundo可能な操作の数
+	 * @returns { { entries: UndoBufferHistoryEntry[]; position: number } }
+	 */
+	get history() {
+		return {
+			entries: [...this.#undoStack, ...this.#redoStack.toReversed()].map(item => ({ label: item.label, time: item.time })),
+			position: this.#undoStack.length
+		};
+	}
+
+	/**
+	 * 元に戻す自身の操作が存在するか
+	 * @returns { boolean } 存在する場合はtrue
+	 */
+	canUndo() {
+		return this.#undoStack.length !== 0;
+	}
+
+	/**
+	 * 前に進める自身の操作が存在するか
+	 * @returns { boolean } 存在する場合はtrue
+	 */
+	canRedo() {
+		return this.#redoStack.length !== 0;
+	}
+
+	/**
+	 * 自身の操作を元に戻す
+	 */
+	undo() {
+		// 未送信の自身の操作を先に記録する
+		this.#undoBuffer.flush();
+		const item = this.#undoStack.pop();
+		if (item) {
+			let reverted;
+			try {
+				reverted = this.#revert(item);
+			}
+			catch (error) {
+				this.#fail(error, null);
+				return;
+			}
+			if (reverted) {
+				this.#redoStack.push(reverted[0]);
+			}
+			this.#trimLog();
+			this.#dispatch(['change', 'undo'], 'undo', reverted?.[1] ?? [], item.label);
+		}
+	}
+
+	/**
+	 * 元に戻した自身の操作を前に進める
+	 */
+	redo() {
+		// 未送信の自身の操作を先に記録する
+		this.#undoBuffer.flush();
+		const item = this.#redoStack.pop();
+		if (item) {
+			let reverted;
+			try {
+				reverted = this.#revert(item);
+			}
+			catch (error) {
+				this.#fail(error, null);
+				return;
+			}
+			if (reverted) {
+				this.#undoStack.push(reverted[0]);
+			}
+			this.#trimLog();
+			this.#dispatch(['change', 'redo'], 'redo', reverted?.[1] ?? [], item.label);
+		}
+	}
+}
+
+
+/**
+ * @typedef { (e: KeyboardEvent) => boolean | void } KeymapHandler キー入力時の処理(falseを返した場合は優先度の低い処理またはブラウザの動作に任せる)
+ */
+
+/**
+ * @typedef {{
+ * 		handler: KeymapHandler;
+ * 		priority: number;
+ * }} KeymapBinding Keymapの単一のキーの割り当て
+ */
+
+/**
+ * @typedef { { [chord: string]: KeymapHandler | null } } KeymapBindings キーの組み合わせと処理の対応(nullの場合は割り当てを解除する)
+ */
+
+/**
+ * キーの組み合わせへの処理の割り当て
+ * キーの組み合わせは'Mod-Shift-z'のように修飾キーとキーを'-'で区切って指定する
+ * - 修飾キーはCtrl、Alt、Shift、MetaとmacOSではMeta、それ以外ではCtrlを示すMod
+ * - キーはKeyboardEvent.keyの値(英字は大文字と小文字を区別しない)
+ */
+class Keymap {
+	/** @type { Map<string, KeymapBinding[]> } 正規化したキーの組み合わせごとの優先度の高い順の割り当て */
+	#bindings = new Map();
+	/** @type { boolean } macOSであるか(ModをMetaとして扱う) */
+	static isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad|iPod/.test(navigator.platform);
+	/** 正規化したキーの組み合わせにおける修飾キーの順序 */
+	static #modifiers = /** @type { const } */(['Alt', 'Ctrl', 'Meta', 'Shift']);
+	/** 修飾キーの別名 */
+	static #modifierAliases = /** @type { const } */({
+		alt: 'Alt', option: 'Alt',
+		ctrl: 'Ctrl', control: 'Ctrl',
+		meta: 'Meta', cmd: 'Meta', command: 'Meta',
+		shift: 'Shift'
+	});
+
+	/**
+	 * コンストラクタ
+	 * @param { KeymapBindings } bindings キーの組み合わせと処理の対応
+	 * @param { number } priority 優先度
+	 */
+	constructor(bindings = {}, priority = 0) {
+		this.merge(bindings, priority);
+	}
+
+	/**
+	 * キーの組み合わせを正規化する
+	 * @param { string } chord キーの組み合わせ
+	 * @returns { string } 正規化したキーの組み合わせ
+	 */
+	static normalize(chord) {
+		// キーとしての'-'を考慮して末尾の要素をキーとする
+		const parts = chord.split(/-(?!$)/);
+		const key = parts.pop();
+		if (!key) {
+			throw new Error(`キーの組み合わせ'${chord}'にキーが指定されていません`);
+		}
+		const modifiers = new Set();
+		for (const part of parts) {
+			const name = part.toLowerCase();
+			if (name === 'mod') {
+				modifiers.add(Keymap.isMac ? 'Meta' : 'Ctrl');
+			}
+			else if (name in Keymap.#modifierAliases) {
+				modifiers.add(Keymap.#modifierAliases[name]);
+			}
+			else {
+				throw new Error(`キーの組み合わせ'${chord}'の修飾キー'${part}'は不正です`);
+			}
+		}
+		return Keymap.#join(modifiers, key === 'Space' ? ' ' : key);
+	}
+
+	/**
+	 * 修飾キーとキーを正規化したキーの組み合わせにする
+	 * @param { Set<string> } modifiers 修飾キーの集合
+	 * @param { string } key キー
+	 * @returns { string } 正規化したキーの組み合わせ
+	 */
+	static #join(modifiers, key) {
+		return [
+			...Keymap.#modifiers.filter(modifier => modifiers.has(modifier)),
+			key.length === 1 ? key.toLowerCase() : key
+		].join('-');
+	}
+
+	/**
+	 * キー入力に対応する正規化したキーの組み合わせの候補を優先度の高い順に取得する
+	 * @param { KeyboardEvent } e キー入力のイベント
+	 * @returns { string[] } 正規化したキーの組み合わせの候補
+	 */
+	static fromEvent(e) {
+		const modifiers = new Set();
+		if (e.altKey) { modifiers.add('Alt'); }
+		if (e.ctrlKey) { modifiers.add('Ctrl'); }
+		if (e.metaKey) { modifiers.add('Meta'); }
+		if (e.shiftKey) { modifiers.add('Shift'); }
+
+		const candidates = [Keymap.#join(modifiers, e.key)];
+		if (e.shiftKey && e.key.length === 1 && e.key.toLowerCase() === e.key.toUpperCase()) {
+			// Shiftで入力される記号はShiftを含めずとも一致させる
+			const unshifted = new Set(modifiers);
+			unshifted.delete('Shift');
+			candidates.push(Keymap.#join(unshifted, e.key));
+		}
+		// Altなどで別の文字が入力される場合は物理的なキーの文字とも一致させる
+		const code = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(e.code ?? '');
+		if (code && (e.altKey || e.ctrlKey || e.metaKey)) {
+			const chord = Keymap.#join(modifiers, code[1] ?? code[2]);
+			if (!candidates.includes(chord)) {
+				candidates.push(chord);
+			}
+		}
+		return candidates;
+	}
+
+	/**
+	 * キーの組み合わせに処理を割り当てる
+	 * 同一の優先度の場合は後から割り当てたものを優先する
+	 * @param { string } chord キーの組み合わせ
+	 * @param { KeymapHandler } handler キー入力時の処理
+	 * @param { number } priority 優先度
+	 * @returns { this }
+	 */
+	bind(chord, handler, priority = 0) {
+		const key = Keymap.normalize(chord);
+		const bindings = this.#bindings.get(key) ?? [];
+		const index = bindings.findIndex(binding => binding.priority <= priority);
+		bindings.splice(index < 0 ? bindings.length : index, 0, { handler, priority });
+		this.#bindings.set(key, bindings);
+		return this;
+	}
+
+	/**
+	 * キーの組み合わせへの処理の割り当てを解除する
+	 * @param { string } chord キーの組み合わせ
+	 * @param { KeymapHandler | null } handler 解除する処理(nullの場合はすべての処理)
+	 * @returns { this }
+	 */
+	unbind(chord, handler = null) {
+		const key = Keymap.normalize(chord);
+		const bindings = (this.#bindings.get(key) ?? []).filter(binding => handler !== null && binding.handler !== handler);
+		if (bindings.length === 0) {
+			this.#bindings.delete(key);
+		}
+		else {
+			this.#bindings.set(key, bindings);
+		}
+		return this;
+	}
+
+	/**
+	 * キーの組み合わせと処理の対応を併合する
+	 * 既存の割り当ては優先度の低い処理として残り、nullを指定したキーの組み合わせは割り当てを解除する
+	 * @param { KeymapBindings | Keymap } bindings キーの組み合わせと処理の対応
+	 * @param { number } priority 優先度(Keymapの場合は無視して元の優先度とする)
+	 * @returns { this }
+	 */
+	merge(bindings, priority = 0) {
+		if (bindings instanceof Keymap) {
+			for (const [key, list] of bindings.#bindings) {
+				// 優先度の低い順に割り当てることで同一の優先度の順序を保つ
+				for (const binding of [...list].reverse()) {
+					this.bind(key, binding.handler, binding.priority);
+				}
+			}
+		}
+		else {
+			for (const [chord, handler] of Object.entries(bindings)) {
+				if (handler === null) {
+					this.unbind(chord);
+				}
+				else {
+					this.bind(chord, handler, priority);
+				}
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * キー入力に割り当てられた処理を優先度の高い順にfalse以外を返すまで実行する
+	 * 処理を実行した場合はブラウザの動作を抑止する
+	 * @param { KeyboardEvent } e キー入力のイベント
+	 * @param { (handler: () => boolean | void, chord: string) => boolean | void } run 処理の実行方法(トランザクションとして実行するためのもの)
+	 * @returns { boolean } 処理を実行したか
+	 */
+	handle(e, run = handler => handler()) {
+		// IMEによる入力中のキー入力はIMEに任せる
+		if (e.isComposing || e.defaultPrevented) {
+			return false;
+		}
+		for (const chord of Keymap.fromEvent(e)) {
+			for (const binding of this.#bindings.get(chord) ?? []) {
+				if (run(() => binding.handler(e), chord) !== false) {
+					e.preventDefault();
+					return true;
+				}
+			}
+		}
+		return false;
+	}
+}
+
+
+/**
+ * Shift + Enter入力時の動作
+ * @param { Element } root ルート要素
+ */
+function shiftEnter(root) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const range = selection.getRangeAt(0);
+		if (!range.collapsed) {
+			// rangeの始点と終点が一致しないときは範囲を削除
+			range.deleteContents();
+			range.collapse();
+		}
+		const startContainer = range.startContainer;
+		const startOffset = range.startOffset;
+
+		// targetに改行要素を挿入する
+		// range.insertNodeでは空のTextノードができることがあるため利用しない
+		const br = document.createElement('br');
+		switch (startContainer.nodeType) {
+			case Node.TEXT_NODE:
+				// startOffsetでテキストノードを分割してその間に改行を挿入する
+				if (startOffset === 0) {
+					startContainer.parentNode.insertBefore(br, startContainer);
+				}
+				else if (startOffset === /** @type { Text } */(startContainer).length) {
+					startContainer.parentNode.insertBefore(br, startContainer.nextSibling);
+				}
+				else {
+					const newNode = /** @type { Text } */(startContainer).splitText(startOffset);
+					startContainer.parentNode.insertBefore(br, newNode);
+				}
+				break;
+			case Node.COMMENT_NODE:
+			case Node.CDATA_SECTION_NODE:
+				// 無視する
+				return;
+			default:
+				// startOffset番目の子要素の位置に改行を挿入する
+				startContainer.insertBefore(br, startOffset === startContainer.childNodes.length ? null : startContainer.childNodes[startOffset]);
+				break;
+		}
+		// キャレットを改行の次の位置に移動
+		const offset = Nomalizer.getChildIndex(br);
+		range.setStart(br.parentNode, offset + 1);
+		range.setEnd(br.parentNode, offset + 1);
+	}
+}
+
+/**
+ * Enter入力時の動作
+ * @param { Element } root ルート要素
+ */
+function enter(root) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const range = selection.getRangeAt(0);
+		if (Nomalizer.isTableCell(Nomalizer.findTextBlock(root, range.startContainer))) {
+			// 表のセル内では表を分割せずに段落内改行とする
+			shiftEnter(root);
+			return;
+		}
+		if (!range.collapsed) {
+			// rangeの始点と終点が一致しないときは範囲を削除
+			range.deleteContents();
+			range.collapse();
+		}
+		const startContainer = range.startContainer;
+		const startOffset = range.startOffset;
+		if (startContainer.nodeType === Node.COMMENT_NODE || startContainer.nodeType === Node.CDATA_SECTION_NODE) {
+			// 無視する
+			return;
+		}
+
+		const br = document.createElement('br');
+		// 分割対象のブロック要素の取得
+		const block = Nomalizer.findTextBlock(root, startContainer);
+		if (block === null) {
+			// ブロック要素の外では新規の改行付き段落を挿入
+			const [ref, refOffset] = Nomalizer.splitText(startContainer, startOffset);
+			const p = document.createElement('p');
+			p.append(br);
+			ref.insertBefore(p, refOffset === ref.childNodes.length ? null : ref.childNodes[refOffset]);
+		}
+		else if (block.tagName.toLowerCase() === 'pre') {
+			// 整形済みテキスト内では改段落せずに段落内改行する
+			shiftEnter(root);
+			return;
+		}
+		else if (Nomalizer.isEmptyBlock(block) && block.parentNode !== root && Nomalizer.isContainerBlock(block.parentNode) && block.nextSibling === null) {
+			// blockquote末尾の空のブロック要素での改段落はblockquoteの外に抜ける
+			const quote = block.parentNode;
+			quote.parentNode.insertBefore(block, quote.nextSibling);
+			if (quote.childNodes.length === 0) {
+				quote.parentNode.removeChild(quote);
+			}
+			range.setStart(block, 0);
+			range.setEnd(block, 0);
+			return;
+		}
+		else if (Nomalizer.isListItem(block) && Nomalizer.isEmptyBlock(block)) {
+			// 空のリストの項目での改段落はリストの項目を1段階外に出す
+			const newBlock = liftListItem(root, block);
+			range.setStart(newBlock, 0);
+			range.setEnd(newBlock, 0);
+			return;
+		}
+		else {
+			// キャレット位置でブロック要素を分割する
+			let next = Nomalizer.splitNode(block, startContainer, startOffset);
+			if (Nomalizer.isEmptyNode(block)) {
+				// 分割前が空になった場合は空段落の表示のために改行を挿入する
+				while (block.firstChild) {
+					block.removeChild(block.firstChild);
+				}
+				block.append(document.createElement('br'));
+			}
+			if (Nomalizer.isList(next.firstChild)) {
+				// 子のリストの直前で分割した場合は項目の表示のために改行を挿入する
+				next.insertBefore(br, next.firstChild);
+				range.setStart(next, 0);
+				range.setEnd(next, 0);
+				return;
+			}
+			if (!Nomalizer.isEmptyNode(next)) {
+				// 段落内に要素が存在する場合は改行の挿入は不要
+				// キャレット位置は分割された要素の始端
+				let child = next.firstChild;
+				while (child.firstChild) {
+					child = child.firstChild
+				}
+				switch (child.nodeType) {
+					case Node.TEXT_NODE:
+					case Node.COMMENT_NODE:
+					case Node.CDATA_SECTION_NODE:
+						range.setStart(child, 0);
+						range.setEnd(child, 0);
+						break;
+					default:
+						range.setStart(child.parentNode, 0);
+						range.setEnd(child.parentNode, 0);
+						break;
+				}
+				return;
+			}
+			if (/^h[1-6]$/.test(block.tagName.toLowerCase())) {
+				// 見出しの末尾での改段落は見出しではなく段落を挿入する
+				const p = document.createElement('p');
+				next.parentNode.insertBefore(p, next);
+				next.parentNode.removeChild(next);
+				next = p;
+			}
+			else {
+				// 分割により生じた空のインライン要素は除去する
+				while (next.firstChild) {
+					next.removeChild(next.firstChild);
+				}
+			}
+			next.append(br);
+		}
+		// キャレットを改行の次の位置に移動
+		const offset = Nomalizer.getChildIndex(br);
+		range.setStart(br.parentNode, offset + 1);
 		range.setEnd(br.parentNode, offset + 1);
 	}
 }
+
+/** @type { WeakMap<Element, { container: Node; offset: number; marks: Map<string, boolean> }> } キャレット位置で切り替えられた未適用のインライン書式 */
+const pendingMarks = new WeakMap();
+
+/**
+ * 現在のキャレット位置に未適用のインライン書式が存在するか
+ * @param { Element } root ルート要素
+ * @returns { boolean } 存在する場合はtrue
+ */
+function existPendingMarks(root) {
+	const selection = window.getSelection();
+	const pending = pendingMarks.get(root);
+	if (pending && selection.rangeCount > 0) {
+		const range = selection.getRangeAt(0);
+		return range.collapsed && range.startContainer === pending.container && range.startOffset === pending.offset;
+	}
+	return false;
+}
+
+/**
+ * 選択範囲内のテキストノードを取得する(境界のテキストノードは選択範囲で分割する)
+ * @param { Element } root ルート要素
+ * @param { Range } range 選択範囲
+ * @returns { Text[] } 選択範囲内のテキストノード
+ */
+function getSelectedTextNodes(root, range) {
+	let startContainer = range.startContainer;
+	let startOffset = range.startOffset;
+	let endContainer = range.endContainer;
+	let endOffset = range.endOffset;
+
+	// 選択範囲の境界とテキストノードの境界を一致させる
+	if (endContainer.nodeType === Node.TEXT_NODE && endOffset < /** @type { Text } */(endContainer).length) {
+		/** @type { Text } */(endContainer).splitText(endOffset);
+	}
+	if (startContainer.nodeType === Node.TEXT_NODE && 0 < startOffset && startOffset < /** @type { Text } */(startContainer).length) {
+		const newNode = /** @type { Text } */(startContainer).splitText(startOffset);
+		if (endContainer === startContainer) {
+			endContainer = newNode;
+			endOffset -= startOffset;
+		}
+		startContainer = newNode;
+		startOffset = 0;
+	}
+	range.setStart(startContainer, startOffset);
+	range.setEnd(endContainer, endOffset);
+
+	const textNodes = [];
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+	while (walker.nextNode()) {
+		const node = /** @type { Text } */(walker.currentNode);
+		// 選択範囲の境界に接しているだけのテキストノードは除外する
+		if (node.length !== 0 && range.intersectsNode(node) &&
+			!(node === startContainer && startOffset === node.length) &&
+			!(node === endContainer && endOffset === 0)) {
+			textNodes.push(node);
+		}
+	}
+	return textNodes;
+}
+
+/**
+ * インライン書式の切り替え
+ * @param { Element } root ルート要素
+ * @param { string } tagName 正規化後のインライン書式の要素名
+ */
+function toggleMark(root, tagName) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const range = selection.getRangeAt(0);
+		if (range.collapsed) {
+			// キャレット位置では次に入力されるテキストに対する書式を切り替える
+			const marks = existPendingMarks(root) ? pendingMarks.get(root).marks : new Map();
+			const active = marks.has(tagName) ? marks.get(tagName) : Nomalizer.findMark(root, range.startContainer, tagName) !== null;
+			marks.set(tagName, !active);
+			pendingMarks.set(root, { container: range.startContainer, offset: range.startOffset, marks });
+			return;
+		}
+
+		const textNodes = getSelectedTextNodes(root, range);
+		if (textNodes.length === 0) {
+			return;
+		}
+		if (textNodes.every(node => Nomalizer.findMark(root, node, tagName) !== null)) {
+			// 全てのテキストに書式が設定されているときは書式を解除する
+			for (const node of textNodes) {
+				const mark = Nomalizer.findMark(root, node, tagName);
+				// テキストノードの前後で書式の要素を分割してテキストノードを含む部分を切り出す
+				const next = Nomalizer.splitNode(mark, node.parentNode, Nomalizer.getChildIndex(node) + 1);
+				const middle = Nomalizer.splitNode(mark, node.parentNode, Nomalizer.getChildIndex(node));
+				middle.replaceWith(...middle.childNodes);
+				for (const target of [mark, next]) {
+					if (Nomalizer.isEmptyNode(target)) {
+						target.parentNode.removeChild(target);
+					}
+				}
+			}
+		}
+		else {
+			// 書式が設定されていないテキストに書式を設定する(隣接する書式の併合は正規化で行う)
+			for (const node of textNodes) {
+				if (Nomalizer.findMark(root, node, tagName) === null) {
+					const mark = document.createElement(tagName);
+					node.parentNode.insertBefore(mark, node);
+					mark.append(node);
+				}
+			}
+		}
+		// 書式を切り替えたテキストを選択する
+		const last = textNodes[textNodes.length - 1];
+		range.setStart(textNodes[0], 0);
+		range.setEnd(last, last.length);
+	}
+}
+
+/**
+ * 選択範囲にインライン書式が設定されているか(キャレット位置では次に入力されるテキストに対する書式)
+ * @param { Element } root ルート要素
+ * @param { string } tagName 正規化後のインライン書式の要素名
+ * @returns { boolean } 選択範囲内の全てのテキストに書式が設定されている場合はtrue
+ */
+function isMarkActive(root, tagName) {
+	const selection = window.getSelection();
+	if (selection.rangeCount === 0 || !root.contains(selection.getRangeAt(0).startContainer)) {
+		return false;
+	}
+	const range = selection.getRangeAt(0);
+	if (range.collapsed) {
+		if (existPendingMarks(root) && pendingMarks.get(root).marks.has(tagName)) {
+			return pendingMarks.get(root).marks.get(tagName);
+		}
+		return Nomalizer.findMark(root, range.startContainer, tagName) !== null;
+	}
+
+	// DOMを変更しないように選択範囲の境界のテキストノードは分割せずに判定する
+	const textNodes = [];
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+	while (walker.nextNode()) {
+		const node = /** @type { Text } */(walker.currentNode);
+		if (node.length !== 0 && range.intersectsNode(node) &&
+			!(node === range.startContainer && range.startOffset === node.length) &&
+			!(node === range.endContainer && range.endOffset === 0)) {
+			textNodes.push(node);
+		}
+	}
+	return textNodes.length !== 0 && textNodes.every(node => Nomalizer.findMark(root, node, tagName) !== null);
+}
+
+/**
+ * テキスト入力時の動作(キャレット位置で切り替えられたインライン書式を適用する)
+ * @param { Element } root ルート要素
+ * @param { string } text 入力するテキスト
+ */
+function insertText(root, text) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const range = selection.getRangeAt(0);
+		const marks = existPendingMarks(root) ? pendingMarks.get(root).marks : new Map();
+		pendingMarks.delete(root);
+		if (!range.collapsed) {
+			// rangeの始点と終点が一致しないときは範囲を削除
+			range.deleteContents();
+			range.collapse();
+		}
+
+		if (range.startContainer.nodeType === Node.COMMENT_NODE || range.startContainer.nodeType === Node.CDATA_SECTION_NODE) {
+			// 無視する
+			return;
+		}
+		// 挿入位置を要素内の位置として取得する
+		let [container, offset] = Nomalizer.splitText(range.startContainer, range.startOffset);
+
+		const textNode = document.createTextNode(text);
+		let node = /** @type { Node } */(textNode);
+		for (const [tagName, enabled] of marks) {
+			const mark = Nomalizer.findMark(root, container, tagName);
+			if (!enabled && mark) {
+				// 書式を解除するときは書式の要素を分割してその間に挿入する
+				const next = Nomalizer.splitNode(mark, container, offset);
+				container = next.parentNode;
+				if (Nomalizer.isEmptyNode(mark)) {
+					container.removeChild(mark);
+				}
+				offset = Nomalizer.getChildIndex(next);
+				if (Nomalizer.isEmptyNode(next)) {
+					container.removeChild(next);
+				}
+			}
+			else if (enabled && !mark) {
+				// 書式を設定するときは入力するテキストを書式の要素で包む
+				const wrapper = document.createElement(tagName);
+				wrapper.append(node);
+				node = wrapper;
+			}
+		}
+		container.insertBefore(node, offset === container.childNodes.length ? null : container.childNodes[offset]);
+
+		// キャレットを入力したテキストの末尾に移動
+		range.setStart(textNode, textNode.length);
+		range.setEnd(textNode, textNode.length);
+	}
+}
+
+/**
+ * ノードを含むリンクを取得する
+ * @param { Element } root ルート要素
+ * @param { Node } node 起点のノード
+ * @returns { Element | null } リンクの要素(存在しない場合はnull)
+ */
+function findLink(root, node) {
+	while (node && node !== root) {
+		if (node.nodeName.toLowerCase() === 'a') {
+			return /** @type { Element } */(node);
+		}
+		node = node.parentNode;
+	}
+	return null;
+}
+
+/**
+ * 選択範囲の始点を含むリンクのリンク先を取得する
+ * @param { Element } root ルート要素
+ * @returns { string | null } リンク先(リンクが存在しない場合はnull)
+ */
+function getLink(root) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const link = findLink(root, selection.getRangeAt(0).startContainer);
+		return link === null ? null : link.getAttribute('href') ?? '';
+	}
+	return null;
+}
+
+/**
+ * 選択範囲をリンクにするかキャレット位置のリンクのリンク先を変更する
+ * @param { Element } root ルート要素
+ * @param { string } href リンク先(空の場合はリンクを解除する)
+ */
+function setLink(root, href) {
+	href = href.trim();
+	if (href === '') {
+		removeLink(root);
+		return;
+	}
+	if (Nomalizer.sanitizeUrl(href) === null) {
+		// 安全でないリンク先は設定しない
+		return;
+	}
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const range = selection.getRangeAt(0);
+		if (range.collapsed) {
+			const link = findLink(root, range.startContainer);
+			if (link !== null) {
+				link.setAttribute('href', href);
+				return;
+			}
+			if (range.startContainer.nodeType === Node.COMMENT_NODE || range.startContainer.nodeType === Node.CDATA_SECTION_NODE) {
+				return;
+			}
+			// 選択範囲が存在しないときはリンク先をテキストとしてリンクを挿入する
+			const [container, offset] = Nomalizer.splitText(range.startContainer, range.startOffset);
+			const newLink = document.createElement('a');
+			newLink.setAttribute('href', href);
+			newLink.append(href);
+			container.insertBefore(newLink, offset === container.childNodes.length ? null : container.childNodes[offset]);
+			range.setStartAfter(newLink);
+			range.collapse(true);
+			return;
+		}
+
+		const textNodes = getSelectedTextNodes(root, range);
+		if (textNodes.length === 0) {
+			return;
+		}
+		for (const node of textNodes) {
+			const link = findLink(root, node);
+			if (link !== null) {
+				link.setAttribute('href', href);
+			}
+			else {
+				// 隣接するリンクの併合は正規化で行う
+				const newLink = document.createElement('a');
+				newLink.setAttribute('href', href);
+				node.parentNode.insertBefore(newLink, node);
+				newLink.append(node);
+			}
+		}
+		const last = textNodes[textNodes.length - 1];
+		range.setStart(textNodes[0], 0);
+		range.setEnd(last, last.length);
+	}
+}
+
+/**
+ * キャレット位置のリンクまたは選択範囲と交差するリンクを解除する
+ * @param { Element } root ルート要素
+ */
+function removeLink(root) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const range = selection.getRangeAt(0);
+		const links = [];
+		const startLink = findLink(root, range.startContainer);
+		if (startLink !== null) {
+			links.push(startLink);
+		}
+		if (!range.collapsed) {
+			for (const link of root.querySelectorAll('a')) {
+				if (link !== startLink && range.intersectsNode(link)) {
+					links.push(link);
+				}
+			}
+		}
+		const [startContainer, startOffset, endContainer, endOffset] = [range.startContainer, range.startOffset, range.endContainer, range.endOffset];
+		for (const link of links) {
+			// 切り離されたノードへの移動を避けるため子ノードを前に移動してからリンクを除去する
+			while (link.firstChild) {
+				link.parentNode.insertBefore(link.firstChild, link);
+			}
+			link.parentNode.removeChild(link);
+		}
+		// リンクの要素を境界とする選択範囲はテキストノードを境界とする範囲に保たれないため再設定する
+		if (startContainer.isConnected && endContainer.isConnected) {
+			range.setStart(startContainer, startOffset);
+			range.setEnd(endContainer, endOffset);
+		}
+	}
+}
+
+/**
+ * キャレットの直前に入力したURLをリンクにする(空白の入力後に呼び出す)
+ * @param { Element } root ルート要素
+ * @returns { boolean } リンクにした場合はtrue
+ */
+function autolink(root) {
+	const selection = window.getSelection();
+	if (selection.rangeCount === 0) {
+		return false;
+	}
+	const range = selection.getRangeAt(0);
+	if (!range.collapsed || range.startContainer.nodeType !== Node.TEXT_NODE || findLink(root, range.startContainer) !== null) {
+		return false;
+	}
+	const text = /** @type { Text } */(range.startContainer);
+	// URLの末尾の句読点や閉じ括弧はURLに含めない
+	const m = text.data.slice(0, range.startOffset).match(/(?:^|\s)((?:https?:\/\/|mailto:|www\.)[^\s<>]+?)([.,;:!?)\]'"]*)\s$/);
+	if (m === null) {
+		return false;
+	}
+	const url = m[1];
+	const href = Nomalizer.sanitizeUrl(url.startsWith('www.') ? `https://${url}` : url);
+	if (href === null) {
+		return false;
+	}
+	const end = range.startOffset - 1 - m[2].length;
+	const begin = end - url.length;
+	const after = text.splitText(end);
+	const target = begin === 0 ? text : text.splitText(begin);
+	const link = document.createElement('a');
+	link.setAttribute('href', href);
+	target.parentNode.insertBefore(link, target);
+	link.append(target);
+	// キャレットを入力した空白の後ろに移動する
+	range.setStart(after, m[2].length + 1);
+	range.collapse(true);
+	return true;
+}
+
+/**
+ * @typedef {{
+ * 		pattern: RegExp;
+ * 		handler: (root: Element, match: RegExpExecArray, range: Range) => boolean | void;
+ * }} InputRule テキスト入力後に適用する入力規則
+ * - pattern: テキストを直接含むブロック要素の先頭からキャレット位置までのテキストに対する正規表現(キャレットの直前に一致させるには末尾に$を指定する)
+ * - handler: 一致した場合の変換(rangeは一致したテキストの範囲、falseを返した場合は次の入力規則を試す)
+ */
+
+/**
+ * テキストを直接含むブロック要素内のテキストのオフセットの範囲に対応する範囲を取得する
+ * @param { Element } block テキストを直接含むブロック要素
+ * @param { number } start ブロック要素の先頭からの始点のテキストのオフセット
+ * @param { number } end ブロック要素の先頭からの終点のテキストのオフセット
+ * @returns { Range } 対応する範囲
+ */
+function getTextRange(block, start, end) {
+	const range = document.createRange();
+	range.setStart(block, 0);
+	range.collapse(true);
+	const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+	let offset = 0;
+	while (walker.nextNode()) {
+		const node = /** @type { Text } */(walker.currentNode);
+		if (offset <= start && start <= offset + node.length) {
+			range.setStart(node, start - offset);
+		}
+		if (offset <= end && end <= offset + node.length) {
+			range.setEnd(node, end - offset);
+			break;
+		}
+		offset += node.length;
+	}
+	return range;
+}
+
+/**
+ * キャレット位置までのテキストに一致する入力規則を適用する
+ * 整形済みテキストやインラインコード内では適用しない
+ * @param { Element } root ルート要素
+ * @param { InputRule[] } rules 入力規則(先頭から順に試す)
+ * @returns { boolean } 入力規則を適用した場合はtrue
+ */
+function applyInputRules(root, rules) {
+	const selection = window.getSelection();
+	if (selection.rangeCount === 0) {
+		return false;
+	}
+	const caret = selection.getRangeAt(0);
+	if (!caret.collapsed) {
+		return false;
+	}
+	const block = Nomalizer.findTextBlock(root, caret.startContainer);
+	if (block === null || block.tagName.toLowerCase() === 'pre' || Nomalizer.findMark(root, caret.startContainer, 'code') !== null) {
+		return false;
+	}
+	const before = document.createRange();
+	before.setStart(block, 0);
+	before.setEnd(caret.startContainer, caret.startOffset);
+	const text = before.toString();
+
+	for (const rule of rules) {
+		const m = rule.pattern.exec(text);
+		if (m !== null) {
+			if (rule.handler(root, m, getTextRange(block, m.index, m.index + m[0].length)) !== false) {
+				return true;
+			}
+		}
+	}
+	return false;
+}
+
+/**
+ * 段落の先頭の記号を除去して段落を変換する入力規則を作成する
+ * @param { RegExp } pattern 段落の先頭の記号に一致する正規表現
+ * @param { (root: Element, match: RegExpExecArray, block: Element) => void } convert キャレット位置の段落を変換する関数
+ * @returns { InputRule } 入力規則
+ */
+function blockInputRule(pattern, convert) {
+	return {
+		pattern,
+		handler: (root, match, range) => {
+			// 見出しやリストの項目などは変換しない
+			const block = Nomalizer.findTextBlock(root, range.startContainer);
+			if (block?.tagName.toLowerCase() !== 'p') {
+				return false;
+			}
+			range.deleteContents();
+			fillEmptyTextBlock(block);
+			UndoBuffer.updateCaret(range);
+			convert(root, match, block);
+		}
+	};
+}
+
+/**
+ * 記号で囲まれたテキストにインライン書式を適用する入力規則を作成する
+ * @param { string } delimiter テキストを囲む記号
+ * @param { string } tagName 正規化後のインライン書式の要素名
+ * @returns { InputRule } 入力規則
+ */
+function markInputRule(delimiter, tagName) {
+	const d = delimiter.replace(/[*`~]/g, '\\$&');
+	const c = delimiter[0].replace(/[*`~]/g, '\\$&');
+	// 記号の連続の一部やエスケープされた記号には一致させない(_は単語内の記号にも一致させない)
+	const pattern = new RegExp(`(?<![${c}${c === '_' ? '\\w' : ''}\\\\])${d}([^${c}\\s](?:[^${c}]*[^${c}\\s])?)${d}$`);
+	return {
+		pattern,
+		handler: (root, match, range) => {
+			const block = Nomalizer.findTextBlock(root, range.startContainer);
+			const end = match.index + match[0].length;
+			// DOM操作に追従するように記号と内容の範囲を個別に保持する
+			const open = getTextRange(block, match.index, match.index + delimiter.length);
+			const close = getTextRange(block, end - delimiter.length, end);
+			const content = getTextRange(block, match.index + delimiter.length, end - delimiter.length);
+			UndoBuffer.updateCaret(content);
+			if (isMarkActive(root, tagName)) {
+				// 既に書式が設定されている場合は記号をそのまま残す
+				range.collapse(false);
+				UndoBuffer.updateCaret(range);
+				return false;
+			}
+			close.deleteContents();
+			open.deleteContents();
+			UndoBuffer.updateCaret(content);
+			toggleMark(root, tagName);
+			// 続けて入力するテキストには書式を適用しない
+			window.getSelection().getRangeAt(0).collapse(false);
+			toggleMark(root, tagName);
+		}
+	};
+}
+
+/** 既定の入力規則 */
+const defaultInputRules = /** @type { InputRule[] } */([
+	// 見出し
+	blockInputRule(/^(#{1,6}) $/, (root, match) => setBlockType(root, `h${match[1].length}`)),
+	// 引用
+	blockInputRule(/^> $/, (root, match, block) => {
+		// 引用内では引用を解除せずに入れ子の引用とする
+		const caret = UndoBuffer.getCaret()?.track();
+		const quote = document.createElement('blockquote');
+		block.parentNode.insertBefore(quote, block);
+		quote.append(block);
+		UndoBuffer.updateCaret(caret);
+	}),
+	// 箇条書きリスト
+	blockInputRule(/^[-*+] $/, root => toggleList(root, 'ul')),
+	// 番号付きリスト
+	blockInputRule(/^\d{1,9}[.)] $/, root => toggleList(root, 'ol')),
+	// 水平線(段落の残りの内容は水平線の後ろの段落とする)
+	blockInputRule(/^(?:---|\*\*\*|___)$/, (root, match, block) => block.parentNode.insertBefore(document.createElement('hr'), block)),
+	// インライン書式
+	markInputRule('**', 'strong'),
+	markInputRule('__', 'strong'),
+	markInputRule('*', 'em'),
+	markInputRule('_', 'em'),
+	markInputRule('~~', 's'),
+	markInputRule('`', 'code'),
+	// 空白の入力時に直前に入力したURLをリンクにする
+	{ pattern: /\s$/, handler: root => autolink(root) }
+]);
+
+/**
+ * 選択範囲を含むテキストを直接含むブロック要素を取得する
+ * @param { Element } root ルート要素
+ * @param { Range } range 選択範囲
+ * @returns { Element[] } 選択範囲を含むブロック要素
+ */
+function getSelectedBlocks(root, range) {
+	const blocks = [];
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+	while (walker.nextNode()) {
+		const block = walker.currentNode;
+		// 子のリストのみが選択範囲と交差するリストの項目は対象外とする
+		if (Nomalizer.isTextBlock(block) && (
+			range.startContainer === block || range.endContainer === block ||
+			[...block.childNodes].some(child => !Nomalizer.isBlock(child) && range.intersectsNode(child))
+		)) {
+			blocks.push(/** @type { Element } */(block));
+		}
+	}
+	return blocks;
+}
+
+/**
+ * ブロック要素の種類の設定(全てのブロック要素が既に指定の種類の場合は段落に戻す)
+ * @param { Element } root ルート要素
+ * @param { string } type ブロック要素の要素名('p'、'h1'～'h6'、'pre'、'blockquote')
+ */
+function setBlockType(root, type) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const range = selection.getRangeAt(0);
+		// 表のセルは表の構造を保つため対象外とする
+		const blocks = getSelectedBlocks(root, range).filter(block => !Nomalizer.isTableCell(block));
+		if (blocks.length === 0) {
+			return;
+		}
+		// ノードの移動に追従するようにキャレット位置を追跡する
+		const caret = UndoBuffer.getCaret()?.track();
+
+		if (Nomalizer.isContainerBlock(document.createElement(type), Nomalizer.getSchema(root))) {
+			const quotes = blocks.map(block => block.parentNode);
+			if (quotes.every(quote => quote !== root && quote.nodeName.toLowerCase() === type)) {
+				// 全てのブロック要素が既に包まれているときはブロック要素を外に出す
+				for (const block of blocks) {
+					const quote = block.parentNode;
+					const next = Nomalizer.splitNode(quote, quote, Nomalizer.getChildIndex(block) + 1);
+					quote.parentNode.insertBefore(block, next);
+					for (const target of [quote, next]) {
+						if (target.childNodes.length === 0) {
+							target.parentNode.removeChild(target);
+						}
+					}
+				}
+			}
+			else {
+				// 選択範囲を含むブロック要素を共通の親のもとでまとめて包む
+				let container = range.commonAncestorContainer;
+				while (!Nomalizer.isContainer(root, container)) {
+					container = container.parentNode;
+				}
+				const targets = [...container.childNodes].filter(child => range.intersectsNode(child));
+				const quote = document.createElement(type);
+				container.insertBefore(quote, targets[0]);
+				quote.append(...targets);
+			}
+		}
+		else {
+			const tagName = blocks.every(block => block.tagName.toLowerCase() === type) ? 'p' : type;
+			for (const block of blocks) {
+				// リストの項目はリストの切り替えで扱うため対象外とする
+				if (block.tagName.toLowerCase() !== tagName && !Nomalizer.isListItem(block)) {
+					// ブロック要素を置き換えて子ノードを移動する
+					const newBlock = document.createElement(tagName);
+					block.parentNode.insertBefore(newBlock, block);
+					newBlock.append(...block.childNodes);
+					block.parentNode.removeChild(block);
+				}
+			}
+		}
+
+		UndoBuffer.updateCaret(caret);
+	}
+}
+
+/**
+ * 選択範囲のブロック要素が全て指定の種類であるか
+ * @param { Element } root ルート要素
+ * @param { string } type ブロック要素の要素名(引用の場合は全てのブロック要素が包まれているか)
+ * @returns { boolean } 全て指定の種類の場合はtrue
+ */
+function isBlockTypeActive(root, type) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const blocks = getSelectedBlocks(root, selection.getRangeAt(0)).filter(block => !Nomalizer.isTableCell(block));
+		if (Nomalizer.isContainerBlock(document.createElement(type), Nomalizer.getSchema(root))) {
+			return blocks.length !== 0 && blocks.every(block => block.parentNode !== root && block.parentNode.nodeName.toLowerCase() === type);
+		}
+		return blocks.length !== 0 && blocks.every(block => block.tagName.toLowerCase() === type);
+	}
+	return false;
+}
+
+/**
+ * リストの項目を1段階外に出す(最上位のリストの場合は段落に変換する)
+ * @param { Element } root ルート要素
+ * @param { Element } item リストの項目
+ * @returns { Element } 項目の内容を保持するブロック要素
+ */
+function liftListItem(root, item) {
+	const list = item.parentNode;
+	// 項目の直後でリストを分割して項目をリストの末尾にする
+	const next = Nomalizer.splitNode(list, list, Nomalizer.getChildIndex(item) + 1);
+	let block = item;
+	if (Nomalizer.isListItem(list.parentNode)) {
+		// ネストしたリストの場合は親の項目の次の項目にする
+		const parentItem = list.parentNode;
+		parentItem.parentNode.insertBefore(item, parentItem.nextSibling);
+		// 後続の項目は移動した項目の子のリストにする
+		if (next.childNodes.length !== 0) {
+			item.append(next);
+		}
+	}
+	else {
+		// 最上位のリストの場合は段落に変換してリストの間に挿入する
+		block = document.createElement('p');
+		list.parentNode.insertBefore(block, next);
+		const lists = [...item.childNodes].filter(child => Nomalizer.isList(child));
+		block.append(...[...item.childNodes].filter(child => !Nomalizer.isList(child)));
+		// 項目の子のリストは段落の直後のリストにする
+		for (const child of lists.reverse()) {
+			list.parentNode.insertBefore(child, block.nextSibling);
+		}
+		list.removeChild(item);
+		if (block.childNodes.length === 0) {
+			block.append(document.createElement('br'));
+		}
+	}
+	for (const target of [list, next]) {
+		if (target.parentNode && target.childNodes.length === 0) {
+			target.parentNode.removeChild(target);
+		}
+	}
+	return block;
+}
+
+/**
+ * リストの項目を直前の項目の子のリストに移動する
+ * @param { Element } item リストの項目
+ * @returns { boolean } 移動した場合はtrue、直前の項目が存在しない場合はfalse
+ */
+function sinkListItem(item) {
+	const prev = item.previousSibling;
+	if (!Nomalizer.isListItem(prev)) {
+		return false;
+	}
+	// 直前の項目の末尾にリストが存在しなければ同一種類のリストを構築する
+	let list = prev.lastChild;
+	if (!Nomalizer.isSameList(list, item.parentNode)) {
+		list = item.parentNode.cloneNode(false);
+		prev.append(list);
+	}
+	list.append(item);
+	// 項目の子のリストの項目は同一階層に揃える
+	for (const child of [...item.childNodes]) {
+		if (Nomalizer.isSameList(child, list)) {
+			list.append(...child.childNodes);
+			item.removeChild(child);
+		}
+	}
+	return true;
+}
+
+/**
+ * 選択範囲のリストの項目を1段階内側に移動する
+ * @param { Element } root ルート要素
+ * @returns { boolean } リストの項目が選択されていない場合はfalse
+ */
+function indentListItem(root) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const items = getSelectedBlocks(root, selection.getRangeAt(0)).filter(block => Nomalizer.isListItem(block));
+		if (items.length !== 0) {
+			// ノードの移動に追従するようにキャレット位置を追跡する
+			const caret = UndoBuffer.getCaret()?.track();
+			for (const item of items) {
+				sinkListItem(item);
+			}
+			UndoBuffer.updateCaret(caret);
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * 選択範囲のリストの項目を1段階外側に移動する
+ * @param { Element } root ルート要素
+ * @returns { boolean } リストの項目が選択されていない場合はfalse
+ */
+function outdentListItem(root) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const items = getSelectedBlocks(root, selection.getRangeAt(0)).filter(block => Nomalizer.isListItem(block));
+		if (items.length !== 0) {
+			// ノードの移動に追従するようにキャレット位置を追跡する
+			const caret = UndoBuffer.getCaret()?.track();
+			for (const item of items) {
+				liftListItem(root, item);
+			}
+			UndoBuffer.updateCaret(caret);
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * リストの切り替え(全ての選択範囲が既に指定の種類のリストの場合はリストを解除する)
+ * @param { Element } root ルート要素
+ * @param { string } type リストの要素名('ul'、'ol')
+ */
+function toggleList(root, type) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		// 表のセルは表の構造を保つため対象外とする
+		const blocks = getSelectedBlocks(root, selection.getRangeAt(0)).filter(block => !Nomalizer.isTableCell(block));
+		if (blocks.length === 0) {
+			return;
+		}
+		// ノードの移動に追従するようにキャレット位置を追跡する
+		const caret = UndoBuffer.getCaret()?.track();
+
+		if (blocks.every(block => Nomalizer.isListItem(block) && block.parentNode.nodeName.toLowerCase() === type)) {
+			// リストを解除する
+			for (const block of blocks) {
+				// ネストしたリストの項目は最上位になるまで外に出す
+				let target = block;
+				while (Nomalizer.isListItem(target)) {
+					target = liftListItem(root, target);
+				}
+			}
+		}
+		else {
+			for (const block of blocks) {
+				const parent = block.parentNode;
+				if (Nomalizer.isListItem(block)) {
+					if (parent.nodeName.toLowerCase() !== type) {
+						// 異なる種類のリストは要素を置き換える
+						const list = document.createElement(type);
+						parent.parentNode.insertBefore(list, parent);
+						list.append(...parent.childNodes);
+						parent.parentNode.removeChild(parent);
+					}
+				}
+				else {
+					// 直前が同一種類のリストであれば末尾に追加し、そうでなければリストを構築する
+					let list = block.previousSibling;
+					if (list?.nodeName.toLowerCase() !== type) {
+						list = document.createElement(type);
+						parent.insertBefore(list, block);
+					}
+					const item = document.createElement('li');
+					list.append(item);
+					item.append(...block.childNodes);
+					parent.removeChild(block);
+				}
+			}
+		}
+
+		UndoBuffer.updateCaret(caret);
+	}
+}
+
+/**
+ * 選択範囲のブロック要素が全て指定の種類のリストの項目であるか
+ * @param { Element } root ルート要素
+ * @param { string } type リストの要素名
+ * @returns { boolean } 全て指定の種類のリストの項目の場合はtrue
+ */
+function isListActive(root, type) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const blocks = getSelectedBlocks(root, selection.getRangeAt(0)).filter(block => !Nomalizer.isTableCell(block));
+		return blocks.length !== 0 && blocks.every(block => Nomalizer.isListItem(block) && block.parentNode.nodeName.toLowerCase() === type);
+	}
+	return false;
+}
+
+/**
+ * 選択範囲を含むルート要素直下のブロック要素を取得する
+ * @param { Element } root ルート要素
+ * @param { Range } range 選択範囲
+ * @returns { Element[] } ルート要素直下のブロック要素(文書順)
+ */
+function getTopLevelBlocks(root, range) {
+	return [...root.children].filter(child => range.intersectsNode(child));
+}
+
+/**
+ * ルート要素直下の連続するブロック要素を指定の位置に移動する(ノードの複製ではなく移動として記録され、キャレット位置は移動に追従する)
+ * @param { Element } root ルート要素
+ * @param { Element[] } blocks 移動対象のルート要素直下の連続するブロック要素
+ * @param { Element | null } ref 移動先の次のブロック要素(nullの場合は末尾)
+ * @returns { boolean } 移動した場合はtrue
+ */
+function moveBlocks(root, blocks, ref) {
+	if (blocks.length === 0 || blocks.includes(ref) || blocks[blocks.length - 1].nextElementSibling === ref) {
+		return false;
+	}
+	const caret = UndoBuffer.getCaret()?.track();
+	Nomalizer.moveNodeList(blocks, root, ref);
+	UndoBuffer.updateCaret(caret);
+	return true;
+}
+
+/**
+ * 選択範囲を含むルート要素直下のブロック要素を前後のブロック要素と入れ替える
+ * @param { Element } root ルート要素
+ * @param { boolean } forward trueの場合は後ろ、falseの場合は前に移動する
+ * @returns { boolean } 先頭または末尾のため移動できない場合はfalse
+ */
+function moveBlock(root, forward) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const blocks = getTopLevelBlocks(root, selection.getRangeAt(0));
+		if (blocks.length !== 0) {
+			const sibling = forward ? blocks[blocks.length - 1].nextElementSibling : blocks[0].previousElementSibling;
+			return sibling !== null && moveBlocks(root, blocks, forward ? sibling.nextElementSibling : sibling);
+		}
+	}
+	return false;
+}
+
+/**
+ * 選択範囲の始点を含む表のセルを取得する
+ * @param { Element } root ルート要素
+ * @returns { Element | null } 表のセル(存在しない場合はnull)
+ */
+function getTableCell(root) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const block = Nomalizer.findTextBlock(root, selection.getRangeAt(0).startContainer);
+		return Nomalizer.isTableCell(block) ? block : null;
+	}
+	return null;
+}
+
+/**
+ * 空のセルを構築する
+ * @param { string } tagName セルの要素名
+ * @returns { Element } 空行の表示のための改行のみを含むセル
+ */
+function createTableCell(tagName = 'td') {
+	const cell = document.createElement(tagName);
+	cell.append(document.createElement('br'));
+	return cell;
+}
+
+/**
+ * キャレットをセルの先頭に移動する
+ * @param { Element } cell 移動先のセル
+ */
+function moveCaretToTableCell(cell) {
+	UndoBuffer.updateCaret({ startContainer: cell, startOffset: 0, endContainer: cell, endOffset: 0 });
+}
+
+/**
+ * 表を除去して空段落に置き換える
+ * @param { Element } table 除去する表
+ */
+function removeTable(table) {
+	const p = document.createElement('p');
+	p.append(document.createElement('br'));
+	table.parentNode.replaceChild(p, table);
+	UndoBuffer.updateCaret({ startContainer: p, startOffset: 0, endContainer: p, endOffset: 0 });
+}
+
+/**
+ * キャレット位置に表を挿入する(リストの項目や表のセル内には挿入しない)
+ * @param { Element } root ルート要素
+ * @param { number } rows 行数
+ * @param { number } columns 列数
+ */
+function insertTable(root, rows, columns) {
+	const selection = window.getSelection();
+	if (selection.rangeCount === 0 || rows < 1 || columns < 1) {
+		return;
+	}
+	const block = Nomalizer.findTextBlock(root, selection.getRangeAt(0).startContainer);
+	if (Nomalizer.isListItem(block) || Nomalizer.isTableCell(block)) {
+		return;
+	}
+	const table = document.createElement('table');
+	const tbody = document.createElement('tbody');
+	table.append(tbody);
+	for (let k = 0; k < rows; ++k) {
+		const tr = document.createElement('tr');
+		for (let l = 0; l < columns; ++l) {
+			tr.append(createTableCell());
+		}
+		tbody.append(tr);
+	}
+	const fragment = document.createDocumentFragment();
+	fragment.append(table);
+	insertFragment(root, fragment);
+	if (table.nextSibling === null) {
+		// 表の後ろにキャレットを移動できるように空段落を挿入する
+		const p = document.createElement('p');
+		p.append(document.createElement('br'));
+		table.parentNode.append(p);
+	}
+	moveCaretToTableCell(table.querySelector('td'));
+}
+
+/**
+ * キャレットを次または前のセルに移動する(末尾のセルから次に移動する場合は行を追加する)
+ * @param { Element } root ルート要素
+ * @param { boolean } forward trueの場合は次、falseの場合は前のセルに移動する
+ * @returns { boolean } キャレットが表のセル内に存在した場合はtrue
+ */
+function moveTableCell(root, forward) {
+	const cell = getTableCell(root);
+	if (cell === null) {
+		return false;
+	}
+	const cells = [...cell.closest('table').querySelectorAll('td, th')];
+	let target = cells[cells.indexOf(cell) + (forward ? 1 : -1)];
+	if (target === undefined) {
+		if (!forward) {
+			return true;
+		}
+		insertTableRow(root, true);
+		target = cell.parentNode.nextElementSibling.firstElementChild;
+	}
+	// 移動先のセルの内容を選択する
+	const end = Nomalizer.isEmptyBlock(target) ? 0 : target.childNodes.length;
+	UndoBuffer.updateCaret({ startContainer: target, startOffset: 0, endContainer: target, endOffset: end });
+	return true;
+}
+
+/**
+ * キャレット位置の行の前または後ろに行を挿入する
+ * @param { Element } root ルート要素
+ * @param { boolean } after trueの場合は後ろ、falseの場合は前に挿入する
+ */
+function insertTableRow(root, after = true) {
+	const cell = getTableCell(root);
+	if (cell === null) {
+		return;
+	}
+	const row = cell.parentNode;
+	const newRow = document.createElement('tr');
+	for (const child of row.children) {
+		newRow.append(createTableCell(child.tagName.toLowerCase()));
+	}
+	row.parentNode.insertBefore(newRow, after ? row.nextSibling : row);
+	moveCaretToTableCell(newRow.children[[...row.children].indexOf(cell)]);
+}
+
+/**
+ * キャレット位置の行を削除する(最後の行の場合は表を除去する)
+ * @param { Element } root ルート要素
+ */
+function deleteTableRow(root) {
+	const cell = getTableCell(root);
+	if (cell === null) {
+		return;
+	}
+	const table = cell.closest('table');
+	const rows = [...table.querySelectorAll('tr')];
+	if (rows.length === 1) {
+		removeTable(table);
+		return;
+	}
+	const row = cell.parentNode;
+	const index = rows.indexOf(/** @type { Element } */(row));
+	const next = rows[index + 1] ?? rows[index - 1];
+	row.parentNode.removeChild(row);
+	moveCaretToTableCell(next.children[[...row.children].indexOf(cell)]);
+}
+
+/**
+ * キャレット位置の列の前または後ろに列を挿入する
+ * @param { Element } root ルート要素
+ * @param { boolean } after trueの場合は後ろ、falseの場合は前に挿入する
+ */
+function insertTableColumn(root, after = true) {
+	const cell = getTableCell(root);
+	if (cell === null) {
+		return;
+	}
+	const row = cell.parentNode;
+	const index = [...row.children].indexOf(cell) + (after ? 1 : 0);
+	let target = null;
+	for (const tr of cell.closest('table').querySelectorAll('tr')) {
+		const newCell = createTableCell();
+		tr.insertBefore(newCell, tr.children[index] ?? null);
+		if (tr === row) {
+			target = newCell;
+		}
+	}
+	moveCaretToTableCell(target);
+}
+
+/**
+ * キャレット位置の列を削除する(最後の列の場合は表を除去する)
+ * @param { Element } root ルート要素
+ */
+function deleteTableColumn(root) {
+	const cell = getTableCell(root);
+	if (cell === null) {
+		return;
+	}
+	const table = cell.closest('table');
+	const row = cell.parentNode;
+	if (row.children.length === 1) {
+		removeTable(table);
+		return;
+	}
+	const index = [...row.children].indexOf(cell);
+	for (const tr of table.querySelectorAll('tr')) {
+		tr.removeChild(tr.children[index]);
+	}
+	moveCaretToTableCell(row.children[Math.min(index, row.children.length - 1)]);
+}
+
+/**
+ * テキストを直接含むブロック要素内の位置の直前または直後の末端のノードを取得する
+ * @param { Element } block テキストを直接含むブロック要素
+ * @param { Node } container 位置のノード
+ * @param { number } offset 位置のオフセット
+ * @param { boolean } forward trueの場合は直後、falseの場合は直前のノードを取得する
+ * @returns { Node | null } 見つかったノード(空のテキストノードなどは除き、ブロック要素のリスト以外の内容の端の場合はnull)
+ */
+function getAdjacentLeaf(block, container, offset, forward) {
+	if (container.nodeType === Node.TEXT_NODE && (forward ? offset < /** @type { Text } */(container).length : offset > 0)) {
+		return container;
+	}
+	let node = null;
+	if (container.nodeType !== Node.TEXT_NODE && (forward ? offset < container.childNodes.length : offset > 0)) {
+		node = container.childNodes[forward ? offset : offset - 1];
+	}
+	else {
+		// 兄弟要素が存在するまで親要素を辿る
+		node = container;
+		while (node !== block && (forward ? node.nextSibling : node.previousSibling) === null) {
+			node = node.parentNode;
+		}
+		if (node === block) {
+			return null;
+		}
+		node = forward ? node.nextSibling : node.previousSibling;
+	}
+	// 子のリストはリストの項目の内容の端とする
+	if (Nomalizer.isList(node)) {
+		return null;
+	}
+	if (node.firstChild) {
+		return getAdjacentLeaf(block, node, forward ? 0 : node.childNodes.length, forward);
+	}
+	if (node.nodeName.toLowerCase() !== 'br' && Nomalizer.isEmptyNode(node)) {
+		// 空のノードは読み飛ばす
+		return getAdjacentLeaf(block, node, 0, forward);
+	}
+	return node;
+}
+
+/**
+ * 改行が空行の表示のためのもの(ブロック要素の末尾の改行の直後または空段落の改行)であるか
+ * @param { Element } block テキストを直接含むブロック要素
+ * @param { Node } br 改行
+ * @returns { boolean } 空行の表示のための改行の場合はtrue
+ */
+function isPaddingBreak(block, br) {
+	const index = Nomalizer.getChildIndex(br);
+	if (getAdjacentLeaf(block, br.parentNode, index + 1, true) !== null) {
+		return false;
+	}
+	const prev = getAdjacentLeaf(block, br.parentNode, index, false);
+	return prev === null || prev.nodeName.toLowerCase() === 'br';
+}
+
+/**
+ * 文書順で直前または直後のテキストを直接含むブロック要素を取得する
+ * @param { Element } root ルート要素
+ * @param { Element } block テキストを直接含むブロック要素
+ * @param { boolean } forward trueの場合は直後、falseの場合は直前のブロック要素を取得する
+ * @returns { Element | null } 見つかったブロック要素
+ */
+function getSiblingTextBlock(root, block, forward) {
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, node => Nomalizer.isTextBlock(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP);
+	walker.currentNode = block;
+	let node = forward ? walker.nextNode() : walker.previousNode();
+	// 直前の場合は祖先のリストの項目を除く
+	while (node !== null && node.contains(block)) {
+		node = walker.previousNode();
+	}
+	return /** @type { Element | null } */(node);
+}
+
+/**
+ * ノードを除去して空になった祖先のブロック要素も除去する
+ * @param { Element } root ルート要素
+ * @param { Node } node 除去するノード
+ */
+function removeWithEmptyAncestors(root, node) {
+	let parent = node.parentNode;
+	parent.removeChild(node);
+	while (parent !== root && [...parent.childNodes].every(child => Nomalizer.isBlankNode(child))) {
+		node = parent;
+		parent = node.parentNode;
+		parent.removeChild(node);
+	}
+}
+
+/**
+ * テキストを直接含むブロック要素のリスト以外の内容が空の場合は空段落の表示のための改行のみにする
+ * @param { Element } block テキストを直接含むブロック要素
+ */
+function fillEmptyTextBlock(block) {
+	const ref = [...block.childNodes].find(child => Nomalizer.isList(child)) ?? null;
+	const nodes = [...block.childNodes].slice(0, ref ? Nomalizer.getChildIndex(ref) : block.childNodes.length);
+	if (nodes.every(node => Nomalizer.isEmptyNode(node) && node.nodeName.toLowerCase() !== 'br')) {
+		for (const node of nodes) {
+			block.removeChild(node);
+		}
+		block.insertBefore(document.createElement('br'), ref);
+	}
+}
+
+/**
+ * テキストを直接含むブロック要素の内容を直前のブロック要素の末尾に結合する
+ * @param { Element } root ルート要素
+ * @param { Element } block 結合先のブロック要素
+ * @param { Element } next 結合するブロック要素
+ * @returns { Range } 結合した位置(実際にはRange互換のオブジェクト)
+ */
+function mergeTextBlocks(root, block, next) {
+	// 結合する位置はリストの項目の場合は子のリストの直前
+	const ref = [...block.childNodes].find(child => Nomalizer.isList(child)) ?? null;
+	for (const target of [block, next]) {
+		const index = target === block && ref ? Nomalizer.getChildIndex(ref) : target.childNodes.length;
+		const last = getAdjacentLeaf(target, target, index, false);
+		if (last !== null && last.nodeName.toLowerCase() === 'br' && isPaddingBreak(target, last)) {
+			last.parentNode.removeChild(last);
+		}
+	}
+
+	// 結合した位置は直前がテキストの場合はテキストの末尾とする
+	const index = ref ? Nomalizer.getChildIndex(ref) : block.childNodes.length;
+	const last = getAdjacentLeaf(block, block, index, false);
+	const [container, offset] = last?.nodeType === Node.TEXT_NODE ? [last, /** @type { Text } */(last).length] : [block, index];
+
+	const lists = [...next.childNodes].filter(child => Nomalizer.isList(child));
+	for (const child of [...next.childNodes].filter(child => !Nomalizer.isList(child))) {
+		block.insertBefore(child, ref);
+	}
+	// 結合するリストの項目の子のリストは結合先の子または直後のリストとする
+	for (const list of lists) {
+		if (Nomalizer.isListItem(block)) {
+			block.append(list);
+		}
+		else {
+			block.parentNode.insertBefore(list, next.contains(block.nextSibling) ? null : block.nextSibling);
+		}
+	}
+	removeWithEmptyAncestors(root, next);
+	fillEmptyTextBlock(block);
+	return { startContainer: container, startOffset: offset, endContainer: container, endOffset: offset };
+}
+
+/**
+ * 選択範囲を削除してブロック要素にまたがる場合は始点と終点のブロック要素を結合する
+ * @param { Element } root ルート要素
+ * @param { Range } range 選択範囲
+ */
+function deleteSelection(root, range) {
+	const startBlock = Nomalizer.findTextBlock(root, range.startContainer);
+	const endBlock = Nomalizer.findTextBlock(root, range.endContainer);
+	if (startBlock !== endBlock && (Nomalizer.isTableCell(startBlock) || Nomalizer.isTableCell(endBlock))) {
+		// 表のセルにまたがる場合は表の構造を保つためブロック要素ごとに内容のみを削除する
+		for (const block of getSelectedBlocks(root, range)) {
+			const part = document.createRange();
+			part.selectNodeContents(block);
+			if (block.contains(range.startContainer)) {
+				part.setStart(range.startContainer, range.startOffset);
+			}
+			if (block.contains(range.endContainer)) {
+				part.setEnd(range.endContainer, range.endOffset);
+			}
+			part.deleteContents();
+			fillEmptyTextBlock(block);
+		}
+		range.collapse(true);
+		UndoBuffer.updateCaret(range);
+		return;
+	}
+	range.deleteContents();
+	/** @type { Range } */
+	let caret = { startContainer: range.startContainer, startOffset: range.startOffset, endContainer: range.startContainer, endOffset: range.startOffset };
+	if (startBlock !== null && endBlock !== null && startBlock !== endBlock && startBlock.isConnected && endBlock.isConnected) {
+		caret = mergeTextBlocks(root, startBlock, endBlock);
+	}
+	else if (startBlock?.isConnected) {
+		fillEmptyTextBlock(startBlock);
+	}
+	else if (root.childNodes.length === 0) {
+		const p = document.createElement('p');
+		p.append(document.createElement('br'));
+		root.append(p);
+		caret = { startContainer: p, startOffset: 0, endContainer: p, endOffset: 0 };
+	}
+	UndoBuffer.updateCaret(caret);
+}
+
+/**
+ * キャレット位置から直前または直後の単語を削除する
+ * @param { Element } block テキストを直接含むブロック要素
+ * @param { Range } range キャレット位置
+ * @param { boolean } forward trueの場合は直後、falseの場合は直前の単語を削除する
+ * @returns { boolean } 削除した場合はtrue、改行やブロック要素の端で削除する単語が存在しない場合はfalse
+ */
+function deleteWord(block, range, forward) {
+	// 改行までの連続するテキストを収集する
+	/** @type { [Text, number, number][] } */
+	const texts = [];
+	let [container, offset] = [range.startContainer, range.startOffset];
+	for (let leaf = getAdjacentLeaf(block, container, offset, forward); leaf?.nodeType === Node.TEXT_NODE; leaf = getAdjacentLeaf(block, container, offset, forward)) {
+		const text = /** @type { Text } */(leaf);
+		const [begin, end] = text === container ? (forward ? [offset, text.length] : [0, offset]) : [0, text.length];
+		forward ? texts.push([text, begin, end]) : texts.unshift([text, begin, end]);
+		[container, offset] = [text, forward ? text.length : 0];
+	}
+	const value = texts.map(([text, begin, end]) => text.nodeValue.slice(begin, end)).join('');
+	if (value.length === 0) {
+		return false;
+	}
+
+	// 空白を読み飛ばした先の単語の境界を削除する範囲の端とする
+	const segments = [...new Intl.Segmenter(undefined, { granularity: 'word' }).segment(value)];
+	if (!forward) {
+		segments.reverse();
+	}
+	const i = segments.findIndex(segment => /\S/.test(segment.segment));
+	const segment = segments[i === -1 ? segments.length - 1 : i];
+	let position = forward ? segment.index + segment.segment.length : segment.index;
+	for (const [text, begin, end] of texts) {
+		if (position <= end - begin) {
+			forward ? range.setEnd(text, begin + position) : range.setStart(text, begin + position);
+			break;
+		}
+		position -= end - begin;
+	}
+	range.deleteContents();
+	fillEmptyTextBlock(block);
+	return true;
+}
+
+/**
+ * BackspaceまたはDelete入力時の動作
+ * @param { Element } root ルート要素
+ * @param { boolean } forward trueの場合はDelete、falseの場合はBackspaceとする
+ * @param { boolean } word 単語単位で削除するか
+ * @returns { boolean } 自前で処理した場合はtrue、ブラウザの動作に任せる場合はfalse
+ */
+function deleteContent(root, forward, word) {
+	const selection = window.getSelection();
+	if (selection.rangeCount === 0) {
+		return false;
+	}
+	const range = selection.getRangeAt(0);
+	if (!range.collapsed) {
+		deleteSelection(root, range);
+		return true;
+	}
+	const block = Nomalizer.findTextBlock(root, range.startContainer);
+	if (block === null) {
+		return false;
+	}
+	if (word && deleteWord(block, range, forward)) {
+		return true;
+	}
+
+	let leaf = getAdjacentLeaf(block, range.startContainer, range.startOffset, forward);
+	if (!forward && leaf !== null && leaf.nodeName.toLowerCase() === 'br' && isPaddingBreak(block, leaf)) {
+		// 空行の表示のための改行の直後は直前の改行の直後またはブロック要素の先頭とみなす
+		leaf = getAdjacentLeaf(block, leaf.parentNode, Nomalizer.getChildIndex(leaf), false);
+	}
+	if (Nomalizer.isAtom(leaf)) {
+		// 画像などは要素単位で削除する
+		const index = Nomalizer.getChildIndex(leaf);
+		const parent = leaf.parentNode;
+		parent.removeChild(leaf);
+		fillEmptyTextBlock(block);
+		UndoBuffer.updateCaret({ startContainer: parent, startOffset: index, endContainer: parent, endOffset: index });
+		return true;
+	}
+	if (leaf !== null && leaf.nodeName.toLowerCase() === 'br' && !(forward && isPaddingBreak(block, leaf))) {
+		// 改行の削除では不要になる空行の表示のための改行も削除する
+		const index = Nomalizer.getChildIndex(leaf);
+		const parent = leaf.parentNode;
+		const next = getAdjacentLeaf(block, parent, index + 1, true);
+		parent.removeChild(leaf);
+		const prev = next?.nodeName.toLowerCase() === 'br' ? getAdjacentLeaf(block, next.parentNode, Nomalizer.getChildIndex(next), false) : null;
+		if (prev !== null && prev.nodeName.toLowerCase() !== 'br' && getAdjacentLeaf(block, next.parentNode, Nomalizer.getChildIndex(next) + 1, true) === null) {
+			next.parentNode.removeChild(next);
+		}
+		fillEmptyTextBlock(block);
+		UndoBuffer.updateCaret({ startContainer: parent, startOffset: index, endContainer: parent, endOffset: index });
+		return true;
+	}
+	if (leaf !== null && leaf.nodeName.toLowerCase() !== 'br') {
+		// 文字の削除はブラウザの動作に任せる
+		return false;
+	}
+
+	// ブロック要素の端での削除
+	if (!forward && Nomalizer.isListItem(block)) {
+		// リストの項目の先頭では項目を1段階外に出す
+		const caret = UndoBuffer.getCaret()?.track();
+		liftListItem(root, block);
+		UndoBuffer.updateCaret(caret);
+		return true;
+	}
+	if (!forward && block.previousSibling === null && block.parentNode !== root && Nomalizer.isContainerBlock(block.parentNode)) {
+		// blockquoteの先頭ではblockquoteの外に出す
+		const caret = UndoBuffer.getCaret()?.track();
+		const quote = block.parentNode;
+		quote.parentNode.insertBefore(block, quote);
+		if (quote.childNodes.length === 0) {
+			quote.parentNode.removeChild(quote);
+		}
+		UndoBuffer.updateCaret(caret);
+		return true;
+	}
+	const sibling = forward ? block.nextSibling : block.previousSibling;
+	if (Nomalizer.isHorizontalRule(sibling)) {
+		// 隣接する水平線は要素単位で削除する
+		sibling.parentNode.removeChild(sibling);
+		return true;
+	}
+	const [first, second] = forward ? [block, getSiblingTextBlock(root, block, true)] : [getSiblingTextBlock(root, block, false), block];
+	if (first === null || second === null) {
+		return true;
+	}
+	if (Nomalizer.isTableCell(first) || Nomalizer.isTableCell(second)) {
+		// 表のセルとは結合せず、表に隣接する空段落は除去してキャレットをセルに移動する
+		if (!Nomalizer.isTableCell(block) && Nomalizer.isEmptyBlock(block) && ![...block.childNodes].some(child => Nomalizer.isList(child))) {
+			const cell = forward ? second : first;
+			removeWithEmptyAncestors(root, block);
+			const offset = forward || Nomalizer.isEmptyBlock(cell) ? 0 : cell.childNodes.length;
+			UndoBuffer.updateCaret({ startContainer: cell, startOffset: offset, endContainer: cell, endOffset: offset });
+		}
+		return true;
+	}
+	if (Nomalizer.isEmptyBlock(first) && !first.contains(second) && ![...first.childNodes].some(child => Nomalizer.isList(child))) {
+		// 空段落との結合は空段落の除去とする
+		removeWithEmptyAncestors(root, first);
+		UndoBuffer.updateCaret({ startContainer: second, startOffset: 0, endContainer: second, endOffset: 0 });
+		return true;
+	}
+	UndoBuffer.updateCaret(mergeTextBlocks(root, first, second));
+	return true;
+}
+
+/**
+ * Backspace入力時の動作
+ * @param { Element } root ルート要素
+ * @param { boolean } word 単語単位で削除するか(Ctrl+Backspace)
+ * @returns { boolean } 自前で処理した場合はtrue、ブラウザの動作に任せる場合はfalse
+ */
+function backspace(root, word = false) {
+	return deleteContent(root, false, word);
+}
+
+/**
+ * Delete入力時の動作
+ * @param { Element } root ルート要素
+ * @param { boolean } word 単語単位で削除するか(Ctrl+Delete)
+ * @returns { boolean } 自前で処理した場合はtrue、ブラウザの動作に任せる場合はfalse
+ */
+function deleteForward(root, word = false) {
+	return deleteContent(root, true, word);
+}
+
+/**
+ * キャレット位置へのブロック要素の列の挿入
+ * @param { Element } root ルート要素
+ * @param { DocumentFragment } fragment 挿入するブロック要素の列(正規化済みである必要がある)
+ */
+function insertFragment(root, fragment) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0 && fragment.childNodes.length !== 0) {
+		const range = selection.getRangeAt(0);
+		if (!range.collapsed) {
+			// rangeの始点と終点が一致しないときは範囲を削除
+			range.deleteContents();
+			range.collapse();
+		}
+		const startContainer = range.startContainer;
+		const startOffset = range.startOffset;
+		if (startContainer.nodeType === Node.COMMENT_NODE || startContainer.nodeType === Node.CDATA_SECTION_NODE) {
+			// 無視する
+			return;
+		}
+
+		/**
+		 * 段落の子要素を取り出す(空行の表示のために2つにした末尾の改行は1つに戻す)
+		 * @param { Node } p 段落要素
+		 * @returns { Node[] } 段落の子要素
+		 */
+		const takeChildNodes = p => {
+			const nodes = [...p.childNodes];
+			if (nodes.length >= 2 && nodes.slice(-2).every(node => node.nodeName.toLowerCase() === 'br')) {
+				nodes.pop();
+			}
+			return nodes;
+		};
+		/** @type { Node } 挿入した末尾のノード */
+		let last = fragment.lastChild;
+		const block = Nomalizer.findTextBlock(root, startContainer);
+		if (Nomalizer.isTableCell(block) && !(fragment.childNodes.length === 1 && fragment.firstChild.nodeName.toLowerCase() === 'p')) {
+			// 表のセル内ではブロック要素を改行で区切った単一の段落として挿入する
+			const blocks = [];
+			const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_ELEMENT, node => Nomalizer.isTextBlock(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP);
+			while (walker.nextNode()) {
+				blocks.push(walker.currentNode);
+			}
+			const p = document.createElement('p');
+			blocks.forEach((target, k) => {
+				if (k !== 0) {
+					p.append(document.createElement('br'));
+				}
+				p.append(...takeChildNodes(target).filter(node => !Nomalizer.isList(node)));
+			});
+			fragment.replaceChildren(p);
+			last = p;
+		}
+		const [container, offset] = Nomalizer.splitText(startContainer, startOffset);
+		if (block === null) {
+			// ブロック要素の外ではそのままブロック要素を挿入する
+			container.insertBefore(fragment, offset === container.childNodes.length ? null : container.childNodes[offset]);
+		}
+		else if (fragment.childNodes.length === 1 && fragment.firstChild.nodeName.toLowerCase() === 'p') {
+			// 単一の段落はキャレット位置にインライン要素として挿入する
+			const nodes = takeChildNodes(fragment.firstChild);
+			last = nodes[nodes.length - 1];
+			const ref = offset === container.childNodes.length ? null : container.childNodes[offset];
+			for (const node of nodes) {
+				container.insertBefore(node, ref);
+			}
+		}
+		else {
+			// キャレット位置でブロック要素を分割して間にブロック要素を挿入する
+			const next = Nomalizer.splitNode(block, container, offset);
+			if (fragment.firstChild.nodeName.toLowerCase() === 'p') {
+				// 先頭の段落は分割前のブロック要素の末尾に併合する
+				block.append(...takeChildNodes(fragment.firstChild));
+				fragment.removeChild(fragment.firstChild);
+			}
+			let moved = 0;
+			if (fragment.lastChild?.nodeName.toLowerCase() === 'p' && !Nomalizer.isEmptyBlock(next)) {
+				// 末尾の段落は分割後のブロック要素の先頭に併合する
+				const nodes = takeChildNodes(fragment.lastChild);
+				moved = nodes.length;
+				last = nodes[nodes.length - 1];
+				next.prepend(...nodes);
+				fragment.removeChild(fragment.lastChild);
+			}
+			else if (fragment.lastChild) {
+				last = fragment.lastChild;
+			}
+			block.parentNode.insertBefore(fragment, next);
+			// 分割により空となったブロック要素は除去する
+			if (Nomalizer.isEmptyBlock(block)) {
+				block.parentNode.removeChild(block);
+			}
+			if (moved === 0 && Nomalizer.isEmptyBlock(next)) {
+				next.parentNode.removeChild(next);
+			}
+		}
+
+		// キャレットを挿入した末尾に移動
+		while (last.lastChild && !Nomalizer.isList(last.lastChild)) {
+			last = last.lastChild;
+		}
+		if (last.nodeType === Node.TEXT_NODE) {
+			range.setStart(last, /** @type { Text } */(last).length);
+			range.setEnd(last, /** @type { Text } */(last).length);
+		}
+		else if (last.nodeName.toLowerCase() === 'br' || last.nodeType !== Node.ELEMENT_NODE || Nomalizer.isAtom(last)) {
+			const offset = Nomalizer.getChildIndex(last);
+			range.setStart(last.parentNode, offset + 1);
+			range.setEnd(last.parentNode, offset + 1);
+		}
+		else {
+			range.setStart(last, last.childNodes.length);
+			range.setEnd(last, last.childNodes.length);
+		}
+	}
+}
+
+/**
+ * 貼り付け時の動作(HTMLは許可された構造のみに変換し、プレーンテキストは段落に変換する)
+ * @param { Element } root ルート要素
+ * @param { DataTransfer } dataTransfer 貼り付けるデータ
+ * @param { Nomalizer } nomalizer 正規化器
+ */
+function paste(root, dataTransfer, nomalizer) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0) {
+		const range = selection.getRangeAt(0);
+		const html = dataTransfer.getData('text/html');
+		const text = dataTransfer.getData('text/plain');
+		const block = Nomalizer.findTextBlock(root, range.startContainer);
+		if (block?.tagName.toLowerCase() === 'pre') {
+			// 整形済みテキスト内ではテキストのみを段落内改行を含めて挿入する
+			const p = document.createElement('p');
+			text.replace(/\r\n?/g, '\n').split('\n').forEach((line, k) => {
+				if (k !== 0) {
+					p.append(document.createElement('br'));
+				}
+				if (line.length !== 0) {
+					p.append(line);
+				}
+			});
+			const fragment = document.createDocumentFragment();
+			fragment.append(p);
+			insertFragment(root, fragment);
+		}
+		else if (html.length !== 0) {
+			// DOMParserで解析したドキュメントではスクリプトの実行や画像の読み込みは行われない
+			const doc = new DOMParser().parseFromString(html, 'text/html');
+			insertFragment(root, nomalizer.sanitize(doc.body));
+		}
+		else {
+			insertFragment(root, Nomalizer.textToFragment(text));
+		}
+	}
+}
+
+/**
+ * 貼り付けやドロップのデータに含まれる画像ファイルを取得する
+ * @param { DataTransfer } dataTransfer 貼り付けやドロップのデータ
+ * @returns { File[] } 画像ファイル
+ */
+function getImageFiles(dataTransfer) {
+	return [...dataTransfer.files].filter(file => file.type.startsWith('image/'));
+}
+
+/**
+ * ファイルをデータURLとして読み込む
+ * @param { File } file 読み込むファイル
+ * @returns { Promise<string> } データURL
+ */
+function readAsDataURL(file) {
+	return new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.addEventListener('load', () => resolve(/** @type { string } */(reader.result)));
+		reader.addEventListener('error', () => reject(reader.error));
+		reader.readAsDataURL(file);
+	});
+}
+
+/**
+ * 画像ファイルをキャレット位置に挿入してアップロードする
+ * アップロードが完了するまではファイルの内容をプレースホルダとして表示し、
+ * 完了後のURLへの差し替えはundoバッファに記録しないため画像の挿入とともに1回のundoで元に戻る
+ * ファイルを読み込めなかった画像は同様にundoバッファに記録せずに取り除く
+ * @param { Element } root ルート要素
+ * @param { UndoBuffer } undoBuffer ルート要素のundoバッファ
+ * @param { File[] } files 画像ファイル
+ * @param { ((file: File) => Promise<string>) | null } upload 画像ファイルをアップロードしてURLを返す関数(未指定または失敗した場合はデータURLとして埋め込む)
+ * @returns { Promise<HTMLImageElement[]> } 挿入を維持した画像(全てのURLの差し替えの完了後に解決する)
+ */
+function insertImages(root, undoBuffer, files, upload = null) {
+	const selection = window.getSelection();
+	if (files.length === 0 || selection.rangeCount === 0 || Nomalizer.findTextBlock(root, selection.getRangeAt(0).startContainer)?.tagName.toLowerCase() === 'pre') {
+		// 整形済みテキスト内には挿入しない
+		return Promise.resolve([]);
+	}
+	const images = files.map(file => {
+		const img = document.createElement('img');
+		img.setAttribute('src', URL.createObjectURL(file));
+		img.setAttribute('alt', file.name);
+		img.setAttribute('contenteditable', 'false');
+		img.setAttribute('data-uploading', '');
+		return img;
+	});
+	const p = document.createElement('p');
+	p.append(...images);
+	const fragment = document.createDocumentFragment();
+	fragment.append(p);
+	undoBuffer.transaction('insertImage', () => insertFragment(root, fragment));
+
+	return Promise.all(images.map(async (img, k) => {
+		const placeholder = img.getAttribute('src');
+		let src = null;
+		if (upload) {
+			try {
+				src = Nomalizer.sanitizeImageUrl(await upload(files[k]));
+			}
+			catch {
+				// アップロードに失敗した場合はデータURLとして埋め込む
+			}
+		}
+		try {
+			src ??= await readAsDataURL(files[k]);
+		}
+		catch {
+			// 読み込みにも失敗した場合はプレースホルダを残さない
+		}
+		undoBuffer.amend(() => {
+			if (src === null) {
+				img.remove();
+			}
+			else {
+				img.setAttribute('src', src);
+				img.removeAttribute('data-uploading');
+			}
+		});
+		URL.revokeObjectURL(placeholder);
+		return src === null ? null : img;
+	})).then(images => images.filter(img => img !== null));
+}
+
+/**
+ * 画面上の座標の位置にキャレットを移動する
+ * @param { Element } root ルート要素
+ * @param { number } x 画面上のx座標
+ * @param { number } y 画面上のy座標
+ * @returns { boolean } 移動した場合はtrue
+ */
+function moveCaretToPoint(root, x, y) {
+	/** @type { [Node, number] | null } */
+	let position = null;
+	if (document.caretPositionFromPoint) {
+		const caretPosition = document.caretPositionFromPoint(x, y);
+		position = caretPosition && [caretPosition.offsetNode, caretPosition.offset];
+	}
+	else if (document.caretRangeFromPoint) {
+		const range = document.caretRangeFromPoint(x, y);
+		position = range && [range.startContainer, range.startOffset];
+	}
+	if (position === null || !root.contains(position[0])) {
+		return false;
+	}
+	UndoBuffer.updateCaret({ startContainer: position[0], startOffset: position[1], endContainer: position[0], endOffset: position[1] });
+	return true;
+}
+
+/** Markdownにおけるインライン書式の区切り文字(uはMarkdownに存在しないためHTMLとして表現する) */
+const markdownMarkDelimiters = /** @type { const } */({
+	strong: ['**', '**'],
+	em: ['_', '_'],
+	s: ['~~', '~~'],
+	u: ['<u>', '</u>']
+});
+
+/**
+ * テキストを直接含むブロック要素の子要素をMarkdownのインライン要素に変換する
+ * @param { Node[] } nodes 変換対象のノード
+ * @returns { string } Markdownの文字列(段落内改行は改行文字を含む)
+ */
+function serializeMarkdownInline(nodes) {
+	nodes = [...nodes];
+	// 空行の表示のために挿入した末尾の改行は出力しない
+	if (nodes[nodes.length - 1]?.nodeName.toLowerCase() === 'br') {
+		nodes.pop();
+	}
+
+	/**
+	 * リンク先の空白や括弧はURLとして区切りと解釈されないようにエンコードする
+	 * @param { string } url URL
+	 * @returns { string } Markdownのリンク先
+	 */
+	const encodeDestination = url => url.replace(/[\s()<>\\]/g, c => c === '(' ? '%28' : c === ')' ? '%29' : encodeURIComponent(c));
+	/**
+	 * @param { Node } node 変換対象のノード
+	 * @returns { string } Markdownの文字列
+	 */
+	const serialize = node => {
+		if (node.nodeType === Node.TEXT_NODE) {
+			// 末尾の!は直後のリンクと合わせて画像と解釈されないようにエスケープする
+			return node.nodeValue.replace(/[\\*_`~<>\[\]&]/g, '\\$&').replace(/!$/, '\\!');
+		}
+		if (node.nodeType !== Node.ELEMENT_NODE) {
+			return '';
+		}
+		const tagName = /** @type { Element } */(node).tagName.toLowerCase();
+		if (tagName === 'br') {
+			return '\\\n';
+		}
+		if (tagName === 'img') {
+			const alt = (/** @type { Element } */(node).getAttribute('alt') ?? '').replace(/[\\*_`~<>\[\]&]/g, '\\$&');
+			return `![${alt}](${encodeDestination(/** @type { Element } */(node).getAttribute('src') ?? '')})`;
+		}
+		if (tagName === 'code') {
+			// コードスパン内はエスケープできないため内容に含まれない長さのバッククォートで囲む
+			const text = node.textContent;
+			let fence = '`';
+			while (text.includes(fence)) {
+				fence += '`';
+			}
+			const padding = text.startsWith('`') || text.endsWith('`') || /^ .* $/.test(text) ? ' ' : '';
+			return fence + padding + text + padding + fence;
+		}
+		const content = [...node.childNodes].map(serialize).join('');
+		if (tagName === 'a' && /** @type { Element } */(node).hasAttribute('href')) {
+			return `[${content}](${encodeDestination(/** @type { Element } */(node).getAttribute('href'))})`;
+		}
+		return Object.hasOwn(markdownMarkDelimiters, tagName) ? markdownMarkDelimiters[tagName][0] + content + markdownMarkDelimiters[tagName][1] : content;
+	};
+	// 行頭でブロック要素の記法と解釈される文字をエスケープする
+	// 空白のみの行は空行として読み飛ばされないように空白を文字参照とする
+	// 末尾の段落内改行は行末のバックスラッシュのみとする
+	return nodes.map(serialize).join('').replace(/\n$/, '').split('\n').map(line => /^\s+$/.test(line) ? line.replace(/\s/g, c => `&#${c.codePointAt(0)};`) : line.replace(/^([#>+\-=])/, '\\$1').replace(/^(\d+)([.)])/, '$1\\$2')).join('\n');
+}
+
+/**
+ * ブロック要素をMarkdownに変換する
+ * @param { Node } node 変換対象のノード
+ * @returns { string } Markdownの文字列
+ */
+function serializeMarkdownBlock(node) {
+	const tagName = node.nodeName.toLowerCase();
+	if (Nomalizer.isList(node)) {
+		return [...node.childNodes].filter(item => Nomalizer.isListItem(item)).map((item, k) => {
+			const marker = tagName === 'ol' ? `${k + 1}. ` : '- ';
+			const indent = ' '.repeat(marker.length);
+			const children = [...item.childNodes];
+			const index = children.findIndex(child => Nomalizer.isList(child));
+			const inline = serializeMarkdownInline(index === -1 ? children : children.slice(0, index));
+			const lists = index === -1 ? [] : children.slice(index).filter(child => Nomalizer.isList(child)).map(serializeMarkdownBlock);
+			return [inline, ...lists].join('\n').split('\n').map((line, l) => (l === 0 ? marker : line.length === 0 ? '' : indent) + line).join('\n').trimEnd();
+		}).join('\n');
+	}
+	if (Nomalizer.isHorizontalRule(node)) {
+		return '---';
+	}
+	if (tagName === 'table') {
+		// 表は先頭の行を見出し行とし、セル内の段落内改行はHTMLとして表現する
+		const rows = [.../** @type { Element } */(node).querySelectorAll('tr')].map(row => [...row.children].map(cell => serializeMarkdownInline([...cell.childNodes]).replace(/\\\n/g, '<br>').replace(/\|/g, '\\|')));
+		const serializeRow = (/** @type { string[] } */ cells) => `| ${cells.join(' | ')} |`;
+		return [serializeRow(rows[0]), serializeRow(rows[0].map(() => '---')), ...rows.slice(1).map(serializeRow)].join('\n');
+	}
+	if (Nomalizer.isContainerBlock(node)) {
+		return [...node.childNodes].map(serializeMarkdownBlock).join('\n\n').split('\n').map(line => line.length === 0 ? '>' : '> ' + line).join('\n');
+	}
+	if (tagName === 'pre') {
+		const nodes = [...node.childNodes];
+		if (nodes[nodes.length - 1]?.nodeName.toLowerCase() === 'br') {
+			nodes.pop();
+		}
+		const text = nodes.map(child => child.nodeName.toLowerCase() === 'br' ? '\n' : child.textContent).join('');
+		let fence = '```';
+		while (text.includes(fence)) {
+			fence += '`';
+		}
+		return fence + '\n' + text + '\n' + fence;
+	}
+	const inline = serializeMarkdownInline([...node.childNodes]);
+	if (/^h[1-6]$/.test(tagName)) {
+		// 見出しは1行で表現する必要があるため段落内改行はHTMLとして表現する
+		// 末尾の#は閉じる記号と解釈されるためエスケープする
+		return '#'.repeat(Number(tagName[1])) + ' ' + inline.replace(/\\\n/g, '<br>').replace(/([ \t]#*)#$/, '$1\\#');
+	}
+	// 空の段落はMarkdownでは表現できないためHTMLとして表現する
+	return inline.length === 0 ? '<br>' : inline;
+}
+
+/**
+ * ルート要素の内容をMarkdownに変換する
+ * @param { Element } root ルート要素
+ * @returns { string } Markdownの文字列(段落は空行で区切り、段落内改行は行末のバックスラッシュで表現する)
+ */
+function toMarkdown(root) {
+	return [...root.childNodes].filter(node => !Nomalizer.isBlankNode(node)).map(serializeMarkdownBlock).join('\n\n');
+}
+
+/**
+ * Markdownのインライン要素をテキストを直接含むブロック要素の子要素に変換する
+ * @param { Element } block 変換結果の挿入先のブロック要素
+ * @param { string[] } lines 変換対象の行
+ */
+function parseMarkdownInline(block, lines) {
+	/** @type { string[] } 現在適用中のインライン書式 */
+	const marks = [];
+	/** @type { Map<string, string> } 太字と斜体を開いた記号 */
+	const delimiters = new Map();
+	/**
+	 * 書式を適用してノードを挿入する
+	 * @param { Node } node 挿入するノード
+	 * @param { string[] } tagNames 適用するインライン書式
+	 */
+	const append = (node, tagNames) => {
+		let parent = /** @type { Element } */(block);
+		for (const tagName of tagNames) {
+			if (parent.lastChild?.nodeName.toLowerCase() !== tagName) {
+				parent.append(document.createElement(tagName));
+			}
+			parent = /** @type { Element } */(parent.lastChild);
+		}
+		if (node.nodeType === Node.TEXT_NODE && parent.lastChild?.nodeType === Node.TEXT_NODE) {
+			/** @type { Text } */(parent.lastChild).appendData(node.nodeValue);
+		}
+		else {
+			parent.append(node);
+		}
+	};
+	const entities = /** @type { const } */({ amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0' });
+
+	const text = lines.join('\n');
+	let k = 0;
+	while (k < text.length) {
+		const rest = text.slice(k);
+		let m;
+		if (rest[0] === '\n') {
+			// 単なる改行は空白として扱う
+			append(document.createTextNode(' '), marks);
+			k += 1;
+		}
+		else if ((m = rest.match(/^\\(\n|$)/))) {
+			// 行末のバックスラッシュは段落内改行とする
+			append(document.createElement('br'), marks);
+			k += m[0].length;
+		}
+		else if ((m = rest.match(/^\\([!-\/:-@\[-`{-~])/))) {
+			append(document.createTextNode(m[1]), marks);
+			k += m[0].length;
+		}
+		else if ((m = rest.match(/^<br\s*\/?>\n?/i))) {
+			append(document.createElement('br'), marks);
+			k += m[0].length;
+		}
+		else if ((m = rest.match(/^<(\/?)u>/i)) && (m[1] === '/' ? marks.includes('u') : /<\/u>/i.test(rest.slice(m[0].length)))) {
+			if (m[1] === '/') {
+				marks.splice(marks.lastIndexOf('u'), 1);
+			}
+			else {
+				marks.push('u');
+			}
+			k += m[0].length;
+		}
+		else if ((m = rest.match(/^`+/)) && rest.indexOf(m[0], m[0].length) !== -1) {
+			// コードスパンの内容はエスケープを解釈しない
+			const end = rest.indexOf(m[0], m[0].length);
+			let code = rest.slice(m[0].length, end).replace(/\n/g, ' ');
+			if (/^ .*[^ ].* $/.test(code) || /^ `|` $/.test(code)) {
+				code = code.slice(1, -1);
+			}
+			append(document.createTextNode(code), [...marks, 'code']);
+			k += end + m[0].length;
+		}
+		else if ((m = rest.match(/^(\*+|_+|~~)/)) && (marks.length !== 0 || rest.slice(m[0].length).includes(m[0][0]))) {
+			let n = m[0].length;
+			if (m[0] === '~~') {
+				if (marks.includes('s')) {
+					marks.splice(marks.lastIndexOf('s'), 1);
+				}
+				else if (rest.slice(2).includes('~~')) {
+					marks.push('s');
+				}
+				else {
+					append(document.createTextNode(m[0]), marks);
+				}
+				n = 0;
+			}
+			while (n > 0) {
+				// 閉じる場合は同じ記号で開いた内側の書式から閉じる
+				const strongIndex = delimiters.get('strong') === m[0][0] ? marks.lastIndexOf('strong') : -1;
+				const emIndex = delimiters.get('em') === m[0][0] ? marks.lastIndexOf('em') : -1;
+				let tagName;
+				if (strongIndex !== -1 && emIndex !== -1) {
+					tagName = emIndex > strongIndex || n < 2 ? 'em' : 'strong';
+				}
+				else if (strongIndex !== -1 && n >= 2) {
+					tagName = 'strong';
+				}
+				else if (emIndex !== -1) {
+					tagName = 'em';
+				}
+				else {
+					tagName = n >= 2 ? 'strong' : 'em';
+				}
+				const index = tagName === 'strong' ? strongIndex : emIndex;
+				if (index !== -1) {
+					marks.splice(index, 1);
+					delimiters.delete(tagName);
+				}
+				else if (!marks.includes(tagName) && rest.slice(m[0].length).includes(m[0][0])) {
+					marks.push(tagName);
+					delimiters.set(tagName, m[0][0]);
+				}
+				else {
+					append(document.createTextNode(m[0][0].repeat(tagName === 'strong' ? 2 : 1)), marks);
+				}
+				n -= tagName === 'strong' ? 2 : 1;
+			}
+			k += m[0].length;
+		}
+		else if ((m = rest.match(/^!\[((?:\\.|[^\\\]\n])*)\]\(([^\s()<>]*)\)/))) {
+			const img = document.createElement('img');
+			img.setAttribute('src', m[2]);
+			img.setAttribute('alt', m[1].replace(/\\([!-\/:-@\[-`{-~])/g, '$1'));
+			img.setAttribute('contenteditable', 'false');
+			append(img, marks);
+			k += m[0].length;
+		}
+		else if ((m = rest.match(/^\[((?:\\.|[^\\\]\n])*)\]\(([^\s()<>]*)\)/))) {
+			// リンクの内容は改めてインライン要素として解釈する
+			const link = document.createElement('a');
+			link.setAttribute('href', m[2]);
+			parseMarkdownInline(link, [m[1]]);
+			if (link.lastChild.nodeName.toLowerCase() === 'br') {
+				link.removeChild(link.lastChild);
+			}
+			append(link, marks);
+			k += m[0].length;
+		}
+		else if ((m = rest.match(/^&(?:#(\d+)|#x([0-9a-f]+)|(\w+));/i)) && (m[1] || m[2] || Object.hasOwn(entities, m[3]))) {
+			append(document.createTextNode(m[1] ? String.fromCodePoint(Number(m[1])) : m[2] ? String.fromCodePoint(parseInt(m[2], 16)) : entities[m[3]]), marks);
+			k += m[0].length;
+		}
+		else {
+			m = rest.match(/^[^\\\n<`*_~&\[!]+|^./s);
+			append(document.createTextNode(m[0]), marks);
+			k += m[0].length;
+		}
+	}
+
+	// 空行の表示のために末尾の改行は2つにする
+	const last = block.lastChild;
+	if (last === null) {
+		block.append(document.createElement('br'));
+	}
+	else if (last.nodeName.toLowerCase() === 'br') {
+		block.append(document.createElement('br'));
+	}
+}
+
+/** Markdownのブロック要素の開始の記法 */
+const markdownBlockPatterns = /** @type { const } */({
+	fence: /^(`{3,}|~{3,})/,
+	heading: /^(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+	quote: /^ {0,3}>/,
+	thematicBreak: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+	list: /^([-*+]|(\d{1,9})[.)])(?:[ \t]|$)/
+});
+
+/** Markdownの表の見出し行の直後の区切り行 */
+const markdownTableDelimiter = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+/**
+ * Markdownの表の行をセルに分割する
+ * @param { string } line 表の行
+ * @returns { string[] } セルの内容(区切り文字のエスケープは解除する)
+ */
+function splitMarkdownTableRow(line) {
+	const cells = [''];
+	const text = line.trim().replace(/^\|/, '');
+	for (let k = 0; k < text.length; ++k) {
+		if (text[k] === '\\' && k + 1 < text.length) {
+			cells[cells.length - 1] += text[k] + text[++k];
+		}
+		else if (text[k] === '|') {
+			cells.push('');
+		}
+		else {
+			cells[cells.length - 1] += text[k];
+		}
+	}
+	// 末尾の区切り文字の後ろは空のセルとしない
+	if (cells.length > 1 && cells[cells.length - 1].trim().length === 0) {
+		cells.pop();
+	}
+	return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Markdownのブロック要素をブロック要素の列に変換する
+ * @param { string[] } lines 変換対象の行
+ * @returns { Element[] } ブロック要素の列
+ */
+function parseMarkdownBlocks(lines) {
+	const blocks = [];
+	let k = 0;
+	while (k < lines.length) {
+		const line = lines[k];
+		let m;
+		if (line.trim().length === 0) {
+			++k;
+		}
+		else if ((m = line.match(markdownBlockPatterns.fence))) {
+			// コードブロックは整形済みテキストとする
+			const pre = document.createElement('pre');
+			const content = [];
+			for (++k; k < lines.length && !(lines[k].startsWith(m[1]) && lines[k].trim() === m[1][0].repeat(lines[k].trim().length)); ++k) {
+				content.push(lines[k]);
+			}
+			++k;
+			content.forEach((text, l) => {
+				if (l !== 0) {
+					pre.append(document.createElement('br'));
+				}
+				if (text.length !== 0) {
+					pre.append(text);
+				}
+			});
+			if (pre.lastChild === null || pre.lastChild.nodeName.toLowerCase() === 'br') {
+				pre.append(document.createElement('br'));
+			}
+			blocks.push(pre);
+		}
+		else if ((m = line.match(markdownBlockPatterns.heading))) {
+			const heading = document.createElement(`h${m[1].length}`);
+			parseMarkdownInline(heading, [m[2] ?? '']);
+			blocks.push(heading);
+			++k;
+		}
+		else if (markdownBlockPatterns.quote.test(line)) {
+			// 引用は記号を除去して内容を再帰的に変換する
+			const content = [];
+			for (; k < lines.length && markdownBlockPatterns.quote.test(lines[k]); ++k) {
+				content.push(lines[k].replace(/^ {0,3}> ?/, ''));
+			}
+			const quote = document.createElement('blockquote');
+			quote.append(...parseMarkdownBlocks(content));
+			blocks.push(quote);
+		}
+		else if (markdownBlockPatterns.thematicBreak.test(line)) {
+			// 区切り線は水平線とする(リストの記号と重なる場合も区切り線を優先する)
+			blocks.push(document.createElement('hr'));
+			++k;
+		}
+		else if ((m = line.match(markdownBlockPatterns.list))) {
+			const list = document.createElement(m[2] ? 'ol' : 'ul');
+			const bullet = m[1].slice(-1);
+			while (k < lines.length && !markdownBlockPatterns.thematicBreak.test(lines[k]) && (m = lines[k].match(markdownBlockPatterns.list)) && m[1].slice(-1) === bullet) {
+				// 項目の内容は記号の幅だけ字下げされた行とする
+				const width = m[0].length + (lines[k].slice(m[0].length).match(/^ */)[0].length);
+				const content = [lines[k].slice(width)];
+				for (++k; k < lines.length; ++k) {
+					if (lines[k].trim().length === 0) {
+						const next = lines.slice(k).findIndex(v => v.trim().length !== 0);
+						if (next === -1 || !lines[k + next].startsWith(' '.repeat(width))) {
+							break;
+						}
+						content.push('');
+					}
+					else if (lines[k].startsWith(' '.repeat(width))) {
+						content.push(lines[k].slice(width));
+					}
+					else {
+						break;
+					}
+				}
+				// 項目の内容はインライン要素とリストのみとする
+				const item = document.createElement('li');
+				for (const block of parseMarkdownBlocks(content)) {
+					if (Nomalizer.isList(block)) {
+						item.append(block);
+					}
+					else {
+						if (item.lastChild && !Nomalizer.isList(item.lastChild)) {
+							while (item.lastChild.nodeName.toLowerCase() === 'br' && item.lastChild.previousSibling?.nodeName.toLowerCase() === 'br') {
+								item.removeChild(item.lastChild);
+							}
+							item.append(document.createElement('br'));
+						}
+						item.append(...block.childNodes);
+					}
+				}
+				if (item.childNodes.length === 0 || Nomalizer.isList(item.firstChild)) {
+					item.prepend(document.createElement('br'));
+				}
+				list.append(item);
+				// 項目間の空行は無視する
+				while (k < lines.length && lines[k].trim().length === 0 && lines.slice(k).find(v => v.trim().length !== 0)?.match(markdownBlockPatterns.list)) {
+					++k;
+				}
+			}
+			blocks.push(list);
+		}
+		else if (line.includes('|') && k + 1 < lines.length && markdownTableDelimiter.test(lines[k + 1]) && splitMarkdownTableRow(line).length === splitMarkdownTableRow(lines[k + 1]).length) {
+			// 表は見出し行のセルの数に揃える
+			const columns = splitMarkdownTableRow(line).length;
+			const tbody = document.createElement('tbody');
+			// 区切り行を読み飛ばして空行や区切り文字を含まない行までを表の行とする
+			const rows = [line];
+			for (k += 2; k < lines.length && lines[k].trim().length !== 0 && lines[k].includes('|'); ++k) {
+				rows.push(lines[k]);
+			}
+			for (const row of rows) {
+				const cells = splitMarkdownTableRow(row);
+				const tr = document.createElement('tr');
+				for (let l = 0; l < columns; ++l) {
+					const td = document.createElement('td');
+					parseMarkdownInline(td, [cells[l] ?? '']);
+					tr.append(td);
+				}
+				tbody.append(tr);
+			}
+			const table = document.createElement('table');
+			table.append(tbody);
+			blocks.push(table);
+		}
+		else if (line.trim() === '<br>') {
+			// 空の段落
+			const p = document.createElement('p');
+			p.append(document.createElement('br'));
+			blocks.push(p);
+			++k;
+		}
+		else {
+			// 空行や他のブロック要素の開始までを1つの段落とする
+			const content = [];
+			for (; k < lines.length && lines[k].trim().length !== 0 && (content.length === 0 || !Object.values(markdownBlockPatterns).some(pattern => pattern.test(lines[k]))); ++k) {
+				content.push(lines[k]);
+			}
+			const p = document.createElement('p');
+			parseMarkdownInline(p, content);
+			blocks.push(p);
+		}
+	}
+	return blocks;
+}
+
+/**
+ * ルート要素内にキャレットが存在する場合にキャレットを先頭のブロック要素の先頭に移動する
+ * @param { Element } root ルート要素
+ */
+function moveCaretToStart(root) {
+	const selection = window.getSelection();
+	if (selection.rangeCount > 0 && root.contains(selection.getRangeAt(0).startContainer)) {
+		let node = /** @type { Node } */(root);
+		while (Nomalizer.isBlock(node.firstChild)) {
+			node = node.firstChild;
+		}
+		selection.getRangeAt(0).setStart(node, 0);
+		selection.getRangeAt(0).collapse(true);
+	}
+}
+
+/**
+ * Markdownによるルート要素の内容の置き換え
+ * @param { Element } root ルート要素
+ * @param { string } text Markdownの文字列
+ */
+function fromMarkdown(root, text) {
+	const blocks = parseMarkdownBlocks(text.replace(/\r\n?/g, '\n').split('\n'));
+	if (blocks.length === 0) {
+		const p = document.createElement('p');
+		p.append(document.createElement('br'));
+		blocks.push(p);
+	}
+	// 一括で置き換えることで1回のundoで元に戻せるようにする
+	root.replaceChildren(...blocks);
+	moveCaretToStart(root);
+}
+
+/**
+ * @typedef {{
+ * 		nomalizer?: Nomalizer;
+ * 		bufferSize?: number;
+ * 		coalesce?: UndoBufferCoalesceOption;
+ * 		keymap?: KeymapBindings;
+ * 		upload?: ((file: File) => Promise<string>) | null;
+ * 		transport?: CollaborationTransport | null;
+ * 		inputRules?: InputRule[];
+ * 		maxLength?: number;
+ * 		maxParagraphs?: number;
+ * }} EditorOptions createEditorのオプション
+ * - nomalizer: 正規化器(未指定の場合は既定のスキーマ)
+ * - bufferSize: undoバッファのバッファサイズ
+ * - coalesce: テキスト入力の結合のオプション
+ * - keymap: 既定のキーの割り当てを上書きする割り当て(nullを指定した場合は割り当てを解除する)
+ * - upload: 画像ファイルのアップロード関数(未指定の場合はデータURLとして埋め込む)
+ * - transport: 共同編集の通信路(未指定の場合は共同編集を行わない)
+ * - inputRules: テキスト入力後に適用する入力規則(未指定の場合は既定の入力規則)
+ * - maxLength: 文字数の上限(書記素クラスタ単位で数え、超える入力は超えた分を切り詰めるか取り消す)
+ * - maxParagraphs: 段落数の上限(超える入力は取り消す)
+ * 上限を指定した場合はundoBufferが上限までの残りを'limit'イベントで通知する
+ */
+
+/**
+ * ルート要素ごとのエディタ
+ * キー入力などのイベントは自身のルート要素に登録し、同一のページに複数のエディタを共存できる
+ */
+class Editor {
+	/** @type { Element } ルート要素 */
+	#root;
+	/** @type { Nomalizer } 正規化器 */
+	#nomalizer;
+	/** @type { UndoBuffer } undoバッファ */
+	#undoBuffer;
+	/** @type { Collaboration | null } 共同編集 */
+	#collaboration;
+	/** @type { Keymap } キーの割り当て */
+	#keymap;
+	/** @type { AbortController } ルート要素に登録したリスナの解除のためのコントローラ */
+	#listenerController = new AbortController();
+	/** @type { InputRule[] } 入力規則 */
+	#inputRules;
+	/** @type { { [name: string]: (...args: any[]) => any } } コマンドの一覧 */
+	#commands;
+	/** @type { { [inputType: string]: (e: InputEvent) => boolean | void } } beforeinputのinputTypeごとの処理 */
+	#inputHandlers;
+	/** @type { ((file: File) => Promise<string>) | null } 画像ファイルのアップロード関数 */
+	#upload;
+	/** Input Events Level 2に対応して編集のbeforeinputを取り消せる環境か */
+	static #cancelableBeforeInput = typeof InputEvent !== 'undefined' && typeof InputEvent.prototype.getTargetRanges === 'function';
+	/** ルート要素を第1引数に取るコマンドとなる関数 */
+	static #commandFunctions = /** @type { const } */({
+		enter,
+		shiftEnter,
+		backspace,
+		deleteForward,
+		insertText,
+		toggleMark,
+		setLink,
+		removeLink,
+		autolink,
+		setBlockType,
+		toggleList,
+		indentListItem,
+		outdentListItem,
+		moveBlock,
+		moveBlocks,
+		insertTable,
+		moveTableCell,
+		insertTableRow,
+		deleteTableRow,
+		insertTableColumn,
+		deleteTableColumn,
+		fromMarkdown
+	});
+
+	/**
+	 * コンストラクタ
+	 * @param { Element } root ルート要素
+	 * @param { EditorOptions } options オプション
+	 */
+	constructor(root, options = {}) {
+		this.#root = root;
+		this.#nomalizer = options.nomalizer ?? new Nomalizer();
+		this.#undoBuffer = new UndoBuffer(root, this.#nomalizer, options.bufferSize, options.coalesce, { maxLength: options.maxLength, maxParagraphs: options.maxParagraphs });
+		this.#collaboration = options.transport ? new Collaboration(this.#undoBuffer, options.transport) : null;
+		this.#inputRules = [...(options.inputRules ?? defaultInputRules)];
+		this.#commands = Object.fromEntries(Object.entries(Editor.#commandFunctions).map(([name, fn]) => [
+			name,
+			// 複数のDOM操作を1回のundoで元に戻せるようにトランザクションとして実行する
+			(...args) => this.run(name, () => fn(root, ...args))
+		]));
+		this.#keymap = new Keymap(this.#defaultBindings()).merge(options.keymap ?? {}, 1);
+		this.#inputHandlers = this.#defaultInputHandlers();
+		this.#upload = options.upload ?? null;
+
+		const signal = this.#listenerController.signal;
+
+		// 自前で行うキーの実装
+		root.addEventListener('keydown', e => {
+			// falseが返された場合は優先度の低い処理またはブラウザの動作に任せる
+			this.#keymap.handle(e, (handler, chord) => this.run(chord, handler));
+		}, { signal });
+
+		// 仮想キーボードやコンテキストメニュー、音声入力などのキー入力を伴わない編集もinputTypeから自前で処理する
+		root.addEventListener('beforeinput', e => {
+			// IMEによる入力中や取り消せない入力はブラウザの動作に任せてDOMの変更として記録する
+			const handler = this.#inputHandlers[e.inputType];
+			if (!handler || e.isComposing || !e.cancelable || e.defaultPrevented) {
+				return;
+			}
+			// falseが返された場合はブラウザの動作に任せる
+			if (this.run(e.inputType, () => handler(e)) !== false) {
+				e.preventDefault();
+				if (e.inputType === 'insertText') {
+					this.#applyInputRules();
+				}
+			}
+		}, { signal });
+
+		// テキスト入力後の入力規則による変換は入力とは別の1回のundoで元に戻せるようにする
+		root.addEventListener('input', e => {
+			if (e.inputType === 'insertText') {
+				this.#applyInputRules();
+			}
+		}, { signal });
+
+		// 貼り付けは許可された構造のみに変換して自前で挿入する
+		root.addEventListener('paste', e => {
+			e.preventDefault();
+			this.#insertData(e.clipboardData);
+		}, { signal });
+
+		// 画像ファイルはドロップした位置に挿入する
+		root.addEventListener('dragover', e => {
+			if (e.dataTransfer.types.includes('Files')) {
+				e.preventDefault();
+			}
+		}, { signal });
+		root.addEventListener('drop', e => {
+			const files = getImageFiles(e.dataTransfer);
+			if (files.length !== 0) {
+				e.preventDefault();
+				moveCaretToPoint(root, e.clientX, e.clientY);
+				insertImages(root, this.#undoBuffer, files, this.#upload);
+			}
+		}, { signal });
+	}
+
+	/**
+	 * 貼り付けやドロップのデータをキャレット位置に挿入する(画像ファイルの場合はアップロードして挿入する)
+	 * @param { DataTransfer } dataTransfer 貼り付けやドロップのデータ
+	 */
+	#insertData(dataTransfer) {
+		const files = getImageFiles(dataTransfer);
+		if (files.length !== 0) {
+			insertImages(this.#root, this.#undoBuffer, files, this.#upload);
+		}
+		else {
+			this.#undoBuffer.transaction('paste', () => paste(this.#root, dataTransfer, this.#nomalizer));
+		}
+	}
+
+	/**
+	 * キャレット位置までのテキストに入力規則を適用する
+	 */
+	#applyInputRules() {
+		this.run('inputRule', () => applyInputRules(this.#root, this.#inputRules));
+	}
+
+	/**
+	 * 入力規則を追加する(既存の入力規則より優先する)
+	 * @param { InputRule } rule 入力規則
+	 * @returns { () => void } 追加した入力規則を除去する関数
+	 */
+	addInputRule(rule) {
+		this.#inputRules.unshift(rule);
+		return () => {
+			const index = this.#inputRules.indexOf(rule);
+			if (index !== -1) {
+				this.#inputRules.splice(index, 1);
+			}
+		};
+	}
+
+	/**
+	 * 既定のキーの割り当てを取得する(ModはmacOSではCmd、それ以外ではCtrl)
+	 * @returns { KeymapBindings }
+	 */
+	#defaultBindings() {
+		const root = this.#root;
+		// beforeinputを取り消せる環境ではbeforeinputで処理する
+		const fallback = fn => () => Editor.#cancelableBeforeInput ? false : fn();
+		return {
+			// undo(ブラウザ自身の履歴が空の場合はhistoryUndoが発火しないためキー入力で処理する)
+			'Mod-z': () => this.undo(),
+			// redo
+			'Mod-y': () => this.redo(),
+			'Mod-Shift-z': () => this.redo(),
+			// 太字
+			'Mod-b': fallback(() => toggleMark(root, 'strong')),
+			// 斜体
+			'Mod-i': fallback(() => toggleMark(root, 'em')),
+			// 下線
+			'Mod-u': fallback(() => toggleMark(root, 'u')),
+			// 取り消し線
+			'Mod-Shift-s': () => toggleMark(root, 's'),
+			// インラインコード
+			'Mod-e': () => toggleMark(root, 'code'),
+			// リンクの設定(空の場合は解除)
+			'Mod-k': () => this.editLink(),
+			// 単語単位の削除
+			'Mod-Backspace': () => backspace(root, true),
+			'Mod-Delete': () => deleteForward(root, true),
+			// 段落
+			'Alt-0': () => setBlockType(root, 'p'),
+			// 見出し
+			'Alt-1': () => setBlockType(root, 'h1'),
+			'Alt-2': () => setBlockType(root, 'h2'),
+			'Alt-3': () => setBlockType(root, 'h3'),
+			'Alt-4': () => setBlockType(root, 'h4'),
+			'Alt-5': () => setBlockType(root, 'h5'),
+			'Alt-6': () => setBlockType(root, 'h6'),
+			// 引用
+			'Alt-q': () => setBlockType(root, 'blockquote'),
+			// 整形済みテキスト
+			'Alt-c': () => setBlockType(root, 'pre'),
+			// 番号付きリスト
+			'Alt-7': () => toggleList(root, 'ol'),
+			// 箇条書きリスト
+			'Alt-8': () => toggleList(root, 'ul'),
+			// ブロック要素の前後の入れ替え
+			'Alt-ArrowUp': () => moveBlock(root, false),
+			'Alt-ArrowDown': () => moveBlock(root, true),
+			// 3行3列の表
+			'Alt-t': () => insertTable(root, 3, 3),
+			// 表の行の挿入と削除
+			'Alt-r': () => insertTableRow(root),
+			'Alt-Shift-r': () => deleteTableRow(root),
+			// 表の列の挿入と削除
+			'Alt-l': () => insertTableColumn(root),
+			'Alt-Shift-l': () => deleteTableColumn(root),
+			// 段落内の改行
+			'Shift-Enter': fallback(() => shiftEnter(root)),
+			// 表の前のセルに移動するかリストの項目を1段階外側に移動
+			'Shift-Tab': () => moveTableCell(root, false) || outdentListItem(root),
+			// 以降その他キー
+			'Enter': fallback(() => enter(root)),
+			// 表の次のセルに移動するかリストの項目を1段階内側に移動
+			'Tab': () => moveTableCell(root, true) || indentListItem(root),
+			'Backspace': fallback(() => backspace(root)),
+			'Delete': fallback(() => deleteForward(root))
+		};
+	}
+
+	/**
+	 * 既定のbeforeinputのinputTypeごとの処理を取得する(falseを返した場合はブラウザの動作に任せる)
+	 * @returns { { [inputType: string]: (e: InputEvent) => boolean | void } }
+	 */
+	#defaultInputHandlers() {
+		const root = this.#root;
+		return {
+			// キャレット位置で切り替えたインライン書式はテキスト入力時に自前で適用する
+			insertText: e => existPendingMarks(root) ? insertText(root, e.data) : false,
+			insertParagraph: () => enter(root),
+			insertLineBreak: () => shiftEnter(root),
+			insertOrderedList: () => toggleList(root, 'ol'),
+			insertUnorderedList: () => toggleList(root, 'ul'),
+			insertLink: e => e.data ? setLink(root, e.data) : false,
+			insertFromPaste: e => e.dataTransfer ? this.#insertData(e.dataTransfer) : false,
+			insertFromDrop: e => {
+				// ドロップ先の位置に挿入する(移動元の削除はdeleteByDragとしてブラウザの動作に任せる)
+				const [target] = e.getTargetRanges?.() ?? [];
+				if (!e.dataTransfer || !target) {
+					return false;
+				}
+				UndoBuffer.updateCaret(target);
+				this.#insertData(e.dataTransfer);
+			},
+			deleteContentBackward: () => backspace(root),
+			deleteContentForward: () => deleteForward(root),
+			deleteWordBackward: () => backspace(root, true),
+			deleteWordForward: () => deleteForward(root, true),
+			historyUndo: () => this.undo(),
+			historyRedo: () => this.redo(),
+			formatBold: () => toggleMark(root, 'strong'),
+			formatItalic: () => toggleMark(root, 'em'),
+			formatUnderline: () => toggleMark(root, 'u'),
+			formatStrikeThrough: () => toggleMark(root, 's'),
+			formatIndent: () => indentListItem(root),
+			formatOutdent: () => outdentListItem(root)
+		};
+	}
+
+	/**
+	 * ルート要素
+	 * @returns { Element }
+	 */
+	get root() {
+		return this.#root;
+	}
+
+	/**
+	 * undoバッファ
+	 * @returns { UndoBuffer }
+	 */
+	get undoBuffer() {
+		return this.#undoBuffer;
+	}
+
+	/**
+	 * 共同編集(共同編集を行わない場合はnull)
+	 * @returns { Collaboration | null }
+	 */
+	get collaboration() {
+		return this.#collaboration;
+	}
+
+	/**
+	 * キーの割り当て
+	 * @returns { Keymap }
+	 */
+	get keymap() {
+		return this.#keymap;
+	}
+
+	/**
+	 * ルート要素を対象に1回のundoで元に戻せる操作として実行するコマンドの一覧
+	 * 引数はルート要素を除いたものを指定する(例: editor.commands.toggleMark('strong'))
+	 * @returns { { [name: string]: (...args: any[]) => any } }
+	 */
+	get commands() {
+		return this.#commands;
+	}
+
+	/**
+	 * 関数内のDOM操作を1回のundoで元に戻せる操作として実行する(キー入力やツールバーからの操作の共通の経路)
+	 * @template T
+	 * @param { string | null } label 操作の名前
+	 * @param { () => T } fn DOM操作を行う関数
+	 * @returns { T } 関数の戻り値
+	 */
+	run(label, fn) {
+		return this.#undoBuffer.transaction(label, fn);
+	}
+
+	/**
+	 * 操作の一覧(古い順)とundo可能な操作の数(共同編集中は自身の操作のみ)
+	 * @returns { { entries: UndoBufferHistoryEntry[]; position: number } }
+	 */
+	get history() {
+		return (this.#collaboration ?? this.#undoBuffer).history;
+	}
+
+	/**
+	 * 元に戻す操作が存在するか(共同編集中は自身の操作のみ)
+	 * @returns { boolean } 存在する場合はtrue
+	 */
+	canUndo() {
+		return (this.#collaboration ?? this.#undoBuffer).canUndo();
+	}
+
+	/**
+	 * 前に進める操作が存在するか(共同編集中は自身の操作のみ)
+	 * @returns { boolean } 存在する場合はtrue
+	 */
+	canRedo() {
+		return (this.#collaboration ?? this.#undoBuffer).canRedo();
+	}
+
+	/**
+	 * 操作を元に戻す(共同編集中は自身の操作のみ)
+	 */
+	undo() {
+		(this.#collaboration ?? this.#undoBuffer).undo();
+	}
+
+	/**
+	 * 元に戻した操作を前に進める(共同編集中は自身の操作のみ)
+	 */
+	redo() {
+		(this.#collaboration ?? this.#undoBuffer).redo();
+	}
+
+	/**
+	 * リンク先を入力して選択範囲をリンクにするかキャレット位置のリンクのリンク先を変更する(空の場合は解除)
+	 */
+	editLink() {
+		const href = window.prompt('リンク先', getLink(this.#root) ?? '');
+		if (href !== null) {
+			setLink(this.#root, href);
+		}
+	}
+
+	/**
+	 * 内容をMarkdownとして取得する
+	 * @returns { string }
+	 */
+	toMarkdown() {
+		return toMarkdown(this.#root);
+	}
+
+	/**
+	 * 共同編集を終了してルート要素の観測とリスナの登録を解除する
+	 * ルート要素の内容はそのまま残る
+	 */
+	destroy() {
+		this.#listenerController.abort();
+		this.#collaboration?.destroy();
+		this.#undoBuffer.destroy();
+	}
+}
+
+/**
+ * エディタを作成する
+ * @param { Element } element ルート要素
+ * @param { EditorOptions } options オプション
+ * @returns { Editor } エディタ
+ */
+function createEditor(element, options = {}) {
+	return new Editor(element, options);
+}
+
+/**
+ * @typedef {{
+ * 		name: string;
+ * 		label: string;
+ * 		title?: string;
+ * 		run: (editor: Editor) => void;
+ * 		active?: (editor: Editor) => boolean;
+ * 		enabled?: (editor: Editor) => boolean;
+ * }} ToolbarItem ツールバーの単一のボタンの定義
+ * - name: 操作の名前(undoバッファの操作の名前とする)
+ * - label: ボタンに表示する文字列
+ * - title: ボタンの説明
+ * - run: ボタンの押下時の処理
+ * - active: ボタンを押下状態として表示するか(未指定の場合は押下状態を持たない)
+ * - enabled: ボタンを押下できるか(未指定の場合は常に押下できる)
+ */
+
+/**
+ * エディタのコマンドを実行するボタンを並べるツールバー
+ * ボタンの押下状態と押下できるかは選択範囲とundoバッファの変化に合わせて更新する
+ */
+class Toolbar {
+	/** @type { Editor } 対象のエディタ */
+	#editor;
+	/** @type { Element } ボタンを配置する要素 */
+	#container;
+	/** @type { Map<HTMLButtonElement, ToolbarItem> } ボタンとその定義の対応 */
+	#buttons = new Map();
+	/** @type { Range | null } ルート要素内の最後の選択範囲(ボタンにフォーカスが移動した場合の復元のためのもの) */
+	#range = null;
+	/** @type { boolean } 状態の更新を予約済みか */
+	#scheduled = false;
+	/** @type { AbortController } 登録したリスナの解除のためのコントローラ */
+	#listenerController = new AbortController();
+	/** 既定のボタンの定義 */
+	static defaultItems = /** @type { ToolbarItem[] } */([
+		{ name: 'undo', label: '↶', title: '元に戻す', run: editor => editor.undo(), enabled: editor => editor.canUndo() },
+		{ name: 'redo', label: '↷', title: 'やり直す', run: editor => editor.redo(), enabled: editor => editor.canRedo() },
+		...(/** @type { const } */([
+			['strong', 'B', '太字'],
+			['em', 'I', '斜体'],
+			['u', 'U', '下線'],
+			['s', 'S', '取り消し線'],
+			['code', '</>', 'インラインコード']
+		])).map(([tagName, label, title]) => ({
+			name: tagName, label, title,
+			run: editor => toggleMark(editor.root, tagName),
+			active: editor => isMarkActive(editor.root, tagName)
+		})),
+		{ name: 'link', label: 'Link', title: 'リンク', run: editor => editor.editLink(), active: editor => getLink(editor.root) !== null },
+		...(/** @type { const } */([
+			['p', '¶', '段落'],
+			['h1', 'H1', '見出し1'],
+			['h2', 'H2', '見出し2'],
+			['h3', 'H3', '見出し3'],
+			['blockquote', '❝', '引用'],
+			['pre', '{ }', '整形済みテキスト']
+		])).map(([type, label, title]) => ({
+			name: type, label, title,
+			run: editor => setBlockType(editor.root, type),
+			active: editor => isBlockTypeActive(editor.root, type)
+		})),
+		...(/** @type { const } */([
+			['ol', '1.', '番号付きリスト'],
+			['ul', '•', '箇条書きリスト']
+		])).map(([type, label, title]) => ({
+			name: type, label, title,
+			run: editor => toggleList(editor.root, type),
+			active: editor => isListActive(editor.root, type)
+		})),
+		{ name: 'table', label: '▦', title: '表', run: editor => insertTable(editor.root, 3, 3), enabled: editor => getTableCell(editor.root) === null }
+	]);
+
+	/**
+	 * コンストラクタ
+	 * @param { Editor } editor 対象のエディタ
+	 * @param { Element } container ボタンを配置する要素
+	 * @param { ToolbarItem[] } items ボタンの定義
+	 */
+	constructor(editor, container, items = Toolbar.defaultItems) {
+		this.#editor = editor;
+		this.#container = container;
+		const signal = this.#listenerController.signal;
+
+		for (const item of items) {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.textContent = item.label;
+			button.dataset.command = item.name;
+			if (item.title) {
+				button.title = item.title;
+			}
+			// ボタンへのフォーカスの移動でエディタのキャレット位置が失われないようにする
+			button.addEventListener('mousedown', e => e.preventDefault(), { signal });
+			button.addEventListener('click', () => this.#execute(item), { signal });
+			this.#buttons.set(button, item);
+			container.append(button);
+		}
+
+		document.addEventListener('selectionchange', () => this.#schedule(), { signal });
+		editor.undoBuffer.addEventListener('change', () => this.#schedule(), { signal });
+		this.update();
+	}
+
+	/**
+	 * ボタンの押下時の処理をキー入力と同じ経路で実行する
+	 * @param { ToolbarItem } item ボタンの定義
+	 */
+	#execute(item) {
+		const root = this.#editor.root;
+		const selection = window.getSelection();
+		if (!(selection.rangeCount > 0 && root.contains(selection.getRangeAt(0).startContainer)) && this.#range) {
+			// キーボード操作などでフォーカスが移動した場合は最後の選択範囲を復元する
+			/** @type { HTMLElement } */(root).focus({ preventScroll: true });
+			selection.removeAllRanges();
+			selection.addRange(this.#range);
+		}
+		this.#editor.run(item.name, () => item.run(this.#editor));
+		this.update();
+	}
+
+	/**
+	 * マイクロタスクの実行までボタンの状態の更新を遅延する(連続する変化をまとめ、共同編集の状態の更新を待つ)
+	 */
+	#schedule() {
+		if (!this.#scheduled) {
+			this.#scheduled = true;
+			window.queueMicrotask(() => {
+				this.#scheduled = false;
+				if (!this.#listenerController.signal.aborted) {
+					this.update();
+				}
+			});
+		}
+	}
+
+	/**
+	 * ボタンの押下状態と押下できるかを更新する
+	 */
+	update() {
+		const selection = window.getSelection();
+		if (selection.rangeCount > 0 && this.#editor.root.contains(selection.getRangeAt(0).startContainer)) {
+			this.#range = selection.getRangeAt(0).cloneRange();
+		}
+		for (const [button, item] of this.#buttons) {
+			button.disabled = item.enabled ? !item.enabled(this.#editor) : false;
+			if (item.active) {
+				button.setAttribute('aria-pressed', String(item.active(this.#editor)));
+			}
+		}
+	}
+
+	/**
+	 * ボタンを除去してリスナの登録を解除する
+	 */
+	destroy() {
+		this.#listenerController.abort();
+		for (const button of this.#buttons.keys()) {
+			button.remove();
+		}
+		this.#buttons.clear();
+	}
+}
+
+/**
+ * @typedef {{
+ * 		caseSensitive?: boolean;
+ * 		regex?: boolean;
+ * }} FindOptions 検索のオプション
+ * - caseSensitive: 大文字と小文字を区別するか
+ * - regex: 検索文字列を正規表現として扱うか(置換文字列の$1や$<name>などはグループに置き換える)
+ */
+
+/**
+ * エディタ内のテキストの検索と置換
+ * 一致箇所はDOMを変更せずにCSS Custom Highlight APIで強調し(::highlight(find-match)、::highlight(find-current)で装飾する)、undoバッファには記録しない
+ * ハイライトはページ全体で共有されるため、複数のエディタの一致箇所は同一のハイライトにまとめて強調する
+ */
+class FindReplace {
+	/** @type { Editor } 対象のエディタ */
+	#editor;
+	/** @type { string } 検索文字列 */
+	#query = '';
+	/** @type { Required<FindOptions> } 検索のオプション */
+	#options = { caseSensitive: false, regex: false };
+	/** @type { { range: Range; match: RegExpExecArray }[] } 一致箇所の一覧(文書順) */
+	#matches = [];
+	/** @type { number } 現在の一致箇所のインデックス(存在しない場合は-1) */
+	#index = -1;
+	/** @type { boolean } 再検索を予約済みか */
+	#scheduled = false;
+	/** @type { AbortController } 登録したリスナの解除のためのコントローラ */
+	#listenerController = new AbortController();
+	/** 強調に用いるハイライトの名前 */
+	static highlightNames = /** @type { const } */({ match: 'find-match', current: 'find-current' });
+	/** @type { Set<FindReplace> } 一致箇所を強調中のインスタンス */
+	static #highlighted = new Set();
+
+	/**
+	 * コンストラクタ
+	 * @param { Editor } editor 対象のエディタ
+	 */
+	constructor(editor) {
+		this.#editor = editor;
+		// 内容の変更に合わせて一致箇所を更新する
+		editor.undoBuffer.addEventListener('change', () => this.#schedule(), { signal: this.#listenerController.signal });
+	}
+
+	/**
+	 * 一致箇所の数
+	 * @returns { number }
+	 */
+	get count() {
+		return this.#matches.length;
+	}
+
+	/**
+	 * 現在の一致箇所のインデックス(存在しない場合は-1)
+	 * @returns { number }
+	 */
+	get index() {
+		return this.#index;
+	}
+
+	/**
+	 * テキストを直接含むブロック要素ごとのテキストとテキスト内のオフセットとノードの対応を取得する
+	 * 改行要素は改行文字、画像などはオブジェクト置換文字として扱い、ネストしたリストは別のブロック要素として扱う
+	 * @param { Element } root ルート要素
+	 * @returns { { text: string; segments: { node: Node; start: number; length: number }[] }[] }
+	 */
+	static #collectTexts(root) {
+		const texts = [];
+		const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, node => Nomalizer.isTextBlock(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP);
+		while (walker.nextNode()) {
+			const segments = [];
+			let text = '';
+			/** @param { Node } parent */
+			const visit = parent => {
+				for (const child of parent.childNodes) {
+					if (child.nodeType === Node.TEXT_NODE) {
+						segments.push({ node: child, start: text.length, length: /** @type { Text } */(child).length });
+						text += child.nodeValue;
+					}
+					else if (child.nodeName.toLowerCase() === 'br' || Nomalizer.isAtom(child)) {
+						segments.push({ node: child, start: text.length, length: 1 });
+						text += child.nodeName.toLowerCase() === 'br' ? '\n' : '\uFFFC';
+					}
+					else if (child.nodeType === Node.ELEMENT_NODE && !Nomalizer.isBlock(child)) {
+						visit(child);
+					}
+				}
+			};
+			visit(walker.currentNode);
+			texts.push({ text, segments });
+		}
+		return texts;
+	}
+
+	/**
+	 * テキスト内のオフセットに対応するDOM上の位置を取得する
+	 * @param { { node: Node; start: number; length: number }[] } segments テキスト内のオフセットとノードの対応
+	 * @param { number } offset テキスト内のオフセット
+	 * @param { boolean } end 範囲の終点であるか(ノードの境界では直前のノードの末尾とする)
+	 * @returns { [Node, number] } ノードとオフセット
+	 */
+	static #toPosition(segments, offset, end) {
+		const segment = segments.find(v => end ? v.start < offset && offset <= v.start + v.length : v.start <= offset && offset < v.start + v.length)
+			?? segments[end ? 0 : segments.length - 1];
+		if (segment.node.nodeType === Node.TEXT_NODE) {
+			return [segment.node, Math.min(Math.max(offset - segment.start, 0), segment.length)];
+		}
+		const index = Nomalizer.getChildIndex(segment.node);
+		return [segment.node.parentNode, offset <= segment.start ? index : index + 1];
+	}
+
+	/**
+	 * 検索文字列とオプションから正規表現を構築する
+	 * @returns { RegExp | null } 正規表現(検索文字列が空の場合はnull)
+	 */
+	#createPattern() {
+		if (this.#query.length === 0) {
+			return null;
+		}
+		const source = this.#options.regex ? this.#query : this.#query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		return new RegExp(source, `gmu${this.#options.caseSensitive ? '' : 'i'}`);
+	}
+
+	/**
+	 * 一致箇所を検索し直す
+	 */
+	#search() {
+		const pattern = this.#createPattern();
+		this.#matches = [];
+		if (pattern !== null) {
+			for (const { text, segments } of FindReplace.#collectTexts(this.#editor.root)) {
+				pattern.lastIndex = 0;
+				let m;
+				while ((m = pattern.exec(text)) !== null) {
+					if (m[0].length === 0) {
+						// 空文字列への一致は無視する
+						++pattern.lastIndex;
+						continue;
+					}
+					const range = document.createRange();
+					range.setStart(...FindReplace.#toPosition(segments, m.index, false));
+					range.setEnd(...FindReplace.#toPosition(segments, m.index + m[0].length, true));
+					this.#matches.push({ range, match: m });
+				}
+			}
+		}
+		this.#index = Math.min(this.#index, this.#matches.length - 1);
+		this.#highlight();
+	}
+
+	/**
+	 * マイクロタスクの実行まで再検索を遅延する(連続する変化をまとめる)
+	 */
+	#schedule() {
+		if (!this.#scheduled && this.#query.length !== 0) {
+			this.#scheduled = true;
+			window.queueMicrotask(() => {
+				this.#scheduled = false;
+				if (!this.#listenerController.signal.aborted) {
+					this.#search();
+				}
+			});
+		}
+	}
+
+	/**
+	 * 一致箇所を強調する(CSS Custom Highlight APIが利用できない場合は何もしない)
+	 */
+	#highlight() {
+		if (typeof CSS === 'undefined' || !CSS.highlights) {
+			return;
+		}
+		FindReplace.#highlighted.add(this);
+		FindReplace.#updateHighlights();
+	}
+
+	/**
+	 * 強調中の全てのインスタンスの一致箇所でハイライトを更新する(強調中のインスタンスが存在しない場合は除去する)
+	 */
+	static #updateHighlights() {
+		const instances = [...FindReplace.#highlighted];
+		if (instances.length === 0) {
+			CSS.highlights.delete(FindReplace.highlightNames.match);
+			CSS.highlights.delete(FindReplace.highlightNames.current);
+			return;
+		}
+		CSS.highlights.set(FindReplace.highlightNames.match, new Highlight(...instances.flatMap(instance => instance.#matches.map(v => v.range))));
+		CSS.highlights.set(FindReplace.highlightNames.current, new Highlight(...instances.flatMap(instance => instance.#matches[instance.#index]?.range ?? [])));
+	}
+
+	/**
+	 * 現在の一致箇所を選択する
+	 */
+	#select() {
+		const current = this.#matches[this.#index];
+		if (current) {
+			UndoBuffer.updateCaret(current.range);
+			const container = current.range.startContainer;
+			/** @type { Element } */(container.nodeType === Node.ELEMENT_NODE ? container : container.parentNode).scrollIntoView?.({ block: 'nearest' });
+		}
+		this.#highlight();
+	}
+
+	/**
+	 * テキストを検索して一致箇所を強調し、キャレット位置以降の最初の一致箇所を選択する
+	 * 正規表現が不正な場合はSyntaxErrorを送出する
+	 * @param { string } query 検索文字列
+	 * @param { FindOptions } options 検索のオプション
+	 * @returns { number } 一致箇所の数
+	 */
+	find(query, options = {}) {
+		const previous = [this.#query, this.#options];
+		this.#query = query;
+		this.#options = { caseSensitive: false, regex: false, ...options };
+		try {
+			this.#search();
+		}
+		catch (e) {
+			[this.#query, this.#options] = previous;
+			throw e;
+		}
+		const selection = window.getSelection();
+		const caret = selection.rangeCount > 0 && this.#editor.root.contains(selection.getRangeAt(0).startContainer) ? selection.getRangeAt(0) : null;
+		const index = caret === null ? 0 : this.#matches.findIndex(v => v.range.compareBoundaryPoints(Range.START_TO_START, caret) >= 0);
+		this.#index = this.#matches.length === 0 ? -1 : Math.max(index, 0);
+		this.#select();
+		return this.#matches.length;
+	}
+
+	/**
+	 * 次の一致箇所を選択する(末尾の次は先頭とする)
+	 * @returns { boolean } 一致箇所が存在する場合はtrue
+	 */
+	next() {
+		if (this.#matches.length === 0) {
+			return false;
+		}
+		this.#index = (this.#index + 1) % this.#matches.length;
+		this.#select();
+		return true;
+	}
+
+	/**
+	 * 前の一致箇所を選択する(先頭の前は末尾とする)
+	 * @returns { boolean } 一致箇所が存在する場合はtrue
+	 */
+	previous() {
+		if (this.#matches.length === 0) {
+			return false;
+		}
+		this.#index = (this.#index + this.#matches.length - 1) % this.#matches.length;
+		this.#select();
+		return true;
+	}
+
+	/**
+	 * 置換文字列の$1などを一致箇所のグループに置き換える
+	 * @param { RegExpExecArray } match 一致箇所
+	 * @param { string } replacement 置換文字列
+	 * @returns { string } 置換後の文字列
+	 */
+	#expand(match, replacement) {
+		if (!this.#options.regex) {
+			return replacement;
+		}
+		return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (text, token, name) => {
+			if (token === '$') {
+				return '$';
+			}
+			if (token === '&') {
+				return match[0];
+			}
+			if (name !== undefined) {
+				return match.groups?.[name] ?? '';
+			}
+			return Number(token) < match.length ? match[Number(token)] ?? '' : text;
+		});
+	}
+
+	/**
+	 * 一致箇所をテキストに置き換える(書式は一致箇所の先頭のものとする)
+	 * @param { Range } range 一致箇所
+	 * @param { string } text 置換後のテキスト
+	 */
+	#replaceRange(range, text) {
+		const block = Nomalizer.findTextBlock(this.#editor.root, range.startContainer);
+		// 部分的に削除される境界のノードは削除により空になる場合がある
+		const boundaries = [range.startContainer, range.endContainer];
+		range.deleteContents();
+		if (text.length !== 0) {
+			// 改行は段落内改行とする
+			const nodes = text.split('\n').flatMap((line, k) => [...(k === 0 ? [] : [document.createElement('br')]), ...(line.length === 0 ? [] : [document.createTextNode(line)])]);
+			if (range.startContainer.nodeType === Node.TEXT_NODE && nodes.length === 1 && nodes[0].nodeType === Node.TEXT_NODE) {
+				/** @type { Text } */(range.startContainer).insertData(range.startOffset, text);
+				range.setEnd(range.startContainer, range.startOffset + text.length);
+			}
+			else {
+				const fragment = document.createDocumentFragment();
+				fragment.append(...nodes);
+				range.insertNode(fragment);
+			}
+		}
+		for (const boundary of boundaries) {
+			// 空になったテキストとそれにより空になったインライン書式は除去する
+			let node = boundary;
+			while (node !== (block ?? this.#editor.root) && node.parentNode && (node.nodeType === Node.TEXT_NODE ? /** @type { Text } */(node).length === 0 : node.childNodes.length === 0)) {
+				const parent = node.parentNode;
+				parent.removeChild(node);
+				node = parent;
+			}
+		}
+		if (block !== null) {
+			fillEmptyTextBlock(block);
+		}
+		range.collapse(false);
+		UndoBuffer.updateCaret(range);
+	}
+
+	/**
+	 * 現在の一致箇所を置換して次の一致箇所を選択する
+	 * @param { string } replacement 置換文字列
+	 * @returns { boolean } 置換した場合はtrue
+	 */
+	replace(replacement) {
+		const current = this.#matches[this.#index];
+		if (!current) {
+			return false;
+		}
+		this.#editor.run('replace', () => this.#replaceRange(current.range, this.#expand(current.match, replacement)));
+		// 置換した位置以降の最初の一致箇所を選択する
+		const caret = window.getSelection().getRangeAt(0);
+		this.#search();
+		const index = this.#matches.findIndex(v => v.range.compareBoundaryPoints(Range.START_TO_START, caret) >= 0);
+		this.#index = this.#matches.length === 0 ? -1 : Math.max(index, 0);
+		this.#select();
+		return true;
+	}
+
+	/**
+	 * 全ての一致箇所を1回のundoで元に戻せる操作として置換する
+	 * @param { string } replacement 置換文字列
+	 * @returns { number } 置換した数
+	 */
+	replaceAll(replacement) {
+		this.#search();
+		const matches = this.#matches;
+		if (matches.length !== 0) {
+			// 後方から置換することで前方の一致箇所の位置を保つ
+			this.#editor.run('replaceAll', () => {
+				for (const { range, match } of [...matches].reverse()) {
+					this.#replaceRange(range, this.#expand(match, replacement));
+				}
+			});
+		}
+		this.#search();
+		this.#index = -1;
+		this.#highlight();
+		return matches.length;
+	}
+
+	/**
+	 * 検索を終了して強調を解除する
+	 */
+	clear() {
+		this.#query = '';
+		this.#matches = [];
+		this.#index = -1;
+		if (typeof CSS !== 'undefined' && CSS.highlights) {
+			// 他のインスタンスの一致箇所の強調は残す
+			FindReplace.#highlighted.delete(this);
+			FindReplace.#updateHighlights();
+		}
+	}
+
+	/**
+	 * 検索を終了してリスナの登録を解除する
+	 */
+	destroy() {
+		this.clear();
+		this.#listenerController.abort();
+	}
+}
+
+/**
+ * ルート要素直下のブロック要素をドラッグで並べ替えるためのハンドル
+ * ハンドルはポインタが重なったブロック要素の左側に1つだけ表示し、ルート要素の外に配置するため文書の内容やundoバッファには影響しない
+ */
+class BlockHandles {
+	/** @type { Editor } 対象のエディタ */
+	#editor;
+	/** @type { HTMLElement } ハンドルやドロップ位置を配置する要素(配置の基準となるようにpositionを指定すること) */
+	#container;
+	/** @type { HTMLElement } ドラッグのためのハンドル */
+	#handle;
+	/** @type { HTMLElement } ドロップ位置を示す要素 */
+	#indicator;
+	/** @type { Element | null } ハンドルを表示しているブロック要素 */
+	#block = null;
+	/** @type { Element | null } ドラッグ中のブロック要素 */
+	#dragging = null;
+	/** @type { AbortController } 登録したリスナの解除のためのコントローラ */
+	#listenerController = new AbortController();
+	/** ドラッグ中のデータの種類 */
+	static dataType = 'application/x-editor-block';
+
+	/**
+	 * コンストラクタ
+	 * @param { Editor } editor 対象のエディタ
+	 * @param { HTMLElement } container ハンドルやドロップ位置を配置する要素(ルート要素を含む要素)
+	 */
+	constructor(editor, container) {
+		this.#editor = editor;
+		this.#container = container;
+		const root = editor.root;
+		const signal = this.#listenerController.signal;
+
+		this.#handle = document.createElement('div');
+		this.#handle.className = 'block-handle';
+		this.#handle.draggable = true;
+		this.#handle.title = 'ドラッグして移動';
+		this.#handle.textContent = '⋮⋮';
+		this.#handle.hidden = true;
+		this.#indicator = document.createElement('div');
+		this.#indicator.className = 'block-drop-indicator';
+		this.#indicator.hidden = true;
+		container.append(this.#handle, this.#indicator);
+
+		root.addEventListener('mousemove', e => this.#show(this.#findBlock(/** @type { Node } */(e.target))), { signal });
+		container.addEventListener('mouseleave', () => this.#show(null), { signal });
+		// 内容の変更によりブロック要素の位置が変化するため非表示にする
+		editor.undoBuffer.addEventListener('change', () => this.#show(null), { signal });
+
+		this.#handle.addEventListener('dragstart', e => {
+			if (this.#block === null) {
+				e.preventDefault();
+				return;
+			}
+			this.#dragging = this.#block;
+			e.dataTransfer.setData(BlockHandles.dataType, '');
+			e.dataTransfer.effectAllowed = 'move';
+			e.dataTransfer.setDragImage?.(this.#dragging, 0, 0);
+		}, { signal });
+		this.#handle.addEventListener('dragend', () => this.#endDrag(), { signal });
+		root.addEventListener('dragover', e => {
+			if (this.#dragging === null) {
+				return;
+			}
+			e.preventDefault();
+			e.dataTransfer.dropEffect = 'move';
+			this.#showIndicator(this.#findDropTarget(e.clientY));
+		}, { signal });
+		root.addEventListener('drop', e => {
+			if (this.#dragging === null) {
+				return;
+			}
+			// ブラウザによるテキストの挿入は行わない
+			e.preventDefault();
+			const block = this.#dragging;
+			const ref = this.#findDropTarget(e.clientY);
+			this.#endDrag();
+			editor.run('moveBlock', () => moveBlocks(root, [block], ref));
+		}, { signal });
+	}
+
+	/**
+	 * ノードを含むルート要素直下のブロック要素を取得する
+	 * @param { Node } node 起点のノード
+	 * @returns { Element | null } ブロック要素(ルート要素外の場合はnull)
+	 */
+	#findBlock(node) {
+		const root = this.#editor.root;
+		for (; node && node !== root; node = node.parentNode) {
+			if (node.parentNode === root) {
+				return node.nodeType === Node.ELEMENT_NODE ? /** @type { Element } */(node) : null;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * 画面上のy座標にドロップした場合の移動先を取得する
+	 * @param { number } y 画面上のy座標
+	 * @returns { Element | null } 移動先の次のブロック要素(nullの場合は末尾)
+	 */
+	#findDropTarget(y) {
+		for (const child of this.#editor.root.children) {
+			const rect = child.getBoundingClientRect();
+			if (y < rect.top + rect.height / 2) {
+				return child;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * 要素を配置する要素を基準とするブロック要素の位置を取得する
+	 * @param { Element } block ブロック要素
+	 * @returns { { top: number; bottom: number; left: number; width: number } } 位置
+	 */
+	#getPosition(block) {
+		const base = this.#container.getBoundingClientRect();
+		const rect = block.getBoundingClientRect();
+		const top = rect.top - base.top + this.#container.scrollTop;
+		return { top, bottom: top + rect.height, left: rect.left - base.left + this.#container.scrollLeft, width: rect.width };
+	}
+
+	/**
+	 * ハンドルをブロック要素の横に表示する
+	 * @param { Element | null } block ブロック要素(nullの場合は非表示にする)
+	 */
+	#show(block) {
+		// ドラッグ中はハンドルを移動しない
+		if (this.#dragging !== null || block === this.#block) {
+			return;
+		}
+		this.#block = block;
+		this.#handle.hidden = block === null;
+		if (block !== null) {
+			const position = this.#getPosition(block);
+			this.#handle.style.top = `${position.top}px`;
+			this.#handle.style.left = `${position.left}px`;
+		}
+	}
+
+	/**
+	 * ドロップ位置を表示する
+	 * @param { Element | null } ref 移動先の次のブロック要素(nullの場合は末尾)
+	 */
+	#showIndicator(ref) {
+		const last = this.#editor.root.lastElementChild;
+		if (!ref && !last) {
+			this.#indicator.hidden = true;
+			return;
+		}
+		const position = this.#getPosition(ref ?? last);
+		this.#indicator.hidden = false;
+		this.#indicator.style.top = `${ref ? position.top : position.bottom}px`;
+		this.#indicator.style.left = `${position.left}px`;
+		this.#indicator.style.width = `${position.width}px`;
+	}
+
+	/**
+	 * ドラッグの状態を解除する
+	 */
+	#endDrag() {
+		this.#dragging = null;
+		this.#indicator.hidden = true;
+		this.#show(null);
+	}
+
+	/**
+	 * ハンドルを除去してリスナの登録を解除する
+	 */
+	destroy() {
+		this.#listenerController.abort();
+		this.#handle.remove();
+		this.#indicator.remove();
+	}
+}